@@ -72,9 +72,9 @@ function onSuccess(evt){
     if(fileReader.error) return console.log("error onloadend!?");
     progress.style.width = '100%';
     progress.textContent = '100%';
-    setTimeout(function() { $progress.classList.remove('loading'); }, 2000);
     var parser = new window.DxfParser();
-    var dxf = parser.parseSync(fileReader.result);
+    window.ThreeDxf.registerEntityHandlers(parser);
+    var dxf = window.ThreeDxf.readTables(fileReader.result, parser.parseSync(fileReader.result));
     
     if(dxf) {
         dxfContentEl.innerHTML = JSON.stringify(dxf, null, 2);
@@ -89,7 +89,17 @@ function onSuccess(evt){
     var loader = new THREE.FontLoader();
     loader.load( 'fonts/helvetiker_regular.typeface.json', function ( response ) {
         font = response;
-        cadCanvas = new window.ThreeDxf.Viewer(dxf, document.getElementById('cad-view'), 1000, 800, font);
+        cadCanvas = new window.ThreeDxf.Viewer(dxf, document.getElementById('cad-view'), { width: 1000, height: 800, font: font, progressive: true });
+
+        // Large drawings are drawn in chunks, the progress bar now follows the drawing
+        cadCanvas.addEventListener('progress', function (event) {
+            var percentDrawn = Math.round((event.loaded / event.total) * 100);
+            progress.style.width = percentDrawn + '%';
+            progress.textContent = 'Drawing ' + percentDrawn + '%';
+        });
+        cadCanvas.addEventListener('complete', function () {
+            setTimeout(function() { $progress.classList.remove('loading'); }, 2000);
+        });
     });
     
 }
@@ -0,0 +1,39 @@
+/**
+ * The AutoCAD Color Index (ACI). Each index between 1 and 255 inclusive corresponds to a
+ * color, e.g. index 1 is red (0xff0000). Index 0 is ByBlock and only included so the array
+ * can be indexed directly. Index 256 (ByLayer) is not a color either.
+ */
+export default [
+    0x000000, 0xff0000, 0xffff00, 0x00ff00, 0x00ffff, 0x0000ff, 0xff00ff, 0xffffff,
+    0x808080, 0xc0c0c0, 0xff0000, 0xff7f7f, 0xcc0000, 0xcc6666, 0x990000, 0x994c4c,
+    0x7f0000, 0x7f3f3f, 0x4c0000, 0x4c2626, 0xff3f00, 0xff9f7f, 0xcc3300, 0xcc7f66,
+    0x992600, 0x995f4c, 0x7f1f00, 0x7f4f3f, 0x4c1300, 0x4c2f26, 0xff7f00, 0xffbf7f,
+    0xcc6600, 0xcc9966, 0x994c00, 0x99724c, 0x7f3f00, 0x7f5f3f, 0x4c2600, 0x4c3926,
+    0xffbf00, 0xffdf7f, 0xcc9900, 0xccb266, 0x997200, 0x99854c, 0x7f5f00, 0x7f6f3f,
+    0x4c3900, 0x4c4226, 0xffff00, 0xffff7f, 0xcccc00, 0xcccc66, 0x989800, 0x98984c,
+    0x7f7f00, 0x7f7f3f, 0x4c4c00, 0x4c4c26, 0xbfff00, 0xdfff7f, 0x99cc00, 0xb2cc66,
+    0x729800, 0x85984c, 0x5f7f00, 0x6f7f3f, 0x394c00, 0x424c26, 0x7fff00, 0xbfff7f,
+    0x66cc00, 0x99cc66, 0x4c9800, 0x72984c, 0x3f7f00, 0x5f7f3f, 0x264c00, 0x394c26,
+    0x3fff00, 0x9fff7f, 0x33cc00, 0x7fcc66, 0x269800, 0x5f984c, 0x1f7f00, 0x4f7f3f,
+    0x134c00, 0x2f4c26, 0x00ff00, 0x7fff7f, 0x00cc00, 0x66cc66, 0x009800, 0x4c984c,
+    0x007f00, 0x3f7f3f, 0x004c00, 0x264c26, 0x00ff3f, 0x7fff9f, 0x00cc33, 0x66cc7f,
+    0x009826, 0x4c985f, 0x007f1f, 0x3f7f4f, 0x004c13, 0x264c2f, 0x00ff7f, 0x7fffbf,
+    0x00cc66, 0x66cc99, 0x00984c, 0x4c9872, 0x007f3f, 0x3f7f5f, 0x004c26, 0x264c39,
+    0x00ffbf, 0x7fffdf, 0x00cc99, 0x66ccb2, 0x009872, 0x4c9885, 0x007f5f, 0x3f7f6f,
+    0x004c39, 0x264c42, 0x00ffff, 0x7fffff, 0x00cccc, 0x66cccc, 0x009898, 0x4c9898,
+    0x007f7f, 0x3f7f7f, 0x004c4c, 0x264c4c, 0x00bfff, 0x7fdfff, 0x0099cc, 0x66b2cc,
+    0x007298, 0x4c8598, 0x005f7f, 0x3f6f7f, 0x00394c, 0x26424c, 0x007fff, 0x7fbfff,
+    0x0066cc, 0x6699cc, 0x004c98, 0x4c7298, 0x003f7f, 0x3f5f7f, 0x00264c, 0x26394c,
+    0x003fff, 0x7f9fff, 0x0033cc, 0x667fcc, 0x002698, 0x4c5f98, 0x001f7f, 0x3f4f7f,
+    0x00134c, 0x262f4c, 0x0000ff, 0x7f7fff, 0x0000cc, 0x6666cc, 0x000098, 0x4c4c98,
+    0x00007f, 0x3f3f7f, 0x00004c, 0x26264c, 0x3f00ff, 0x9f7fff, 0x3300cc, 0x7f66cc,
+    0x260098, 0x5f4c98, 0x1f007f, 0x4f3f7f, 0x13004c, 0x2f264c, 0x7f00ff, 0xbf7fff,
+    0x6600cc, 0x9966cc, 0x4c0098, 0x724c98, 0x3f007f, 0x5f3f7f, 0x26004c, 0x39264c,
+    0xbf00ff, 0xdf7fff, 0x9900cc, 0xb266cc, 0x720098, 0x854c98, 0x5f007f, 0x6f3f7f,
+    0x39004c, 0x42264c, 0xff00ff, 0xff7fff, 0xcc00cc, 0xcc66cc, 0x980098, 0x984c98,
+    0x7f007f, 0x7f3f7f, 0x4c004c, 0x4c264c, 0xff00bf, 0xff7fdf, 0xcc0099, 0xcc66b2,
+    0x980072, 0x984c85, 0x7f005f, 0x7f3f6f, 0x4c0039, 0x4c2642, 0xff007f, 0xff7fbf,
+    0xcc0066, 0xcc6699, 0x98004c, 0x984c72, 0x7f003f, 0x7f3f5f, 0x4c0026, 0x4c2639,
+    0xff003f, 0xff7f9f, 0xcc0033, 0xcc667f, 0x980026, 0x984c5f, 0x7f001f, 0x7f3f4f,
+    0x4c0013, 0x4c262f, 0x333333, 0x5b5b5b, 0x848484, 0xadadad, 0xd6d6d6, 0xffffff
+];
@@ -0,0 +1,422 @@
+import * as THREE from 'three';
+import { Text } from 'troika-three-text';
+import { getBatchRange, createRangeObject } from './LineBatcher';
+import { createThickLine } from './ThickLine';
+
+/**
+ * Finds the dxf entities under the mouse cursor, or by their text, and keeps track of the
+ * selected entity.
+ * Objects are matched to entities through the `userData.entity` set by the Viewer when
+ * each entity is drawn, or through the vertex ranges of batched lines (see LineBatcher).
+ * Hits inside blocks report the chain of INSERT (or DIMENSION) entities they were reached
+ * through.
+ *
+ * Events dispatched on the `dispatcher`:
+ *    hover    - the entity under the cursor changed ({ hit } is null when nothing is hovered)
+ *    select   - an entity was selected ({ hit })
+ *    deselect - the selected entity was cleared ({ hit } is the previous selection)
+ *
+ * @param {THREE.Camera} camera - the camera used to render the scene
+ * @param {THREE.Object3D} root - the object containing the drawn entities
+ * @param {HTMLElement} domElement - the element listening for mouse events (usually the canvas)
+ * @param {THREE.EventDispatcher} dispatcher - the object the events are dispatched on
+ * @param {Function} render - called whenever the highlight changes
+ * @param {Object} [controls] - the camera controls; a perspective camera's pick tolerance is
+ *                              measured at the distance of their `target`
+ * @constructor
+ */
+export function EntityPicker(camera, root, domElement, dispatcher, render, controls) {
+
+    var scope = this;
+
+    // Set to false to stop listening to mouse events
+    this.enabled = true;
+
+    // How far (in pixels) the cursor may be from a line or point and still hit it
+    this.tolerance = 4;
+
+    // Color used to draw the selected entity
+    this.highlightColor = 0x1e90ff;
+
+    // The mouse can move this many pixels between mousedown and mouseup and still
+    // count as a click instead of a pan or rotate
+    this.clickTolerance = 3;
+
+    var raycaster = new THREE.Raycaster();
+    var drawingPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+    var planePoint = new THREE.Vector3();
+    var pointer = new THREE.Vector2();
+    var downPosition = null;
+    var hovered = null;
+    var selected = null;
+    var highlighted = [];
+
+    /**
+     * Finds the entity drawn at a position on the element.
+     * @param {Number} clientX - x coordinate in the same space as MouseEvent.clientX
+     * @param {Number} clientY - y coordinate in the same space as MouseEvent.clientY
+     * @return {Object} the closest hit, or null
+     */
+    this.pick = function (clientX, clientY) {
+        var hits = scope.pickAll(clientX, clientY);
+        return hits.length ? hits[0] : null;
+    };
+
+    /**
+     * Finds every entity drawn at a position on the element, closest first.
+     * @param {Number} clientX - x coordinate in the same space as MouseEvent.clientX
+     * @param {Number} clientY - y coordinate in the same space as MouseEvent.clientY
+     * @return {Object[]} hits of the form { entity, object, point, distance, inserts, layer, handle, range, viewport }
+     *                    range is the { start, count } of the entity's vertices when object is a
+     *                    batch of lines, undefined otherwise. viewport is the VIEWPORT entity
+     *                    a model space entity was seen through on a paper space layout.
+     */
+    this.pickAll = function (clientX, clientY) {
+        var rect = domElement.getBoundingClientRect();
+        if (!rect.width || !rect.height) return [];
+
+        pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+
+        camera.updateMatrixWorld();
+        raycaster.setFromCamera(pointer, camera);
+
+        // Thin lines and points are impossible to hit exactly, so the tolerance is
+        // converted from pixels to world units at the current zoom level.
+        var worldPerPixel = getWorldUnitsPerPixel(rect.width);
+        raycaster.params.Line.threshold = scope.tolerance * worldPerPixel;
+        raycaster.params.Points.threshold = scope.tolerance * worldPerPixel;
+
+        var intersections = raycaster.intersectObject(root, true);
+        var hits = [];
+        for (var i = 0; i < intersections.length; i++) {
+            var hit = createHit(intersections[i]);
+            if (!hit || hits.some(function (other) { return isSameHit(hit, other); })) continue;
+            hits.push(hit);
+        }
+        return hits;
+    };
+
+    /**
+     * Selects the entity of a hit and highlights it. Passing null clears the selection.
+     * @param {Object} hit - a hit returned from pick()
+     */
+    this.select = function (hit) {
+        if (hit && selected && isSameHit(hit, selected)) return;
+
+        if (selected) {
+            var previous = selected;
+            selected = null;
+            clearHighlight();
+            dispatcher.dispatchEvent({ type: 'deselect', hit: previous });
+        }
+
+        if (hit) {
+            selected = hit;
+            setHighlight(hit);
+            dispatcher.dispatchEvent({ type: 'select', hit: hit });
+        }
+        render();
+    };
+
+    /**
+     * @return {Object} the currently selected hit, or null
+     */
+    this.getSelection = function () {
+        return selected;
+    };
+
+    /**
+     * Drops any selection or hover state that refers to objects no longer in the scene.
+     */
+    this.reset = function () {
+        clearHighlight();
+        selected = null;
+        hovered = null;
+    };
+
+    this.dispose = function () {
+        scope.reset();
+        domElement.removeEventListener('mousedown', onMouseDown, false);
+        domElement.removeEventListener('mouseup', onMouseUp, false);
+        domElement.removeEventListener('mousemove', onMouseMove, false);
+        domElement.removeEventListener('mouseleave', onMouseLeave, false);
+    };
+
+    function getWorldUnitsPerPixel(elementWidth) {
+        if (camera.isOrthographicCamera) {
+            return (camera.right - camera.left) / camera.zoom / elementWidth;
+        }
+        // Perspective cameras: use the size of a pixel at the distance of what is looked at,
+        // the controls target, or else where the ray meets the drawing plane (z = 0)
+        var distance;
+        if (controls && controls.target) {
+            distance = camera.position.distanceTo(controls.target);
+        } else if (raycaster.ray.intersectPlane(drawingPlane, planePoint)) {
+            distance = camera.position.distanceTo(planePoint);
+        } else {
+            distance = camera.position.length();
+        }
+        var height = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * distance;
+        return height * camera.aspect / elementWidth;
+    }
+
+    function createHit(intersection) {
+        var object = intersection.object;
+
+        // Ignore anything hidden, such as the contents of a layer that is turned off
+        for (var o = object; o; o = o.parent) {
+            if (!o.visible) return null;
+        }
+        // or outside of the window of a paper space viewport
+        var planes = object.material && object.material.clippingPlanes;
+        if (planes && planes.some(function (plane) { return plane.distanceToPoint(intersection.point) < 0; })) return null;
+
+        if (object.userData.batch) {
+            var range = getBatchRange(object, intersection.index);
+            if (!range) return null;
+            return {
+                entity: range.entity,
+                object: object,
+                point: intersection.point,
+                distance: intersection.distance,
+                inserts: [],
+                layer: range.entity.layer || '0',
+                handle: range.entity.handle,
+                range: { start: range.start, count: range.count },
+                viewport: getViewport(object)
+            };
+        }
+
+        var hit = getEntityHit(object);
+        if (!hit) return null;
+        hit.point = intersection.point;
+        hit.distance = intersection.distance;
+        return hit;
+    }
+
+    /**
+     * Walks up from a drawn object to the object that was drawn for an entity, then on through
+     * the block inserts containing it.
+     * @return {Object} the hit without a point, null for objects that are no entity
+     */
+    function getEntityHit(object) {
+        var entityObject = null;
+        var inserts = [];
+        for (var o = object; o && o !== root; o = o.parent) {
+            if (!o.userData || !o.userData.entity) continue;
+            if (!entityObject) entityObject = o;
+            else inserts.unshift(o.userData.entity);
+        }
+        if (!entityObject) return null;
+
+        var entity = entityObject.userData.entity;
+        return {
+            entity: entity,
+            object: entityObject,
+            inserts: inserts,
+            layer: getEffectiveLayer(entity, inserts),
+            handle: entity.handle,
+            viewport: getViewport(object)
+        };
+    }
+
+    /**
+     * Finds the text drawn in the scene: TEXT, MTEXT (without its formatting), attributes, and
+     * the text of dimensions and multileaders, inside blocks as well. Text on hidden layers or
+     * outside the window of its viewport is skipped.
+     * @param {String|RegExp} query - the text to look for, or a regular expression
+     * @param {Object} options - { regex, caseSensitive } regex reads a string query as a regular
+     *                           expression, case is ignored unless caseSensitive is set
+     * @return {Object[]} hits in drawing order, of the form { entity, object, text, box, inserts,
+     *                    layer, handle, viewport }. text is the plain text that matched, box
+     *                    the THREE.Box3 around it in world coordinates.
+     */
+    this.findText = function (query, options) {
+        var matches = getTextMatcher(query, options || {});
+        var hits = [];
+        root.updateMatrixWorld();
+        root.traverseVisible(function (object) {
+            var layout = object.userData.layout;
+            if (!layout || !matches(object.userData.text)) return;
+
+            var box = getTextBox(object, layout);
+            var planes = getClippingPlanes(object);
+            var center = box.getCenter(new THREE.Vector3());
+            if (planes && planes.some(function (plane) { return plane.distanceToPoint(center) < 0; })) return;
+
+            var hit = getEntityHit(object);
+            if (!hit) return;
+            hit.text = object.userData.text;
+            hit.box = box;
+            hits.push(hit);
+        });
+        return hits;
+    };
+
+    /**
+     * @return {Object} the VIEWPORT entity an object is seen through, null outside of viewports
+     */
+    function getViewport(object) {
+        for (var o = object; o && o !== root; o = o.parent) {
+            if (o.userData.viewport) return o.userData.viewport;
+        }
+        return null;
+    }
+
+    function setHighlight(hit) {
+        var highlightColor = new THREE.Color(scope.highlightColor);
+        if (hit.range) {
+            highlightRange(hit.object, hit.range, highlightColor);
+            return;
+        }
+        hit.object.traverse(function (child) {
+            // Text materials are derived by troika, so swap the color instead
+            if (child instanceof Text) {
+                highlighted.push({ object: child, color: child.color });
+                child.color = highlightColor.getHex();
+            } else if (child.material) {
+                var material = child.material.clone();
+                if (material.color) material.color.copy(highlightColor);
+                // Linetype shaders keep their color in a uniform
+                else if (material.uniforms && material.uniforms.diffuse) material.uniforms.diffuse.value.copy(highlightColor);
+                highlighted.push({ object: child, material: child.material });
+                child.material = material;
+            }
+        });
+    }
+
+    /**
+     * Draws the vertices of one entity of a batch again on top of the batch.
+     */
+    function highlightRange(batch, range, highlightColor) {
+        var material = batch.material.clone();
+        if (material.color) material.color.copy(highlightColor);
+        else if (material.uniforms && material.uniforms.diffuse) material.uniforms.diffuse.value.copy(highlightColor);
+        material.visible = true;
+
+        var overlay = createRangeObject(batch, range, material);
+        overlay.raycast = function () { };
+        var thickLine = batch.userData.thickLine;
+        if (thickLine && thickLine.visible) {
+            createThickLine(overlay, thickLine.material.uniforms.linewidth.value);
+            material.visible = false;
+        }
+        batch.add(overlay);
+        highlighted.push({ overlay: overlay });
+    }
+
+    function clearHighlight() {
+        for (var i = 0; i < highlighted.length; i++) {
+            var item = highlighted[i];
+            if (item.overlay) {
+                item.overlay.parent.remove(item.overlay);
+                item.overlay.traverse(function (child) {
+                    child.geometry.dispose();
+                    child.material.dispose();
+                });
+            } else if (item.object instanceof Text) {
+                item.object.color = item.color;
+            } else {
+                item.object.material.dispose();
+                item.object.material = item.material;
+            }
+        }
+        highlighted = [];
+    }
+
+    function onMouseDown(event) {
+        if (scope.enabled === false || event.button !== 0) return;
+        downPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    function onMouseUp(event) {
+        if (scope.enabled === false || event.button !== 0 || !downPosition) return;
+        var moved = Math.abs(event.clientX - downPosition.x) + Math.abs(event.clientY - downPosition.y);
+        downPosition = null;
+        if (moved > scope.clickTolerance) return;
+
+        scope.select(scope.pick(event.clientX, event.clientY));
+    }
+
+    function onMouseMove(event) {
+        if (scope.enabled === false || event.buttons) return;
+        var hit = scope.pick(event.clientX, event.clientY);
+        if (hit === hovered || (hit && hovered && isSameHit(hit, hovered))) return;
+        hovered = hit;
+        domElement.style.cursor = hit ? 'pointer' : '';
+        dispatcher.dispatchEvent({ type: 'hover', hit: hit });
+    }
+
+    function onMouseLeave() {
+        if (!hovered) return;
+        hovered = null;
+        domElement.style.cursor = '';
+        dispatcher.dispatchEvent({ type: 'hover', hit: null });
+    }
+
+    domElement.addEventListener('mousedown', onMouseDown, false);
+    domElement.addEventListener('mouseup', onMouseUp, false);
+    domElement.addEventListener('mousemove', onMouseMove, false);
+    domElement.addEventListener('mouseleave', onMouseLeave, false);
+}
+
+function getTextMatcher(query, options) {
+    if (query instanceof RegExp || options.regex) {
+        var regex = query instanceof RegExp ? query : new RegExp(query, options.caseSensitive ? '' : 'i');
+        return function (text) {
+            // Global expressions continue from their last match
+            regex.lastIndex = 0;
+            return regex.test(text);
+        };
+    }
+    var search = options.caseSensitive ? String(query) : String(query).toLowerCase();
+    return function (text) {
+        return (options.caseSensitive ? text : text.toLowerCase()).indexOf(search) >= 0;
+    };
+}
+
+/**
+ * The box around laid out text (see layoutMText), which runs from the origin of the object
+ * to the right and down.
+ */
+function getTextBox(object, layout) {
+    var box = new THREE.Box3();
+    var corners = [[0, 0], [layout.width, 0], [0, -layout.height], [layout.width, -layout.height]];
+    corners.forEach(function (corner) {
+        box.expandByPoint(new THREE.Vector3(corner[0], corner[1], 0).applyMatrix4(object.matrixWorld));
+    });
+    return box;
+}
+
+/**
+ * @return {THREE.Plane[]} the planes the runs of text are clipped by, if any
+ */
+function getClippingPlanes(object) {
+    var planes = null;
+    object.traverse(function (child) {
+        if (!planes && child.material && child.material.clippingPlanes) planes = child.material.clippingPlanes;
+    });
+    return planes;
+}
+
+/**
+ * Hits on the same object are the same unless they are different entities of a batch.
+ */
+function isSameHit(a, b) {
+    return a.object === b.object && a.entity === b.entity;
+}
+
+/**
+ * Entities on layer 0 inside a block take on the layer of the INSERT that placed them.
+ * @param {Object} entity - the dxf entity
+ * @param {Object[]} inserts - the INSERT entities the entity was reached through, outermost first
+ * @return {String} the layer name
+ */
+function getEffectiveLayer(entity, inserts) {
+    var layer = entity.layer;
+    for (var i = inserts.length - 1; i >= 0 && (!layer || layer === '0'); i--) {
+        layer = inserts[i].layer;
+    }
+    return layer || '0';
+}
@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+
+/**
+ * Collects the lines of many entities into a few THREE.LineSegments, one per key (layer, color,
+ * linetype and lineweight), so large drawings need a handful of draw calls instead of one per
+ * entity. Every batch remembers which range of vertices belongs to which entity, see
+ * getBatchRange and createRangeObject.
+ *
+ * Batched objects have `userData.batch = { entities, starts, counts }` instead of
+ * `userData.entity`.
+ * @constructor
+ */
+export function LineBatcher() {
+
+    var batches = [];
+    var batchesByKey = {};
+
+    /**
+     * @param {String} key - identifies the batch
+     * @return {Boolean} true if a batch was created for the key
+     */
+    this.has = function (key) {
+        return batchesByKey.hasOwnProperty(key);
+    };
+
+    /**
+     * Starts a new batch.
+     * @param {String} key - identifies the batch
+     * @param {THREE.Material} material - the material all lines of the batch are drawn with
+     * @param {Object} userData - anything to pass on to the object, such as the layer name
+     */
+    this.create = function (key, material, userData) {
+        var batch = {
+            material: material,
+            userData: userData,
+            positions: [],
+            distances: [],
+            entities: [],
+            starts: [],
+            counts: []
+        };
+        batchesByKey[key] = batch;
+        batches.push(batch);
+    };
+
+    /**
+     * Adds the polyline of an entity to a batch. The distance along the polyline is kept for
+     * each vertex so dashes continue from one segment to the next.
+     * @param {String} key - the batch, see create
+     * @param {Object} entity - the dxf entity the points were drawn for
+     * @param {Object[]} points - the points of the polyline, objects with x, y and optionally z
+     * @param {Object} offset - added to every point, may be undefined
+     */
+    this.add = function (key, entity, points, offset) {
+        var batch = batchesByKey[key];
+        var positions = batch.positions, distances = batch.distances;
+        var ox = offset ? offset.x || 0 : 0, oy = offset ? offset.y || 0 : 0, oz = offset ? offset.z || 0 : 0;
+        var start = positions.length / 3;
+        var distance = 0;
+
+        for (var i = 0; i + 1 < points.length; i++) {
+            var a = points[i], b = points[i + 1];
+            var length = Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2) + Math.pow((b.z || 0) - (a.z || 0), 2));
+            positions.push(a.x + ox, a.y + oy, (a.z || 0) + oz, b.x + ox, b.y + oy, (b.z || 0) + oz);
+            distances.push(distance, distance + length);
+            distance += length;
+        }
+
+        if (positions.length / 3 === start) return;
+        batch.entities.push(entity);
+        batch.starts.push(start);
+        batch.counts.push(positions.length / 3 - start);
+    };
+
+    /**
+     * Creates the objects for all batches. The batcher is empty afterwards.
+     * @return {THREE.LineSegments[]} one object per batch, with the userData given to create
+     */
+    this.createObjects = function () {
+        var objects = batches.map(function (batch) {
+            var geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(batch.positions, 3));
+            geometry.setAttribute('lineDistance', new THREE.Float32BufferAttribute(batch.distances, 1));
+
+            var object = new THREE.LineSegments(geometry, batch.material);
+            Object.assign(object.userData, batch.userData);
+            object.userData.batch = {
+                entities: batch.entities,
+                starts: new Uint32Array(batch.starts),
+                counts: new Uint32Array(batch.counts)
+            };
+            return object;
+        });
+        batches = [];
+        batchesByKey = {};
+        return objects;
+    };
+}
+
+/**
+ * Finds the entity a vertex of a batch was drawn for.
+ * @param {THREE.LineSegments} object - an object created by LineBatcher
+ * @param {Number} index - the index of the vertex, e.g. the index of a raycaster intersection
+ * @return {Object} { entity, start, count } the entity and its range of vertices, null if the
+ *                  index is out of range
+ */
+export function getBatchRange(object, index) {
+    var batch = object.userData.batch;
+    var low = 0, high = batch.starts.length - 1;
+    while (low <= high) {
+        var middle = (low + high) >> 1;
+        if (batch.starts[middle] > index) high = middle - 1;
+        else if (batch.starts[middle] + batch.counts[middle] <= index) low = middle + 1;
+        else return { entity: batch.entities[middle], start: batch.starts[middle], count: batch.counts[middle] };
+    }
+    return null;
+}
+
+/**
+ * Copies a range of vertices of a batch into an object of its own, to draw a single entity of
+ * the batch differently (e.g. highlighted).
+ * @param {THREE.LineSegments} object - an object created by LineBatcher
+ * @param {Object} range - { start, count } as returned by getBatchRange
+ * @param {THREE.Material} material - the material of the new object
+ * @return {THREE.LineSegments} the object, in the coordinates of the batch (add it to the batch)
+ */
+export function createRangeObject(object, range, material) {
+    var geometry = new THREE.BufferGeometry();
+    var end = range.start + range.count;
+    var position = object.geometry.getAttribute('position');
+    var lineDistance = object.geometry.getAttribute('lineDistance');
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(position.array.slice(range.start * 3, end * 3), 3));
+    if (lineDistance) {
+        geometry.setAttribute('lineDistance', new THREE.Float32BufferAttribute(lineDistance.array.slice(range.start, end), 1));
+    }
+
+    return new THREE.LineSegments(geometry, material);
+}
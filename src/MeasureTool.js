@@ -0,0 +1,449 @@
+import * as THREE from 'three';
+import { getEntityOcsMatrix, isOcsEntity } from './ocs';
+
+// Names and abbreviations for the $INSUNITS header values
+var INSUNITS = [
+    { name: 'unitless', abbreviation: '' },
+    { name: 'inches', abbreviation: 'in' },
+    { name: 'feet', abbreviation: 'ft' },
+    { name: 'miles', abbreviation: 'mi' },
+    { name: 'millimeters', abbreviation: 'mm' },
+    { name: 'centimeters', abbreviation: 'cm' },
+    { name: 'meters', abbreviation: 'm' },
+    { name: 'kilometers', abbreviation: 'km' },
+    { name: 'microinches', abbreviation: 'µin' },
+    { name: 'mils', abbreviation: 'mil' },
+    { name: 'yards', abbreviation: 'yd' },
+    { name: 'angstroms', abbreviation: 'Å' },
+    { name: 'nanometers', abbreviation: 'nm' },
+    { name: 'microns', abbreviation: 'µm' },
+    { name: 'decimeters', abbreviation: 'dm' },
+    { name: 'decameters', abbreviation: 'dam' },
+    { name: 'hectometers', abbreviation: 'hm' },
+    { name: 'gigameters', abbreviation: 'Gm' },
+    { name: 'astronomical units', abbreviation: 'AU' },
+    { name: 'light years', abbreviation: 'ly' },
+    { name: 'parsecs', abbreviation: 'pc' }
+];
+
+var MODES = ['distance', 'path', 'area'];
+
+/**
+ * Interactive measuring on top of a 2D view. Clicks place points that snap to the
+ * endpoints, midpoints, centers and intersections of the drawn entities.
+ *
+ * Modes:
+ *    distance - two clicks measure a point to point distance
+ *    path     - each click adds to a running length, double click or Enter finishes
+ *    area     - each click adds a polygon vertex, double click or Enter closes the polygon
+ *
+ * A 'measure' event with a { result } property is dispatched on the `dispatcher` and passed
+ * to `options.onMeasure` when a measurement is finished. Escape drops the current measurement
+ * and Enter finishes it while the canvas has the focus, which clicking it gives it.
+ *
+ * @param {THREE.Camera} camera - the camera used to render the scene
+ * @param {THREE.Object3D} root - the object containing the drawn entities
+ * @param {HTMLElement} domElement - the canvas the scene is rendered to
+ * @param {THREE.EventDispatcher} dispatcher - the object the events are dispatched on
+ * @param {Function} render - renders the scene
+ * @param {Object} options - { mode, units ($INSUNITS value), precision, snap, onMeasure, color }
+ * @constructor
+ */
+export function MeasureTool(camera, root, domElement, dispatcher, render, options) {
+
+    options = options || {};
+
+    var scope = this;
+
+    this.mode = MODES.indexOf(options.mode) !== -1 ? options.mode : 'distance';
+    this.units = INSUNITS[options.units] || INSUNITS[0];
+    this.precision = options.precision !== undefined ? options.precision : 2;
+
+    // Set to false to place points exactly where the user clicks
+    this.snap = options.snap !== false;
+
+    // How close (in pixels) the cursor must be to a snap point
+    this.snapTolerance = 10;
+
+    // The mouse can move this many pixels between mousedown and mouseup and still count as a click
+    this.clickTolerance = 3;
+
+    var color = options.color !== undefined ? options.color : 0xff6600;
+
+    var raycaster = new THREE.Raycaster();
+    var plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+    var pointer = new THREE.Vector2();
+
+    var snapPoints = [];
+    var segments = [];
+    var points = [];
+    var cursor = null;
+    var downPosition = null;
+
+    var overlay = new THREE.Object3D();
+    overlay.renderOrder = 999;
+    root.add(overlay);
+
+    var pathLine = createOverlayLine();
+    var marker = createOverlayLine();
+    overlay.add(pathLine, marker);
+
+    var label = document.createElement('div');
+    label.style.cssText = 'position: absolute; pointer-events: none; padding: 2px 6px; white-space: nowrap;' +
+        'font: 12px sans-serif; color: #fff; border-radius: 3px; display: none;';
+    label.style.background = '#' + new THREE.Color(color).getHexString();
+    var labelParent = domElement.parentNode;
+    if (labelParent) {
+        if (window.getComputedStyle(labelParent).position === 'static') labelParent.style.position = 'relative';
+        labelParent.appendChild(label);
+    }
+
+    /**
+     * Collects the snap points again. Call this after the visible entities change.
+     */
+    this.refresh = function () {
+        snapPoints = [];
+        segments = [];
+        root.updateMatrixWorld();
+        root.traverseVisible(function (object) {
+            if (object === overlay) return;
+            var batch = object.userData.batch;
+            if (batch) {
+                for (var i = 0; i < batch.entities.length; i++) {
+                    collectSnapPoints(object, batch.entities[i], { start: batch.starts[i], count: batch.counts[i] });
+                }
+            } else if (object.userData.entity) {
+                collectSnapPoints(object, object.userData.entity);
+            }
+        });
+    };
+
+    /**
+     * Drops the measurement in progress.
+     */
+    this.clear = function () {
+        points = [];
+        update();
+    };
+
+    /**
+     * Measures the given points in the current mode without any user interaction.
+     * @param {THREE.Vector3[]} measurePoints - the points in world coordinates
+     * @return {Object} the measurement result
+     */
+    this.measure = function (measurePoints) {
+        return createResult(scope.mode, measurePoints);
+    };
+
+    /**
+     * Keeps the label next to the measurement. Called after the view has been rendered.
+     */
+    this.updateLabel = function () {
+        var anchor = points.length ? points[points.length - 1] : null;
+        if (cursor && (points.length || scope.mode !== 'distance')) anchor = cursor;
+        var text = getLabelText();
+        if (!anchor || !text) {
+            label.style.display = 'none';
+            return;
+        }
+
+        var screen = anchor.clone().project(camera);
+        label.textContent = text;
+        label.style.display = 'block';
+        label.style.left = (domElement.offsetLeft + (screen.x + 1) / 2 * domElement.clientWidth + 12) + 'px';
+        label.style.top = (domElement.offsetTop + (1 - screen.y) / 2 * domElement.clientHeight + 12) + 'px';
+    };
+
+    this.dispose = function () {
+        domElement.removeEventListener('mousedown', onMouseDown, false);
+        domElement.removeEventListener('mouseup', onMouseUp, false);
+        domElement.removeEventListener('mousemove', onMouseMove, false);
+        domElement.removeEventListener('dblclick', onDoubleClick, false);
+        domElement.removeEventListener('keydown', onKeyDown, false);
+        if (addedTabIndex) domElement.removeAttribute('tabindex');
+
+        root.remove(overlay);
+        pathLine.geometry.dispose();
+        pathLine.material.dispose();
+        marker.geometry.dispose();
+        marker.material.dispose();
+        if (label.parentNode) label.parentNode.removeChild(label);
+        render();
+    };
+
+    function createOverlayLine() {
+        var material = new THREE.LineBasicMaterial({ color: color, depthTest: false, transparent: true });
+        var line = new THREE.Line(new THREE.BufferGeometry(), material);
+        line.renderOrder = 999;
+        line.frustumCulled = false;
+        return line;
+    }
+
+    /**
+     * @param {THREE.Object3D} object - the object drawn for the entity
+     * @param {Object} entity - the dxf entity
+     * @param {Object} range - { start, count } of the entity's vertices if object is a batch of lines
+     */
+    function collectSnapPoints(object, entity, range) {
+        var matrix = object.matrixWorld;
+        var i;
+
+        // Batches hold world coordinates, the objects of other entities are moved into their OCS
+        var ocsMatrix = range && getEntityOcsMatrix(entity);
+        if (ocsMatrix) matrix = matrix.clone().multiply(ocsMatrix);
+        var planar = isOcsEntity(entity);
+
+        if (entity.type === 'LINE' || entity.type === 'LWPOLYLINE' || entity.type === 'POLYLINE') {
+            if (!object.isLine || !entity.vertices) return;
+            var vertices = entity.vertices.map(function (v) {
+                return new THREE.Vector3(v.x, v.y, planar ? 0 : v.z || 0).applyMatrix4(matrix);
+            });
+            for (i = 0; i < vertices.length; i++) {
+                snapPoints.push({ point: vertices[i], kind: 'endpoint' });
+                var next = i + 1 < vertices.length ? vertices[i + 1] : (entity.shape ? vertices[0] : null);
+                if (next && !entity.vertices[i].bulge) {
+                    snapPoints.push({ point: vertices[i].clone().add(next).multiplyScalar(0.5), kind: 'midpoint' });
+                }
+            }
+        } else if (entity.type === 'ARC' || entity.type === 'CIRCLE' || entity.type === 'ELLIPSE') {
+            // Arcs and circles are drawn around their center unless they are batched
+            var center = range ? new THREE.Vector3(entity.center.x, entity.center.y, entity.center.z || 0).applyMatrix4(matrix)
+                : new THREE.Vector3().setFromMatrixPosition(matrix);
+            snapPoints.push({ point: center, kind: 'center' });
+        }
+
+        if (!object.isLine) return;
+
+        var line = getWorldPolyline(object, range);
+        if (entity.type !== 'CIRCLE' && line.length > 1 && entity.type !== 'LINE' &&
+            entity.type !== 'LWPOLYLINE' && entity.type !== 'POLYLINE') {
+            snapPoints.push({ point: line[0], kind: 'endpoint' });
+            snapPoints.push({ point: line[line.length - 1], kind: 'endpoint' });
+        }
+        var step = object.isLineSegments ? 2 : 1;
+        for (i = 0; i + 1 < line.length; i += step) {
+            segments.push([line[i], line[i + 1]]);
+        }
+        if (object.isLineLoop && line.length > 2) segments.push([line[line.length - 1], line[0]]);
+    }
+
+    function getWorldPolyline(object, range) {
+        var position = object.geometry.getAttribute('position');
+        var line = [];
+        if (!position) return line;
+        var start = range ? range.start : 0;
+        var end = range ? range.start + range.count : position.count;
+        for (var i = start; i < end; i++) {
+            line.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(object.matrixWorld));
+        }
+        return line;
+    }
+
+    function getWorldPoint(event) {
+        var rect = domElement.getBoundingClientRect();
+        pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        camera.updateMatrixWorld();
+        raycaster.setFromCamera(pointer, camera);
+        var point = new THREE.Vector3();
+        return raycaster.ray.intersectPlane(plane, point) ? point : null;
+    }
+
+    function getWorldUnitsPerPixel() {
+        return (camera.right - camera.left) / camera.zoom / domElement.clientWidth;
+    }
+
+    function findSnap(point) {
+        var tolerance = scope.snapTolerance * getWorldUnitsPerPixel();
+        var best = null;
+        var bestDistance = tolerance;
+        var i;
+
+        for (i = 0; i < snapPoints.length; i++) {
+            var distance = snapPoints[i].point.distanceTo(point);
+            if (distance < bestDistance) {
+                best = snapPoints[i];
+                bestDistance = distance;
+            }
+        }
+        if (best) return best;
+
+        // Intersections are only searched for among the segments near the cursor
+        var near = [];
+        var closest = new THREE.Vector3();
+        for (i = 0; i < segments.length; i++) {
+            new THREE.Line3(segments[i][0], segments[i][1]).closestPointToPoint(point, true, closest);
+            if (closest.distanceTo(point) < tolerance) near.push(segments[i]);
+        }
+        for (i = 0; i < near.length; i++) {
+            for (var j = i + 1; j < near.length; j++) {
+                var intersection = intersectSegments(near[i], near[j]);
+                if (intersection && intersection.distanceTo(point) < bestDistance) {
+                    best = { point: intersection, kind: 'intersection' };
+                    bestDistance = intersection.distanceTo(point);
+                }
+            }
+        }
+        return best;
+    }
+
+    function update() {
+        var linePoints = points.slice();
+        if (cursor && points.length && !(scope.mode === 'distance' && points.length === 2)) linePoints.push(cursor);
+        if (scope.mode === 'area' && linePoints.length > 2) linePoints.push(linePoints[0]);
+        pathLine.geometry.dispose();
+        pathLine.geometry = new THREE.BufferGeometry().setFromPoints(linePoints);
+
+        marker.geometry.dispose();
+        marker.geometry = new THREE.BufferGeometry();
+        if (cursor && cursor.snapped) {
+            var size = 5 * getWorldUnitsPerPixel();
+            marker.geometry.setFromPoints([
+                new THREE.Vector3(cursor.x - size, cursor.y - size, 0),
+                new THREE.Vector3(cursor.x + size, cursor.y - size, 0),
+                new THREE.Vector3(cursor.x + size, cursor.y + size, 0),
+                new THREE.Vector3(cursor.x - size, cursor.y + size, 0),
+                new THREE.Vector3(cursor.x - size, cursor.y - size, 0)
+            ]);
+        }
+        render();
+    }
+
+    function getLabelText() {
+        var measured = points.slice();
+        var finished = scope.mode === 'distance' && points.length === 2;
+        if (cursor && !finished) measured.push(cursor);
+        if (measured.length < 2) return '';
+        return createResult(scope.mode, measured).text;
+    }
+
+    function createResult(mode, measurePoints) {
+        var length = 0;
+        for (var i = 1; i < measurePoints.length; i++) {
+            length += measurePoints[i].distanceTo(measurePoints[i - 1]);
+        }
+
+        var unit = scope.units.abbreviation ? ' ' + scope.units.abbreviation : '';
+        var result = {
+            mode: mode,
+            points: measurePoints.map(function (p) { return new THREE.Vector3(p.x, p.y, p.z); }),
+            units: scope.units.name
+        };
+
+        if (mode === 'area') {
+            var closing = measurePoints.length > 2 ? measurePoints[measurePoints.length - 1].distanceTo(measurePoints[0]) : 0;
+            result.perimeter = length + closing;
+            result.value = getPolygonArea(measurePoints);
+            result.text = 'Area: ' + result.value.toFixed(scope.precision) + unit + (unit ? '²' : '');
+        } else {
+            result.value = length;
+            result.text = (mode === 'path' ? 'Length: ' : '') + length.toFixed(scope.precision) + unit;
+        }
+        return result;
+    }
+
+    function finish() {
+        var minimum = scope.mode === 'area' ? 3 : 2;
+        if (points.length < minimum) return;
+
+        var result = createResult(scope.mode, points);
+        if (options.onMeasure) options.onMeasure(result);
+        dispatcher.dispatchEvent({ type: 'measure', result: result });
+
+        // Distances stay on screen until the next click, paths and areas start over right away
+        if (scope.mode !== 'distance') points = [];
+        update();
+    }
+
+    function addPoint(point) {
+        if (scope.mode === 'distance' && points.length === 2) points = [];
+
+        var last = points[points.length - 1];
+        if (last && last.distanceTo(point) < 1e-9) return;
+        points.push(point.clone());
+
+        if (scope.mode === 'distance' && points.length === 2) finish();
+        else update();
+    }
+
+    function onMouseDown(event) {
+        if (event.button !== 0) return;
+        // Controls may prevent the default focus change on clicks
+        domElement.focus({ preventScroll: true });
+        downPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    function onMouseUp(event) {
+        if (event.button !== 0 || !downPosition) return;
+        var moved = Math.abs(event.clientX - downPosition.x) + Math.abs(event.clientY - downPosition.y);
+        downPosition = null;
+        if (moved > scope.clickTolerance || !cursor) return;
+        addPoint(cursor);
+    }
+
+    function onMouseMove(event) {
+        if (event.buttons) return;
+        var point = getWorldPoint(event);
+        if (!point) return;
+
+        var snap = scope.snap ? findSnap(point) : null;
+        cursor = snap ? snap.point.clone() : point;
+        cursor.snapped = !!snap;
+        cursor.snapKind = snap ? snap.kind : null;
+        update();
+    }
+
+    function onDoubleClick() {
+        finish();
+    }
+
+    function onKeyDown(event) {
+        if (event.key === 'Escape') scope.clear();
+        else if (event.key === 'Enter') finish();
+    }
+
+    domElement.addEventListener('mousedown', onMouseDown, false);
+    domElement.addEventListener('mouseup', onMouseUp, false);
+    domElement.addEventListener('mousemove', onMouseMove, false);
+    domElement.addEventListener('dblclick', onDoubleClick, false);
+    // Keys only count while the canvas has the focus, not when typed elsewhere on the page
+    var addedTabIndex = !domElement.hasAttribute('tabindex');
+    if (addedTabIndex) domElement.setAttribute('tabindex', '0');
+    domElement.addEventListener('keydown', onKeyDown, false);
+
+    this.refresh();
+}
+
+/**
+ * Returns the intersection point of two line segments, or null if they do not cross.
+ * @param {THREE.Vector3[]} a - the first segment's start and end points
+ * @param {THREE.Vector3[]} b - the second segment's start and end points
+ * @return {THREE.Vector3} the intersection
+ */
+function intersectSegments(a, b) {
+    var d1x = a[1].x - a[0].x, d1y = a[1].y - a[0].y;
+    var d2x = b[1].x - b[0].x, d2y = b[1].y - b[0].y;
+    var denominator = d1x * d2y - d1y * d2x;
+    if (Math.abs(denominator) < 1e-12) return null;
+
+    var t = ((b[0].x - a[0].x) * d2y - (b[0].y - a[0].y) * d2x) / denominator;
+    var u = ((b[0].x - a[0].x) * d1y - (b[0].y - a[0].y) * d1x) / denominator;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+    return new THREE.Vector3(a[0].x + t * d1x, a[0].y + t * d1y, 0);
+}
+
+/**
+ * Area of a simple polygon using the shoelace formula.
+ * @param {THREE.Vector3[]} points - the polygon vertices
+ * @return {Number} the (unsigned) area
+ */
+function getPolygonArea(points) {
+    var area = 0;
+    for (var i = 0; i < points.length; i++) {
+        var p = points[i];
+        var q = points[(i + 1) % points.length];
+        area += p.x * q.y - q.x * p.y;
+    }
+    return Math.abs(area) / 2;
+}
@@ -8,7 +8,7 @@
 /*global THREE, console */
 
 // This set of controls performs orbiting, dollying (zooming), and panning. It maintains
-// the "up" direction as +Y, unlike the TrackballControls. Touch on tablet and phones is
+// the "up" direction of the camera (object.up), unlike the TrackballControls. Touch on tablet and phones is
 // supported.
 //
 //    Orbit - left mouse / touch: one finger move
@@ -97,6 +97,10 @@ export function OrbitControls( object, domElement ) {
 	var phiDelta = 0;
 	var thetaDelta = 0;
 	var scale = 1;
+
+	var yAxis = new THREE.Vector3( 0, 1, 0 );
+	var quat = new THREE.Quaternion();
+	var quatInverse = new THREE.Quaternion();
 	var pan = new THREE.Vector3();
 
 	var lastPosition = new THREE.Vector3();
@@ -241,57 +245,42 @@ export function OrbitControls( object, domElement ) {
 		var position = this.object.position;
 
 		offset.copy( position ).sub( this.target );
-//
-//		// angle from z-axis around y-axis
-//
-//		var theta = Math.atan2( offset.x, offset.z );
-//
-//		// angle from y-axis
-//
-//		var phi = Math.atan2( Math.sqrt( offset.x * offset.x + offset.z * offset.z ), offset.y );
-//
-//		if ( this.autoRotate ) {
-//
-//			this.rotateLeft( getAutoRotationAngle() );
-//
-//		}
-//
-//		theta += thetaDelta;
-//		phi += phiDelta;
-//
-//		// restrict phi to be between desired limits
-//		phi = Math.max( this.minPolarAngle, Math.min( this.maxPolarAngle, phi ) );
-//
-//		// restrict phi to be betwee EPS and PI-EPS
-//		phi = Math.max( EPS, Math.min( Math.PI - EPS, phi ) );
-//
-//		var radius = offset.length() * scale;
-//
-//		// restrict radius to be between desired limits
-//		radius = Math.max( this.minDistance, Math.min( this.maxDistance, radius ) );
-//		
-//		// move target to panned location
+
+		// move target to panned location
 		this.target.add( pan );
-//		
-//		offset.x = radius * Math.sin( phi ) * Math.sin( theta );
-//		offset.y = radius * Math.cos( phi );
-//		offset.z = radius * Math.sin( phi ) * Math.cos( theta );
-//
-		position.copy( this.target ).add( offset );
 
-		this.object.lookAt( this.target );
+		if ( this.noRotate !== true && ( thetaDelta !== 0 || phiDelta !== 0 ) ) {
 
+			// rotate offset to "y-axis-is-up" space, so drawings with +Z up (see Viewer.setViewMode) orbit around Z
+			quat.setFromUnitVectors( this.object.up, yAxis );
+			quatInverse.copy( quat ).conjugate();
+			offset.applyQuaternion( quat );
 
-//		if ( lastPosition.distanceTo( this.object.position ) > 0 || scale !== 1 ) {
+			// angle from z-axis around y-axis
+			var theta = Math.atan2( offset.x, offset.z ) + thetaDelta;
 
-			this.dispatchEvent( changeEvent );
+			// angle from y-axis, restricted to the desired limits and kept off the poles
+			var phi = Math.atan2( Math.sqrt( offset.x * offset.x + offset.z * offset.z ), offset.y ) + phiDelta;
+			phi = Math.max( this.minPolarAngle, Math.min( this.maxPolarAngle, phi ) );
+			phi = Math.max( EPS, Math.min( Math.PI - EPS, phi ) );
 
-//			lastPosition.copy( this.object.position );
+			var radius = Math.max( this.minDistance, Math.min( this.maxDistance, offset.length() ) );
 
-//		}
-        
-//        thetaDelta = 0;
-//		phiDelta = 0;
+			offset.x = radius * Math.sin( phi ) * Math.sin( theta );
+			offset.y = radius * Math.cos( phi );
+			offset.z = radius * Math.sin( phi ) * Math.cos( theta );
+			offset.applyQuaternion( quatInverse );
+
+		}
+
+		position.copy( this.target ).add( offset );
+
+		this.object.lookAt( this.target );
+
+		this.dispatchEvent( changeEvent );
+
+		thetaDelta = 0;
+		phiDelta = 0;
 		scale = 1;
 		pan.set( 0, 0, 0 );
 
@@ -623,7 +612,31 @@ export function OrbitControls( object, domElement ) {
 
 	}
 
-	this.domElement.addEventListener( 'contextmenu', function ( event ) { event.preventDefault(); }, false );
+	function onContextMenu( event ) {
+
+		event.preventDefault();
+
+	}
+
+	this.dispose = function () {
+
+		scope.domElement.removeEventListener( 'contextmenu', onContextMenu, false );
+		scope.domElement.removeEventListener( 'mousedown', onMouseDown, false );
+		scope.domElement.removeEventListener( 'mousewheel', onMouseWheel, false );
+		scope.domElement.removeEventListener( 'DOMMouseScroll', onMouseWheel, false );
+
+		scope.domElement.removeEventListener( 'touchstart', touchstart, false );
+		scope.domElement.removeEventListener( 'touchend', touchend, false );
+		scope.domElement.removeEventListener( 'touchmove', touchmove, false );
+
+		scope.domElement.removeEventListener( 'mousemove', onMouseMove, false );
+		scope.domElement.removeEventListener( 'mouseup', onMouseUp, false );
+
+		window.removeEventListener( 'keydown', onKeyDown, false );
+
+	};
+
+	this.domElement.addEventListener( 'contextmenu', onContextMenu, false );
 	this.domElement.addEventListener( 'mousedown', onMouseDown, false );
 	this.domElement.addEventListener( 'mousewheel', onMouseWheel, false );
 	this.domElement.addEventListener( 'DOMMouseScroll', onMouseWheel, false ); // firefox
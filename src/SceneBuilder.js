@@ -0,0 +1,1633 @@
+import * as THREE from 'three';
+import { BufferGeometry, Color, Float32BufferAttribute, Vector3 } from 'three';
+import { getBulgeCurvePoints, getBSplinePolyline } from './curves';
+import { drawHatch } from './hatch';
+import { getDimensionStyle, getDimensionPartColor, createDimensionGeometry, getArrowPoints } from './dimension';
+import { createLeaderGeometry, createMLeaderGeometry, findBlock } from './leaders';
+import { Text } from 'troika-three-text'
+import { parseMTextRuns, layoutMText, positionLines, getPlainText, STACK_SCALE } from './mtext';
+import { getTextStyle, textToMText, getTextPlacement } from './text';
+import { FontResolver } from './fonts';
+import { createWarnOnce } from './warnings';
+import { ShxFont } from './shx';
+import { getAciColor, getForegroundColor, getRawColor, resolveColor } from './colors';
+import { createThickLine, getLineweightPixels } from './ThickLine';
+import { LineBatcher } from './LineBatcher';
+import { getOcsMatrix, getEntityOcsMatrix, isOcsEntity } from './ocs';
+import { isFaceEntity, getFaceGeometry } from './faces';
+import { MODEL, getLayoutEntities, isModelViewport, getViewportMatrix, getViewportClippingPlanes, getViewportFrozenLayers } from './layouts';
+
+// Slant of italic text, in degrees
+var ITALIC_ANGLE = 15;
+// Rough advance of a character relative to the text height, for text without font metrics
+var AVERAGE_ADVANCE = 0.6;
+
+var LINEWEIGHT_BY_LAYER = -1;
+var LINEWEIGHT_BY_BLOCK = -2;
+
+var DEFAULT_OPTIONS = {
+    font: null,
+    fonts: null,
+    // troika lays text out in a web worker, which node has not got
+    syncText: typeof window !== 'undefined',
+    background: null,
+    darkMode: false,
+    lineweights: null,
+    layout: MODEL,
+    batchLines: false,
+    shareBlockGeometry: true,
+    faces: 'shaded',
+    arcSegments: 32,
+    ellipseSegments: 50,
+    splineSegments: 100,
+    pointSize: 0.1
+};
+
+/**
+ * Creates the three.js objects for the entities of a dxf. Nothing here needs a DOM or WebGL,
+ * so scenes can be built on a server as well (see Thumbnail).
+ * @param {Object} data - the dxf object
+ * @param {Object} options - { font, fonts, syncText, background, darkMode, lineweights, layout, batchLines, shareBlockGeometry, faces, arcSegments, ellipseSegments, splineSegments, pointSize }
+ *                           font - the URL of a font for troika, or a font loaded with THREE.FontLoader
+ *                                  that only helps to lay out text, troika's default font is used otherwise
+ *                           fonts - fonts for text styles, font files and font families, see FontResolver
+ *                           syncText - lay out text with troika, which needs a browser. True in
+ *                                      browsers, false elsewhere (e.g. in node)
+ *                           background - the background the drawing is shown on, ACI 7 is drawn
+ *                                        black on light and white on dark backgrounds
+ *                           darkMode - assume a black background if none is given
+ *                           lineweights - show lineweights, follows the $LWDISPLAY header by default
+ *                           layout - the layout to draw, model space ('Model') by default, see getLayouts
+ *                           batchLines - draw lines, polylines, arcs and circles outside of blocks in
+ *                                        a few batches instead of an object per entity (see LineBatcher)
+ *                           shareBlockGeometry - share the geometries and materials of a block between
+ *                                                its inserts, true by default. This saves memory,
+ *                                                not draw calls: every insert still has objects
+ *                                                of its own, see drawBlockContent
+ *                           faces - 'shaded' (default) to fill 3D faces and meshes, 'wireframe' to only
+ *                                   draw their edges
+ *                           arcSegments - segments per circle or arc, 32 by default
+ *                           ellipseSegments - segments per ellipse, 50 by default
+ *                           splineSegments - interpolated points per spline segment, 100 by default
+ *                           pointSize - size of POINT entities, 0.1 by default
+ * @return {Object} { group, layers, lineweights, extents, faces }
+ *                  group - a THREE.Group with a child group per layer
+ *                  layers - the layer groups keyed by layer name
+ *                  lineweights - whether lineweights are shown, see setThickLinesVisible
+ *                  extents - { min, max } bounds of the drawn entities
+ *                  faces - true if the drawing has 3D faces or meshes, which are best seen from an angle
+ */
+export function buildScene(data, options) {
+    var builder = new SceneBuilder(data, options);
+    builder.drawEntities(Infinity);
+    return builder.finish();
+}
+
+/**
+ * Builds a scene like buildScene, but in chunks of a few milliseconds so the page stays
+ * responsive while large drawings load. The group is returned right away and filled chunk by
+ * chunk, so it can be shown before everything is drawn.
+ * @param {Object} data - the dxf object
+ * @param {Object} options - the options of buildScene, and
+ *                           chunkTime - milliseconds to draw for before yielding, 16 by default
+ *                           onProgress - called after each chunk with { loaded, total, extents },
+ *                                        loaded and total count the entities of the drawing,
+ *                                        and of model space on layouts with viewports
+ * @return {Object} { group, layers, lineweights, promise, cancel }
+ *                  group, layers, lineweights - as returned by buildScene
+ *                  promise - resolves with the result of buildScene once every entity is drawn,
+ *                            rejects with an error that has `cancelled` set after cancel()
+ *                  cancel - stops drawing, whatever was drawn so far stays in the group
+ */
+export function buildSceneAsync(data, options) {
+    options = Object.assign({ chunkTime: 16 }, options);
+    var builder = new SceneBuilder(data, options);
+    var total = builder.total;
+    var timer = null;
+    var settled = false;
+    var resolvePromise, rejectPromise;
+
+    var promise = new Promise(function (resolve, reject) {
+        resolvePromise = resolve;
+        rejectPromise = reject;
+    });
+
+    function drawChunk() {
+        timer = null;
+        try {
+            var loaded = builder.drawEntities(Date.now() + options.chunkTime);
+            // Batches are closed after every chunk so what is drawn shows up right away
+            builder.flushBatches();
+            if (options.onProgress) options.onProgress({ loaded: loaded, total: total, extents: builder.getExtents() });
+            if (settled) return;
+            if (loaded < total) {
+                timer = setTimeout(drawChunk, 0);
+            } else {
+                settled = true;
+                resolvePromise(builder.finish());
+            }
+        } catch (error) {
+            settled = true;
+            rejectPromise(error);
+        }
+    }
+    timer = setTimeout(drawChunk, 0);
+
+    return {
+        group: builder.group,
+        layers: builder.layers,
+        lineweights: builder.lineweights,
+        promise: promise,
+        cancel: function () {
+            if (settled) return;
+            settled = true;
+            if (timer !== null) clearTimeout(timer);
+            var error = new Error('Building the scene was cancelled');
+            error.cancelled = true;
+            rejectPromise(error);
+        }
+    };
+}
+
+/**
+ * Draws the entities of a dxf into a group, as many at a time as asked for. See buildScene for
+ * the options.
+ * @constructor
+ */
+function SceneBuilder(data, options) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    var fonts = new FontResolver(options.fonts, options.font);
+    // Problems with the drawing are reported once per build
+    var warn = createWarnOnce();
+
+    var entities = getLayoutEntities(data, options.layout);
+    if (!entities) throw new Error('Unknown layout: ' + options.layout);
+
+    var background = options.background;
+    if (background === undefined || background === null || background === 'transparent') {
+        background = options.darkMode ? 0x000000 : 0xffffff;
+    }
+    // The color of ACI 7, black or white depending on the background
+    var foreground = getForegroundColor(background);
+
+    var header = data.header || {};
+    var showLineweights = options.lineweights === undefined || options.lineweights === null
+        ? !!header['$LWDISPLAY'] : !!options.lineweights;
+    var defaultLineweight = header['$LWDEFAULT'] >= 0 ? header['$LWDEFAULT'] : 25;
+
+    var lineTypeShaders = createLineTypeShaders(data);
+
+    var root = new THREE.Group();
+
+    // Every rendered entity lives in the group of the layer it was drawn on so
+    // layers can be toggled without rebuilding the scene.
+    var layerGroups = {};
+
+    var batcher = options.batchLines ? new LineBatcher() : null;
+
+    // The objects drawn for blocks, shared by their inserts (see drawBlockContent)
+    var blockTemplates = {};
+
+    // Set once a 3D face or mesh is drawn, see addLights
+    var hasFaces = false;
+    var lights = null;
+
+    // The viewports into model space of a paper space layout, shown once model space is drawn
+    // after the entities of the layout by a builder of its own (see drawModelSpace)
+    var viewports = [];
+    var model = options.layout !== MODEL && entities.some(isDrawnViewport)
+        ? new SceneBuilder(data, Object.assign({}, options, { layout: MODEL })) : null;
+    var modelSpace = null;
+
+    var bounds = new THREE.Box3();
+    // Scratch box and the transforms of the levels of an object for addExtents
+    var extentsBox = new THREE.Box3();
+    var extentsMatrices = [];
+    // The index of the next entity to draw
+    var next = 0;
+
+    this.group = root;
+    this.layers = layerGroups;
+    this.lineweights = showLineweights;
+    // The number of entities on the layout, and in model space if the layout has viewports
+    this.total = entities.length + (model ? model.total : 0);
+
+    /**
+     * Draws entities until all of them are drawn or the time is up, those of the layout first,
+     * then model space for its viewports.
+     * @param {Number} deadline - the time (as in Date.now()) to stop at, Infinity to draw everything
+     * @return {Number} the number of entities drawn so far
+     */
+    this.drawEntities = function (deadline) {
+        while (next < entities.length) {
+            var entity = entities[next++];
+            if (!batcher || !addToBatch(entity, data)) {
+                var obj = drawEntity(entity, data);
+
+                if (obj) {
+                    addExtents(obj, null, 0);
+                    getLayerGroup(entity.layer).add(obj);
+                }
+            }
+            if (Date.now() >= deadline) return next;
+        }
+        return model ? next + drawModelSpace(deadline) : next;
+    };
+
+    /**
+     * Adds the objects for the lines batched so far to the scene.
+     */
+    this.flushBatches = function () {
+        if (!batcher) return;
+        batcher.createObjects().forEach(function (batch) {
+            // One pass over the vertices of the batch instead of a box per entity
+            addExtents(batch, null, 0);
+            addThickLine(batch, batch.userData.lineweight);
+            getLayerGroup(batch.userData.layer).add(batch);
+        });
+    };
+
+    /**
+     * @return {Object} { min, max } bounds of the entities drawn so far, zero if there are none
+     */
+    this.getExtents = function () {
+        if (bounds.isEmpty()) return { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+        return {
+            min: { x: bounds.min.x, y: bounds.min.y, z: bounds.min.z },
+            max: { x: bounds.max.x, y: bounds.max.y, z: bounds.max.z }
+        };
+    };
+
+    /**
+     * @return {Object} { group, layers, lineweights, extents, faces }, see buildScene
+     */
+    this.finish = function () {
+        this.flushBatches();
+        return {
+            group: root,
+            layers: layerGroups,
+            lineweights: showLineweights,
+            extents: this.getExtents(),
+            faces: hasFaces
+        };
+    };
+
+    /**
+     * Adds the vertices drawn for an object to the bounds. Each geometry is scanned once, the
+     * geometry of inserts of the same block keeps its box, and only that box is transformed.
+     * @param {THREE.Object3D} object - the object of an entity, not yet in the scene
+     * @param {THREE.Matrix4} parentMatrix - the transform of its parent within the entity, null at the top
+     * @param {Number} depth - how deep the object is within the entity, 0 at the top
+     */
+    function addExtents(object, parentMatrix, depth) {
+        if (object.matrixAutoUpdate) object.updateMatrix();
+        var matrix = object.matrix;
+        if (parentMatrix) {
+            if (!extentsMatrices[depth]) extentsMatrices[depth] = new THREE.Matrix4();
+            matrix = extentsMatrices[depth].multiplyMatrices(parentMatrix, matrix);
+        }
+
+        var geometry = object.geometry;
+        if (geometry && geometry.attributes && geometry.attributes.position) {
+            if (!geometry.boundingBox) geometry.computeBoundingBox();
+            extentsBox.copy(geometry.boundingBox).applyMatrix4(matrix);
+            if (!extentsBox.isEmpty() && isFinite(extentsBox.min.x) && isFinite(extentsBox.max.x)) bounds.union(extentsBox);
+        }
+        for (var i = 0; i < object.children.length; i++) addExtents(object.children[i], matrix, depth + 1);
+    }
+
+    function getLayerGroup(name) {
+        name = name || '0';
+        var group = layerGroups[name];
+        if (group) return group;
+
+        group = layerGroups[name] = new THREE.Object3D();
+        group.name = name;
+
+        // Layers that are turned off or frozen in the dxf start out hidden
+        var layer = getTableLayers(data)[name];
+        if (layer && (layer.visible === false || layer.frozen)) group.visible = false;
+
+        root.add(group);
+        return group;
+    }
+
+    /**
+     * Draws model space for the viewports of the layout until it is drawn or the time is up, then
+     * shows it through every viewport. Its faces light the layout too.
+     * @param {Number} deadline - the time (as in Date.now()) to stop at
+     * @return {Number} the number of model space entities drawn so far
+     */
+    function drawModelSpace(deadline) {
+        if (modelSpace) return model.total;
+        var loaded = model.drawEntities(deadline);
+        if (loaded < model.total) return loaded;
+
+        modelSpace = model.finish();
+        if (modelSpace.faces) hasFaces = true;
+        if (modelSpace.group.getObjectByName('lights')) addLights();
+        // Copies for further viewports share the transforms, which have to be up to date
+        for (var name in modelSpace.layers) modelSpace.layers[name].updateMatrixWorld(true);
+        viewports.forEach(function (viewport, index) {
+            showModelSpace(viewport, index === 0);
+        });
+        return loaded;
+    }
+
+    /**
+     * @param {Object} entity - the dxf entity
+     * @param {Object} data - the dxf object
+     * @param {Object} byBlock - the properties BYBLOCK resolves to when drawing the contents of a
+     *                           block ({ layer, color, lineType, lineweight }), undefined outside of blocks
+     */
+    function drawEntity(entity, data, byBlock) {
+        var mesh;
+        if (entity.type === 'CIRCLE' || entity.type === 'ARC') {
+            mesh = drawArc(entity, data, byBlock);
+        } else if (isFaceEntity(entity)) {
+            mesh = drawFaces(entity, data, byBlock);
+        } else if (entity.type === 'LWPOLYLINE' || entity.type === 'LINE' || entity.type === 'POLYLINE') {
+            mesh = drawLine(entity, data, byBlock);
+        } else if (entity.type === 'TEXT') {
+            mesh = drawText(entity, data, byBlock);
+        } else if (entity.type === 'ATTRIB' || entity.type === 'ATTDEF') {
+            mesh = drawAttribute(entity, data, byBlock);
+        } else if (entity.type === 'SOLID') {
+            mesh = drawSolid(entity, data, byBlock);
+        } else if (entity.type === 'POINT') {
+            mesh = drawPoint(entity, data, byBlock);
+        } else if (entity.type === 'INSERT') {
+            mesh = drawBlock(entity, data, byBlock);
+        } else if (entity.type === 'SPLINE') {
+            mesh = drawSpline(entity, data, byBlock);
+        } else if (entity.type === 'MTEXT') {
+            mesh = drawMtext(entity, data, byBlock);
+        } else if (entity.type === 'ELLIPSE') {
+            mesh = drawEllipse(entity, data, byBlock);
+        } else if (entity.type === 'HATCH') {
+            mesh = drawHatch(entity, getColor(entity, data, byBlock), warn);
+        } else if (entity.type === 'DIMENSION') {
+            mesh = drawDimension(entity, data, byBlock);
+        } else if (entity.type === 'LEADER') {
+            mesh = drawLeader(entity, data, byBlock);
+        } else if (entity.type === 'MULTILEADER') {
+            mesh = drawMLeader(entity, data, byBlock);
+        } else if (entity.type === 'VIEWPORT') {
+            mesh = drawViewport(entity, data, byBlock);
+        }
+        else {
+            console.log("Unsupported Entity Type: " + entity.type);
+        }
+        // Planar entities are drawn in their OCS, then moved onto their plane
+        var ocsMatrix = mesh && getEntityOcsMatrix(entity);
+        if (ocsMatrix) {
+            mesh.updateMatrix();
+            mesh.matrix.premultiply(ocsMatrix);
+            mesh.matrixAutoUpdate = false;
+        }
+        // Lets picking map the rendered object back to the dxf entity
+        if (mesh) mesh.userData.entity = entity;
+        return mesh;
+    }
+
+    /**
+     * Adds lines, polylines, arcs and circles to the batch of their layer, color, linetype and
+     * lineweight instead of drawing them as objects of their own.
+     * @return {Boolean} false if the entity can not be batched
+     */
+    function addToBatch(entity, data) {
+        var points, offset;
+        if (entity.type === 'LINE' || entity.type === 'LWPOLYLINE' || entity.type === 'POLYLINE') {
+            if (!entity.vertices || isFaceEntity(entity)) return false;
+            points = getLinePoints(entity);
+        } else if (entity.type === 'CIRCLE' || entity.type === 'ARC') {
+            points = getArcPoints(entity);
+            offset = entity.center;
+        } else {
+            return false;
+        }
+
+        var ocsMatrix = getEntityOcsMatrix(entity);
+        if (ocsMatrix) {
+            var origin = offset ? new THREE.Vector3(offset.x, offset.y, offset.z || 0) : new THREE.Vector3();
+            points = points.map(function (point) {
+                return new THREE.Vector3(point.x, point.y, point.z || 0).add(origin).applyMatrix4(ocsMatrix);
+            });
+            offset = undefined;
+        }
+
+        var layer = entity.layer || '0';
+        var color = getColor(entity, data);
+        var lineType = getLineType(entity, data);
+        var lineweight = getLineweight(entity, data);
+        // Dash patterns are part of the material, continuous lines can share one
+        var dashes = lineType && lineTypeShaders[lineType] ? lineType + ' ' + getLineTypeScale(entity, data) : '';
+
+        var key = [layer, color, dashes, lineweight].join('|');
+        if (!batcher.has(key)) {
+            batcher.create(key, createLineMaterial(entity, data, undefined, color), { layer: layer, lineweight: lineweight });
+        }
+        batcher.add(key, entity, points, offset);
+        return true;
+    }
+
+    /**
+     * Draws the border of a viewport on a paper space layout. The model space seen through it is
+     * added once model space is drawn, see drawModelSpace and showModelSpace.
+     */
+    function drawViewport(entity, data, byBlock) {
+        if (byBlock || !isDrawnViewport(entity)) return;
+        viewports.push(entity);
+
+        var w = entity.width / 2, h = entity.height / 2;
+        var c = entity.center;
+        var points = [
+            new Vector3(c.x - w, c.y - h, 0), new Vector3(c.x + w, c.y - h, 0),
+            new Vector3(c.x + w, c.y + h, 0), new Vector3(c.x - w, c.y + h, 0),
+            new Vector3(c.x - w, c.y - h, 0)
+        ];
+        var material = createLineMaterial(entity, data, byBlock, getColor(entity, data, byBlock));
+        return createLine(new BufferGeometry().setFromPoints(points), material, getLineweight(entity, data, byBlock));
+    }
+
+    /**
+     * Adds model space as seen through a viewport. Model space is drawn once for all viewports
+     * of the layout, the first viewport shows the objects drawn, every further one a copy
+     * sharing their geometries (see copyViewportObject). Each is moved and scaled into its
+     * window and clipped at its border. Every layer of it goes into the layer group of the same
+     * name, so turning a layer off hides it everywhere; layers frozen in the viewport stay hidden.
+     * @param {Object} entity - the VIEWPORT entity
+     * @param {Boolean} first - whether this is the first viewport of the layout
+     */
+    function showModelSpace(entity, first) {
+        var planes = getViewportClippingPlanes(entity);
+        var matrix = getViewportMatrix(entity);
+        var frozenLayers = getViewportFrozenLayers(entity, getTableLayers(data));
+        var modelLayers = modelSpace.layers;
+        // The clipped materials of the copy by the material they copy
+        var materials = {};
+
+        for (var name in modelLayers) {
+            var layerGroup = first ? modelLayers[name] : copyViewportObject(modelLayers[name], planes, materials);
+            // Turning the layer on and off is up to the layer group of the layout
+            layerGroup.visible = frozenLayers.indexOf(name) === -1;
+            if (first) {
+                layerGroup.traverse(function (object) {
+                    if (object.material) object.material.clippingPlanes = planes;
+                });
+            }
+
+            var view = new THREE.Group();
+            view.matrixAutoUpdate = false;
+            view.matrix.copy(matrix);
+            view.userData.viewport = entity;
+            view.add(layerGroup);
+            getLayerGroup(name).add(view);
+        }
+    }
+
+    function drawEllipse(entity, data, byBlock) {
+        var color = getColor(entity, data, byBlock);
+
+        var xrad = Math.sqrt(Math.pow(entity.majorAxisEndPoint.x, 2) + Math.pow(entity.majorAxisEndPoint.y, 2));
+        var yrad = xrad * entity.axisRatio;
+        var rotation = Math.atan2(entity.majorAxisEndPoint.y, entity.majorAxisEndPoint.x);
+
+        var curve = new THREE.EllipseCurve(
+            entity.center.x, entity.center.y,
+            xrad, yrad,
+            entity.startAngle, entity.endAngle,
+            false, // Always counterclockwise
+            rotation
+        );
+
+        var points = curve.getPoints(options.ellipseSegments);
+        var geometry = new THREE.BufferGeometry().setFromPoints(points);
+        var material = createLineMaterial(entity, data, byBlock, color);
+
+        // Create the final object to add to the scene
+        var ellipse = createLine(geometry, material, getLineweight(entity, data, byBlock));
+        return ellipse;
+    }
+
+    function drawMtext(entity, data, byBlock) {
+        var color = getColor(entity, data, byBlock);
+        return createTextForScene(entity.text, { textHeight: entity.height, font: fonts.getStyleFontName(entity.styleName, data) }, entity, color);
+    }
+
+    /**
+     * Draws MTEXT content (the text of MTEXT entities, dimensions and multileaders) run by run:
+     * every run of text in one format is a troika Text placed by layoutMText, stacked text is
+     * drawn smaller above and below a bar, and underlines, overlines and strike throughs are
+     * lines. Until troika has measured the runs their widths are estimated (see measureText),
+     * then the lines are positioned again.
+     * @param {String} text - the MTEXT content, with its formatting codes
+     * @param {Object} style - { textHeight, horizontalAlignment, font } the alignment is used for
+     *                         paragraphs without one of their own, the side of the attachment
+     *                         point by default, the font is the name of the font to start with
+     * @param {Object} entity - { position, rotation or directionVector, attachmentPoint, width,
+     *                          lineSpacingFactor, lineSpacingStyle, columns, definedHeight }
+     * @param {Number} color - the color of the text
+     * @return {THREE.Object3D} the text, null if there is none
+     */
+    function createTextForScene(text, style, entity, color) {
+        if (!text) return null;
+        var attachment = entity.attachmentPoint || 1;
+        if (attachment < 1 || attachment > 9) return null;
+        var column = (attachment - 1) % 3;
+        var row = Math.floor((attachment - 1) / 3);
+
+        var items = parseMTextRuns(text, { height: style.textHeight, font: style.font || null });
+        var layoutOptions = {
+            width: entity.width,
+            lineSpacingFactor: entity.lineSpacingFactor,
+            lineSpacingStyle: entity.lineSpacingStyle,
+            textHeight: style.textHeight,
+            definedHeight: entity.definedHeight,
+            align: style.horizontalAlignment || ['left', 'center', 'right'][column],
+            columns: entity.columns
+        };
+
+        var group = new THREE.Object3D();
+        group.position.set(entity.position.x, entity.position.y, entity.position.z || 0);
+        group.rotation.z = getTextRotation(entity);
+        group.add(createLaidOutText(items, layoutOptions, color, function (layout, content) {
+            // Moves the attachment point of the text onto the position
+            content.position.set(-layout.width * column / 2, layout.height * row / 2, 0);
+        }));
+        return group;
+    }
+
+    /**
+     * Creates the runs and stacks of MTEXT content, laid out by layoutMText, in one object
+     * with its plain text and layout in `userData`. place(layout, content) moves the content into place every time its lines moved: with
+     * estimated widths first, then once more after troika has measured the runs.
+     */
+    function createLaidOutText(items, layoutOptions, color, place) {
+        var layout = layoutMText(items, Object.assign({ measure: measureText }, layoutOptions));
+        var content = new THREE.Object3D();
+        // Lets findText search the text and find where it is
+        content.userData.text = getPlainText(items);
+        content.userData.layout = layout;
+
+        var runs = [];
+        layout.lines.forEach(function (line) {
+            line.parts.forEach(function (part) {
+                if (part.text) {
+                    part.object = createRun(part.text, part.style, color, part.width);
+                    // Runs in shape fonts have their exact width already
+                    if (part.object instanceof Text) runs.push(part);
+                } else if (part.stack) {
+                    part.object = createStack(part, color);
+                } else {
+                    return;
+                }
+                content.add(part.object);
+            });
+        });
+        placeTextParts(layout);
+        place(layout, content);
+
+        // Without a DOM (e.g. in node) troika can not lay out text, the text objects are still
+        // created so exporters can write their text
+        var pending = runs.length;
+        if (options.syncText !== false) runs.forEach(function (part) {
+            part.object.sync(function () {
+                // Text disposed while the layout was pending
+                if (part.object.userData.disposed) return;
+                var bounds = part.object.textRenderInfo && part.object.textRenderInfo.blockBounds;
+                if (bounds) part.width = (bounds[2] - bounds[0]) * part.style.widthFactor;
+                if (--pending > 0) return;
+                positionLines(layout);
+                placeTextParts(layout);
+                place(layout, content);
+                // Copies in further viewports share the transforms (see copyViewportObject)
+                for (var object = content; object; object = object.parent) {
+                    if (object.matrixAutoUpdate) object.updateMatrix();
+                }
+            });
+        });
+
+        return content;
+    }
+
+    /**
+     * Moves the runs and stacks of an MTEXT layout into place, the top left corner of the text
+     * at the origin.
+     */
+    function placeTextParts(layout) {
+        layout.lines.forEach(function (line) {
+            line.parts.forEach(function (part) {
+                if (!part.object) return;
+                // Runs smaller than their line sit on its baseline, in its middle or at its top
+                var y = line.baseline + (line.height - part.style.height) * part.style.align / 2;
+                var shear = Math.tan(THREE.MathUtils.degToRad(part.style.oblique + (part.style.italic ? ITALIC_ANGLE : 0)));
+                var widthFactor = part.stack ? 1 : part.style.widthFactor;
+                part.object.matrixAutoUpdate = false;
+                part.object.matrix.set(
+                    widthFactor, shear, 0, line.x + part.x,
+                    0, 1, 0, y,
+                    0, 0, 1, 0,
+                    0, 0, 0, 1);
+                // Lines under, over and through a run stretch to its measured width
+                var decoration = part.object.userData.decoration;
+                if (decoration) {
+                    decoration.scale.x = part.width / decoration.userData.width;
+                    decoration.updateMatrix();
+                }
+            });
+        });
+    }
+
+    /**
+     * Creates a run of text in its font, anchored on its baseline, with a line for each of its
+     * underline, overline and strike through. Italic and oblique text is slanted by
+     * placeTextParts.
+     */
+    function createRun(text, style, color, width) {
+        var runFont = fonts.getFont(style.font);
+        var run = runFont instanceof ShxFont ? createShxRun(text, style, color, runFont) : createTextRun(text, style, color, runFont);
+        addDecorations(run, style, getRunColor(style, color), width);
+        return run;
+    }
+
+    /**
+     * Creates the troika text of a run. Bold text gets an outline in the color of the text.
+     */
+    function createTextRun(text, style, color, runFont) {
+        var run = new Text();
+        run.text = text;
+        // THREE.Fonts only help to measure text, troika needs the URL of a font file
+        if (typeof runFont === 'string') run.font = runFont;
+        run.fontSize = style.height;
+        run.anchorX = 'left';
+        run.anchorY = 'top-baseline';
+        run.color = getRunColor(style, color);
+        if (style.tracking !== 1) run.letterSpacing = (style.tracking - 1) * AVERAGE_ADVANCE;
+        if (style.bold) {
+            run.outlineWidth = '3%';
+            run.outlineColor = run.color;
+        }
+        return run;
+    }
+
+    /**
+     * Draws a run of text in a shape font as line segments.
+     */
+    function createShxRun(text, style, color, shxFont) {
+        var positions = [];
+        layoutShxText(text, style, shxFont, positions);
+        var geometry = new BufferGeometry();
+        geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+        return new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: getRunColor(style, color) }));
+    }
+
+    /**
+     * Places the glyphs of a run of text in a shape font, capital letters as high as the text.
+     * @param {Array} positions - receives the vertices of the line segments, if given
+     * @return {Number} the width of the run, before its width factor
+     */
+    function layoutShxText(text, style, shxFont, positions) {
+        var scale = style.height / shxFont.above;
+        var tracking = (style.tracking - 1) * AVERAGE_ADVANCE * style.height;
+        var x = 0;
+        for (var i = 0; i < text.length; i++) {
+            var code = text.codePointAt(i);
+            if (code > 0xFFFF) i++;
+            var glyph = fonts.getShxGlyph(shxFont, code);
+            if (!glyph) continue;
+            if (positions) {
+                for (var j = 0; j < glyph.segments.length; j += 2) {
+                    positions.push(x + glyph.segments[j] * scale, glyph.segments[j + 1] * scale, 0);
+                }
+            }
+            x += glyph.advance * scale + tracking;
+        }
+        return x;
+    }
+
+    /**
+     * Adds the underline, overline and strike through of a run as lines, placeTextParts
+     * stretches them to the measured width of the run.
+     */
+    function addDecorations(run, style, color, width) {
+        var points = [];
+        var length = width / style.widthFactor;
+        var addLine = function (y) {
+            points.push(new THREE.Vector3(0, y * style.height, 0), new THREE.Vector3(length, y * style.height, 0));
+        };
+        if (style.underline) addLine(-0.2);
+        if (style.overline) addLine(0.9);
+        if (style.strike) addLine(0.35);
+        if (!points.length) return;
+        var decoration = new THREE.LineSegments(new BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color: color }));
+        decoration.userData.width = width;
+        run.userData.decoration = decoration;
+        run.add(decoration);
+    }
+
+    /**
+     * Draws stacked text: fractions with the upper part over a horizontal bar ('/') or before a
+     * diagonal one ('#'), and tolerances ('^') without a bar. A tolerance without a lower part
+     * is a superscript, one without an upper part a subscript.
+     */
+    function createStack(part, color) {
+        var height = part.style.height;
+        var small = Object.assign({}, part.style, { height: height * STACK_SCALE, underline: false, overline: false, strike: false });
+        var upperWidth = part.stackWidths[0], lowerWidth = part.stackWidths[1];
+        var stack = new THREE.Object3D();
+        var bar = [];
+        var addText = function (text, x, y, width) {
+            if (!text) return;
+            var run = createRun(text, small, color, width);
+            run.matrixAutoUpdate = false;
+            run.matrix.set(small.widthFactor, 0, 0, x, 0, 1, 0, y, 0, 0, 1, 0, 0, 0, 0, 1);
+            stack.add(run);
+        };
+
+        var type = part.stack[1];
+        if (type === '/') {
+            addText(part.stack[0], (part.width - upperWidth) / 2, 0.45 * height, upperWidth);
+            addText(part.stack[2], (part.width - lowerWidth) / 2, -0.25 * height, lowerWidth);
+            bar.push(new THREE.Vector3(0, 0.35 * height, 0), new THREE.Vector3(part.width, 0.35 * height, 0));
+        } else if (type === '#') {
+            addText(part.stack[0], 0, 0.35 * height, upperWidth);
+            addText(part.stack[2], part.width - lowerWidth, 0, lowerWidth);
+            bar.push(new THREE.Vector3(upperWidth, 0, 0), new THREE.Vector3(part.width - lowerWidth, 0.7 * height, 0));
+        } else {
+            addText(part.stack[0], 0, 0.4 * height, upperWidth);
+            addText(part.stack[2], 0, -0.2 * height, lowerWidth);
+        }
+        if (bar.length) {
+            stack.add(new THREE.LineSegments(new BufferGeometry().setFromPoints(bar), new THREE.LineBasicMaterial({ color: getRunColor(part.style, color) })));
+        }
+        return stack;
+    }
+
+    function getRunColor(style, color) {
+        if (!style.color) return color;
+        if (style.color.rgb !== undefined) return style.color.rgb;
+        return getAciColor(style.color.index, foreground);
+    }
+
+    /**
+     * Measures a run of text in a shape font, or estimates its width before troika has laid it
+     * out, from the glyphs of the THREE.Font when there is one.
+     */
+    function measureText(text, style) {
+        var runFont = fonts.getFont(style.font);
+        if (runFont instanceof ShxFont) return layoutShxText(text, style, runFont) * style.widthFactor;
+        var glyphs = runFont && runFont.data && runFont.data.glyphs;
+        var scale = glyphs ? style.height / runFont.data.resolution : 0;
+        var width = 0;
+        for (var i = 0; i < text.length; i++) {
+            var glyph = glyphs && glyphs[text[i]];
+            width += glyph && glyph.ha !== undefined ? glyph.ha * scale : style.height * AVERAGE_ADVANCE;
+        }
+        width += text.length * (style.tracking - 1) * AVERAGE_ADVANCE * style.height;
+        return width * style.widthFactor;
+    }
+
+    /**
+     * @return {Number} the rotation of text in radians, from its rotation angle in degrees or
+     *                  its direction vector
+     */
+    function getTextRotation(entity) {
+        var dv = entity.directionVector;
+        if (dv && (dv.x || dv.y)) return Math.atan2(dv.y, dv.x);
+        return entity.rotation ? entity.rotation * Math.PI / 180 : 0;
+    }
+
+    function drawSpline(entity, data, byBlock) {
+        var color = getColor(entity, data, byBlock);
+
+        var points = getBSplinePolyline(entity.controlPoints, entity.degreeOfSplineCurve, entity.knotValues, options.splineSegments);
+
+        var geometry = new THREE.BufferGeometry().setFromPoints(points);
+        var material = createLineMaterial(entity, data, byBlock, color);
+        var splineObject = createLine(geometry, material, getLineweight(entity, data, byBlock));
+
+        return splineObject;
+    }
+
+    function drawLine(entity, data, byBlock) {
+        if (!entity.vertices) return console.log('entity missing vertices.');
+
+        var points = getLinePoints(entity);
+        var material = createLineMaterial(entity, data, byBlock, getColor(entity, data, byBlock));
+        var geometry = new BufferGeometry().setFromPoints(points);
+
+        return createLine(geometry, material, getLineweight(entity, data, byBlock));
+    }
+
+    /**
+     * @return {THREE.Vector3[]} the points of a line or polyline, with bulges turned into arcs.
+     *                           The vertices of 2D polylines are in their OCS, without elevation.
+     */
+    function getLinePoints(entity) {
+        let points = [];
+        var vertex, startPoint, endPoint, bulge, i;
+        var planar = isOcsEntity(entity);
+
+        for (i = 0; i < entity.vertices.length; i++) {
+
+            if (entity.vertices[i].bulge) {
+                bulge = entity.vertices[i].bulge;
+                startPoint = planar ? { x: entity.vertices[i].x, y: entity.vertices[i].y } : entity.vertices[i];
+                endPoint = i + 1 < entity.vertices.length ? entity.vertices[i + 1] : points[0];
+
+                let bulgePoints = getBulgeCurvePoints(startPoint, endPoint, bulge);
+
+                points.push.apply(points, bulgePoints);
+            } else {
+                vertex = entity.vertices[i];
+                points.push(new THREE.Vector3(vertex.x, vertex.y, planar ? 0 : vertex.z || 0));
+            }
+
+        }
+        if (entity.shape) points.push(points[0]);
+        return points;
+    }
+
+    function drawArc(entity, data, byBlock) {
+        var points = getArcPoints(entity);
+        var geometry = new THREE.BufferGeometry().setFromPoints(points);
+
+        var material = createLineMaterial(entity, data, byBlock, getColor(entity, data, byBlock));
+
+        var arc = createLine(geometry, material, getLineweight(entity, data, byBlock));
+        arc.position.x = entity.center.x;
+        arc.position.y = entity.center.y;
+        arc.position.z = entity.center.z;
+
+        return arc;
+    }
+
+    /**
+     * @return {THREE.Vector2[]} the points of an arc or circle, relative to its center
+     */
+    function getArcPoints(entity) {
+        var startAngle, endAngle;
+        if (entity.type === 'CIRCLE') {
+            startAngle = entity.startAngle || 0;
+            endAngle = startAngle + 2 * Math.PI;
+        } else {
+            startAngle = entity.startAngle;
+            endAngle = entity.endAngle;
+        }
+
+        var curve = new THREE.ArcCurve(
+            0, 0,
+            entity.radius,
+            startAngle,
+            endAngle);
+
+        return curve.getPoints(options.arcSegments);
+    }
+
+    function addTriangleFacingCamera(verts, p0, p1, p2) {
+        // Calculate which direction the points are facing (clockwise or counter-clockwise)
+        var vector1 = new Vector3();
+        var vector2 = new Vector3();
+        vector1.subVectors(p1, p0);
+        vector2.subVectors(p2, p0);
+        vector1.cross(vector2);
+
+        var v0 = new Vector3(p0.x, p0.y, p0.z);
+        var v1 = new Vector3(p1.x, p1.y, p1.z);
+        var v2 = new Vector3(p2.x, p2.y, p2.z);
+
+        // If z < 0 then we must draw these in reverse order
+        if (vector1.z < 0) {
+            verts.push(v2, v1, v0);
+        } else {
+            verts.push(v0, v1, v2);
+        }
+    }
+
+    /**
+     * Draws 3DFACE, MESH and polyface or polygon mesh POLYLINE entities: the faces, lit by the
+     * lights of the scene, unless the faces option is 'wireframe', and the visible edges.
+     */
+    function drawFaces(entity, data, byBlock) {
+        var geometry = getFaceGeometry(entity);
+        if (!geometry) return null;
+
+        var color = getColor(entity, data, byBlock);
+        var group = new THREE.Object3D();
+        if (options.faces !== 'wireframe' && geometry.triangles.length) {
+            var faceGeometry = new BufferGeometry().setFromPoints(geometry.triangles);
+            faceGeometry.computeVertexNormals();
+            group.add(new THREE.Mesh(faceGeometry, new THREE.MeshLambertMaterial({
+                color: color,
+                side: THREE.DoubleSide,
+                // Keep the faces behind their edges
+                polygonOffset: true,
+                polygonOffsetFactor: 1,
+                polygonOffsetUnits: 1
+            })));
+            addLights();
+        }
+        if (geometry.edges.length) {
+            var material = createLineMaterial(entity, data, byBlock, color);
+            var edges = new THREE.LineSegments(new BufferGeometry().setFromPoints(geometry.edges), material);
+            if (material.isShaderMaterial) edges.computeLineDistances();
+            addThickLine(edges, getLineweight(entity, data, byBlock));
+            group.add(edges);
+        }
+
+        hasFaces = true;
+        return group;
+    }
+
+    /**
+     * Faces are shaded by an ambient light and a light from above, added with the first face.
+     */
+    function addLights() {
+        if (lights) return;
+        lights = new THREE.Object3D();
+        lights.name = 'lights';
+        var sun = new THREE.DirectionalLight(0xffffff, 0.6);
+        sun.position.set(1, -2, 3);
+        lights.add(new THREE.AmbientLight(0xffffff, 0.6), sun, sun.target);
+        root.add(lights);
+    }
+
+    function drawSolid(entity, data, byBlock) {
+        var material, verts,
+            geometry = new THREE.BufferGeometry();
+
+        var points = entity.points;
+        // verts = geometry.vertices;
+        verts = [];
+        addTriangleFacingCamera(verts, points[0], points[1], points[2]);
+        addTriangleFacingCamera(verts, points[1], points[2], points[3]);
+
+        material = new THREE.MeshBasicMaterial({ color: getColor(entity, data, byBlock) });
+        geometry.setFromPoints(verts);
+
+        return new THREE.Mesh(geometry, material);
+    }
+
+    /**
+     * Draws TEXT (and attributes) like a line of MTEXT, at its alignment point, stretched
+     * between its alignment points when it is aligned or fit, and mirrored when it is drawn
+     * backwards or upside down. The width factor, oblique angle and height default to the ones
+     * of the text style (see readTextStyles).
+     */
+    function drawText(entity, data, byBlock) {
+        var styleName = entity.styleName || entity.textStyle;
+        var style = getTextStyle(styleName, data) || {};
+        var height = entity.textHeight || style.fixedHeight || 12;
+        // dxf-parser reads the width factor of attributes as their scale
+        var widthFactor = entity.xScale !== undefined ? entity.xScale : entity.scale;
+        if (widthFactor === undefined) widthFactor = style.widthFactor || 1;
+        var oblique = entity.obliqueAngle !== undefined ? entity.obliqueAngle : style.obliqueAngle || 0;
+
+        var items = parseMTextRuns(textToMText(entity.text), {
+            height: height,
+            widthFactor: widthFactor,
+            oblique: oblique,
+            font: fonts.getStyleFontName(styleName, data)
+        });
+
+        // The outer object takes the OCS of the entity, so the placement goes on the inner one
+        var text = new THREE.Object3D();
+        var placed = new THREE.Object3D();
+        text.add(placed);
+        placed.add(createLaidOutText(items, { textHeight: height }, getColor(entity, data, byBlock), function (layout, content) {
+            var placement = getTextPlacement(entity, layout.width, height);
+            placed.position.set(placement.position.x, placement.position.y, placement.position.z || 0);
+            placed.rotation.z = placement.rotation;
+            placed.scale.set(placement.scaleX, placement.scaleY, 1);
+            content.position.set(placement.offsetX, placement.offsetY, 0);
+        }));
+        return text;
+    }
+
+    function drawPoint(entity, data, byBlock) {
+        var geometry, material, point;
+
+        geometry = new THREE.BufferGeometry();
+
+        geometry.setAttribute('position', new Float32BufferAttribute([entity.position.x, entity.position.y, entity.position.z], 3));
+
+        var color = getColor(entity, data, byBlock);
+
+        material = new THREE.PointsMaterial({ size: options.pointSize, color: new Color(color) });
+        point = new THREE.Points(geometry, material);
+        return point;
+    }
+
+    function drawDimension(entity, data, byBlock) {
+        var block = data.blocks && data.blocks[entity.block];
+
+        if (!block || !block.entities) return drawDimensionFromDefinitionPoints(entity, data, byBlock);
+
+        // The block is in world coordinates, clones made by baseline and continued dimensions
+        // move it by their insertion point
+        var group = new THREE.Object3D();
+        group.matrixAutoUpdate = false;
+        group.matrix.copy(getInsertMatrix({ position: entity.insertionPoint }, block, 0, 0));
+
+        var childByBlock = getByBlockProperties(entity, data, byBlock);
+        for (var i = 0; i < block.entities.length; i++) {
+            var childEntity = drawEntity(block.entities[i], data, childByBlock);
+            if (childEntity) group.add(childEntity);
+        }
+
+        return group;
+    }
+
+    function drawDimensionFromDefinitionPoints(entity, data, byBlock) {
+        var style = getDimensionStyle(entity, data);
+        var dimension = createDimensionGeometry(entity, style);
+        if (!dimension) {
+            console.log('Unsupported Dimension type: ' + (entity.dimensionType & 7));
+            return null;
+        }
+
+        var color = getColor(entity, data, byBlock);
+        var lineColor = getDimensionPartColor(style.DIMCLRD, color, foreground);
+        var group = new THREE.Object3D();
+
+        if (dimension.dimensionLines.length) {
+            var lineGeometry = new BufferGeometry().setFromPoints(dimension.dimensionLines);
+            group.add(new THREE.LineSegments(lineGeometry, new THREE.LineBasicMaterial({ color: lineColor })));
+        }
+        if (dimension.extensionLines.length) {
+            var extensionGeometry = new BufferGeometry().setFromPoints(dimension.extensionLines);
+            var extensionColor = getDimensionPartColor(style.DIMCLRE, color, foreground);
+            group.add(new THREE.LineSegments(extensionGeometry, new THREE.LineBasicMaterial({ color: extensionColor })));
+        }
+        if (dimension.arrows.length) {
+            var arrowGeometry = new BufferGeometry().setFromPoints(dimension.arrows);
+            group.add(new THREE.Mesh(arrowGeometry, new THREE.MeshBasicMaterial({ color: lineColor, side: THREE.DoubleSide })));
+        }
+
+        if (dimension.text) {
+            var textEntity = {
+                position: dimension.text.position,
+                rotation: dimension.text.rotation * 180 / Math.PI,
+                attachmentPoint: 5 // Middle center
+            };
+            var textStyle = { horizontalAlignment: 'center', textHeight: dimension.text.height };
+            var txt = createTextForScene(dimension.text.text, textStyle, textEntity, getDimensionPartColor(style.DIMCLRT, color, foreground));
+            if (txt) group.add(txt);
+        }
+
+        return group;
+    }
+
+    /**
+     * Draws a LEADER: its line, straight or curved, and the arrowhead of its dimension style.
+     * The annotation is an entity of its own.
+     */
+    function drawLeader(entity, data, byBlock) {
+        var style = getDimensionStyle(entity, data);
+        var leader = createLeaderGeometry(entity, style, options.splineSegments);
+        if (!leader) return null;
+
+        var color = getDimensionPartColor(style.DIMCLRD, getColor(entity, data, byBlock), foreground);
+        var group = new THREE.Object3D();
+        var geometry = new BufferGeometry().setFromPoints(leader.points);
+        group.add(createLine(geometry, createLineMaterial(entity, data, byBlock, color), getLineweight(entity, data, byBlock)));
+
+        var arrow = leader.arrow && drawArrow(leader.arrow, entity, data, byBlock, color);
+        if (arrow) group.add(arrow);
+        return group;
+    }
+
+    /**
+     * Draws a MULTILEADER: its leader lines with their arrowheads and doglegs, and its MText or
+     * block content.
+     */
+    function drawMLeader(entity, data, byBlock) {
+        var context = entity.context;
+        if (!context) return null;
+
+        var color = getColor(entity, data, byBlock);
+        var lineweight = getLineweight(entity, data, byBlock);
+        var group = new THREE.Object3D();
+        createMLeaderGeometry(entity, options.splineSegments).forEach(function (line) {
+            var lineColor = getRawColor(line.color, color, foreground);
+            var geometry = new BufferGeometry().setFromPoints(line.points);
+            group.add(createLine(geometry, createLineMaterial(entity, data, byBlock, lineColor), lineweight));
+
+            var arrow = line.arrow && drawArrow(line.arrow, entity, data, byBlock, lineColor);
+            if (arrow) group.add(arrow);
+        });
+
+        var text = context.text;
+        if (text && text.text && text.position) {
+            var textColor = getRawColor(text.color !== undefined ? text.color : entity.textColor, color, foreground);
+            var textEntity = {
+                position: text.position,
+                height: text.height,
+                width: text.width || undefined,
+                directionVector: text.direction,
+                attachmentPoint: text.attachment || 1
+            };
+            var txt = createTextForScene(text.text, { textHeight: text.height }, textEntity, textColor);
+            if (txt) group.add(txt);
+        }
+
+        var blockContent = context.block;
+        var block = blockContent && findBlock(data, blockContent.blockRecord);
+        if (block && blockContent.position) {
+            var blockColor = getRawColor(blockContent.color !== undefined ? blockContent.color : entity.blockContentColor, color, foreground);
+            var scale = blockContent.scale || {};
+            var insert = {
+                position: blockContent.position,
+                rotation: THREE.MathUtils.radToDeg(blockContent.rotation || 0),
+                xScale: scale.x,
+                yScale: scale.y,
+                zScale: scale.z
+            };
+            var placed = drawPlacedBlock(block, insert, data, Object.assign(getByBlockProperties(entity, data, byBlock), { color: blockColor }));
+            if (placed) group.add(placed);
+        }
+
+        return group;
+    }
+
+    /**
+     * Draws the arrowhead of a leader line: the arrowhead block scaled to the arrowhead size and
+     * turned along the line, or a closed filled arrow.
+     */
+    function drawArrow(arrow, entity, data, byBlock, color) {
+        var block = findBlock(data, arrow.block);
+        if (block) {
+            var insert = {
+                position: arrow.tip,
+                rotation: THREE.MathUtils.radToDeg(Math.atan2(arrow.direction.y, arrow.direction.x)),
+                xScale: arrow.size,
+                yScale: arrow.size,
+                zScale: arrow.size
+            };
+            return drawPlacedBlock(block, insert, data, Object.assign(getByBlockProperties(entity, data, byBlock), { color: color }));
+        }
+
+        var geometry = new BufferGeometry().setFromPoints(getArrowPoints(arrow.tip, arrow.direction, arrow.size));
+        return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: color, side: THREE.DoubleSide }));
+    }
+
+    /**
+     * Draws a block placed like an insert (see getInsertMatrix) with the given ByBlock properties.
+     */
+    function drawPlacedBlock(block, insert, data, childByBlock) {
+        if (!block.entities) return null;
+        var content = drawBlockContent(block, data, childByBlock);
+        content.matrixAutoUpdate = false;
+        content.matrix.copy(getInsertMatrix(insert, block, 0, 0));
+        return content;
+    }
+
+    /**
+     * Draws an INSERT (or MINSERT): the block once per column and row, in the coordinates of the
+     * insert, plus the attributes of the insert.
+     */
+    function drawBlock(entity, data, byBlock) {
+        var block = data.blocks[entity.name];
+
+        if (!block || !block.entities) return null;
+
+        var group = new THREE.Object3D();
+        var childByBlock = getByBlockProperties(entity, data, byBlock);
+        var columns = Math.max(entity.columnCount || 1, 1);
+        var rows = Math.max(entity.rowCount || 1, 1);
+        for (var row = 0; row < rows; row++) {
+            for (var column = 0; column < columns; column++) {
+                var content = drawBlockContent(block, data, childByBlock);
+                content.matrixAutoUpdate = false;
+                content.matrix.copy(getInsertMatrix(entity, block, column, row));
+                group.add(content);
+            }
+        }
+
+        // Attributes are placed in the coordinates the insert is in, not in the block's
+        for (var i = 0; entity.attributes && i < entity.attributes.length; i++) {
+            var attribute = drawEntity(entity.attributes[i], data, childByBlock);
+            if (attribute) group.add(attribute);
+        }
+
+        return group;
+    }
+
+    /**
+     * Draws the entities of a block. Blocks inserted with the same ByBlock properties look the
+     * same every time, so unless shareBlockGeometry is off they are drawn once and the objects of
+     * every further insert share the geometries and materials of the first. Blocks with
+     * troika text are drawn every time, the text lays itself out per object.
+     */
+    function drawBlockContent(block, data, childByBlock) {
+        var key = [block.name, childByBlock.layer, childByBlock.color, childByBlock.lineType, childByBlock.lineweight].join('|');
+        var template = blockTemplates[key];
+        if (template) return copyBlockObject(template);
+
+        var content = new THREE.Object3D();
+        for (var i = 0; i < block.entities.length; i++) {
+            var childEntity = drawEntity(block.entities[i], data, childByBlock);
+            if (childEntity) content.add(childEntity);
+        }
+
+        if (options.shareBlockGeometry && !containsText(content)) {
+            blockTemplates[key] = content;
+            return copyBlockObject(content);
+        }
+        return content;
+    }
+
+    /**
+     * Draws the value of an ATTRIB. ATTDEFs are the templates of the attributes in a block
+     * definition: inside blocks only constant ones are drawn (with their value, inserts have no
+     * ATTRIB for them), outside of blocks they show their tag. $ATTMODE 0 hides the
+     * attributes of inserts, 2 shows invisible ones too.
+     */
+    function drawAttribute(entity, data, byBlock) {
+        if (entity.type === 'ATTDEF' && !byBlock) {
+            entity = Object.assign({}, entity, { text: entity.tag });
+        } else {
+            var mode = header['$ATTMODE'] === undefined ? 1 : header['$ATTMODE'];
+            if (mode === 0 || (entity.invisible && mode !== 2)) return null;
+            if (entity.type === 'ATTDEF' && !entity.constant) return null;
+        }
+        if (!entity.text || !entity.startPoint) return null;
+
+        return drawText(entity, data, byBlock);
+    }
+
+    /**
+     * The properties that entities inside a block with BYBLOCK properties inherit from the
+     * INSERT (or DIMENSION) entity that placed the block. Entities on layer 0 inside the block
+     * are drawn as if they were on the insert's layer.
+     */
+    function getByBlockProperties(entity, data, byBlock) {
+        return {
+            layer: getLayerName(entity, byBlock),
+            color: getColor(entity, data, byBlock),
+            lineType: getLineType(entity, data, byBlock),
+            lineweight: getLineweight(entity, data, byBlock)
+        };
+    }
+
+    function getLayerName(entity, byBlock) {
+        var name = entity.layer || '0';
+        if (name === '0' && byBlock && byBlock.layer) return byBlock.layer;
+        return name;
+    }
+
+    function getLayer(entity, data, byBlock) {
+        return getTableLayers(data)[getLayerName(entity, byBlock)];
+    }
+
+    function getColor(entity, data, byBlock) {
+        return resolveColor(entity, getLayer(entity, data, byBlock), byBlock, foreground);
+    }
+
+    /**
+     * Resolves the name of the linetype an entity is drawn with, following BYLAYER to the
+     * layer's linetype and BYBLOCK to the linetype of the block insert.
+     * @return {String} the linetype name, undefined for continuous lines
+     */
+    function getLineType(entity, data, byBlock) {
+        var name = entity.lineType;
+        if (!name || name.toUpperCase() === 'BYLAYER') {
+            var layer = getLayer(entity, data, byBlock);
+            name = layer && layer.lineType;
+        } else if (name.toUpperCase() === 'BYBLOCK') {
+            name = byBlock && byBlock.lineType;
+        }
+        return name;
+    }
+
+    /**
+     * Resolves the lineweight (group 370) of an entity in hundredths of a millimeter, following
+     * ByLayer (-1) to the layer and ByBlock (-2) to the block insert.
+     * @return {Number} the lineweight, undefined for the default lineweight (-3)
+     */
+    function getLineweight(entity, data, byBlock) {
+        var lineweight = entity.lineweight;
+        if (lineweight === undefined || lineweight === LINEWEIGHT_BY_LAYER) {
+            var layer = getLayer(entity, data, byBlock);
+            lineweight = layer && layer.lineweight;
+        } else if (lineweight === LINEWEIGHT_BY_BLOCK) {
+            lineweight = byBlock && byBlock.lineweight;
+        }
+        return lineweight === undefined || lineweight === null || lineweight < 0 ? undefined : lineweight;
+    }
+
+    function createLineMaterial(entity, data, byBlock, color) {
+        var lineType = getLineType(entity, data, byBlock);
+        var shader = lineType && lineTypeShaders[lineType];
+        if (!shader) return new THREE.LineBasicMaterial({ linewidth: 1, color: color });
+
+        var material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(shader.uniforms),
+            vertexShader: shader.vertexShader,
+            fragmentShader: shader.fragmentShader,
+            // Viewports of paper space layouts clip what they show
+            clipping: true
+        });
+        material.uniforms.diffuse.value.set(color);
+        material.uniforms.dashScale.value = getLineTypeScale(entity, data);
+        return material;
+    }
+
+    /**
+     * The pattern is scaled by the global and the entity linetype scales
+     */
+    function getLineTypeScale(entity, data) {
+        var header = data.header || {};
+        return (header['$LTSCALE'] || 1) * (entity.lineTypeScale || 1);
+    }
+
+    /**
+     * Creates the line object for a geometry. Dashed materials need the distance along
+     * the line for each vertex to know where the dashes go.
+     */
+    function createLine(geometry, material, lineweight) {
+        var line = new THREE.Line(geometry, material);
+        if (material.isShaderMaterial) line.computeLineDistances();
+        addThickLine(line, lineweight);
+        return line;
+    }
+
+    /**
+     * Lines wider than a pixel get a thick line to show their lineweight.
+     */
+    function addThickLine(line, lineweight) {
+        if (lineweight === undefined) lineweight = defaultLineweight;
+        var width = getLineweightPixels(lineweight);
+        if (width > 1) {
+            var thickLine = createThickLine(line, width);
+            thickLine.visible = showLineweights;
+            line.material.visible = !showLineweights;
+        }
+    }
+
+    function createLineTypeShaders(data) {
+        var ltype, type;
+        var shaders = {};
+        if (!data.tables || !data.tables.lineType) return shaders;
+        var ltypes = data.tables.lineType.lineTypes;
+
+        for (type in ltypes) {
+            ltype = ltypes[type];
+            if (!ltype.pattern || !ltype.pattern.length) continue;
+            // Patterns of nothing but dashes are continuous lines
+            if (!ltype.pattern.some(function (length) { return length <= 0; })) continue;
+            shaders[type] = createDashedLineShader(ltype.pattern);
+        }
+        return shaders;
+    }
+
+    /**
+     * Creates a shader for a linetype pattern. Positive lengths are dashes, negative lengths
+     * gaps and zeros dots.
+     */
+    function createDashedLineShader(pattern) {
+        var i,
+            dashedLineShader = {},
+            totalLength = 0.0;
+
+        for (i = 0; i < pattern.length; i++) {
+            totalLength += Math.abs(pattern[i]);
+        }
+
+        dashedLineShader.uniforms = THREE.UniformsUtils.merge([
+
+            THREE.UniformsLib['common'],
+
+            {
+                'pattern': { value: pattern.map(Number) },
+                'patternLength': { value: totalLength },
+                'dashScale': { value: 1 },
+                'dotLength': { value: totalLength * 0.02 }
+            }
+
+        ]);
+
+        dashedLineShader.vertexShader = [
+            'attribute float lineDistance;',
+
+            'varying float vLineDistance;',
+
+            '#include <clipping_planes_pars_vertex>',
+
+            'void main() {',
+
+            'vLineDistance = lineDistance;',
+
+            'vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );',
+            'gl_Position = projectionMatrix * mvPosition;',
+
+            '#include <clipping_planes_vertex>',
+
+            '}'
+        ].join('\n');
+
+        dashedLineShader.fragmentShader = [
+            'uniform vec3 diffuse;',
+            'uniform float opacity;',
+
+            'uniform float pattern[' + pattern.length + '];',
+            'uniform float patternLength;',
+            'uniform float dashScale;',
+            'uniform float dotLength;',
+
+            'varying float vLineDistance;',
+
+            '#include <clipping_planes_pars_fragment>',
+
+            'void main() {',
+
+            '#include <clipping_planes_fragment>',
+
+            'float pos = mod(vLineDistance / dashScale, patternLength);',
+            'bool visible = false;',
+
+            'for ( int i = 0; i < ' + pattern.length + '; i++ ) {',
+            'if( pattern[i] == 0.0 ) {',
+            'if( pos < dotLength ) {',
+            'visible = true;',
+            'break;',
+            '}',
+            'continue;',
+            '}',
+            'if( pos < abs(pattern[i]) ) {',
+            'visible = pattern[i] > 0.0;',
+            'break;',
+            '}',
+            'pos = pos - abs(pattern[i]);',
+            '}',
+
+            'if( !visible ) discard;',
+
+            'gl_FragColor = vec4( diffuse, opacity );',
+
+            '}'
+        ].join('\n');
+
+        return dashedLineShader;
+    }
+}
+
+/**
+ * The transform from the coordinates of a block into the coordinates an INSERT is in: the base
+ * point of the block is moved to the insertion point, after scaling, rotation and, for
+ * MINSERT, moving to the column and row, all in the OCS of the insert.
+ * @param {Object} entity - the INSERT entity
+ * @param {Object} block - the block it inserts
+ * @param {Number} column - the column of a MINSERT, 0 for single inserts
+ * @param {Number} row - the row of a MINSERT, 0 for single inserts
+ * @return {THREE.Matrix4} the transform
+ */
+function getInsertMatrix(entity, block, column, row) {
+    var position = entity.position || {};
+    var base = block.position || {};
+    var scale = function (value) { return value === undefined || value === null ? 1 : value; };
+
+    return getOcsMatrix(entity.extrusionDirection)
+        .multiply(new THREE.Matrix4().makeTranslation(position.x || 0, position.y || 0, position.z || 0))
+        .multiply(new THREE.Matrix4().makeRotationZ(THREE.MathUtils.degToRad(entity.rotation || 0)))
+        .multiply(new THREE.Matrix4().makeTranslation(column * (entity.columnSpacing || 0), row * (entity.rowSpacing || 0), 0))
+        .multiply(new THREE.Matrix4().makeScale(scale(entity.xScale), scale(entity.yScale), scale(entity.zScale)))
+        .multiply(new THREE.Matrix4().makeTranslation(-(base.x || 0), -(base.y || 0), -(base.z || 0)));
+}
+
+/**
+ * Copies the objects drawn for a block, sharing their geometries and materials. Object3D.clone
+ * would share them as well, but deep copies userData, which holds the dxf entities.
+ */
+function copyBlockObject(object) {
+    var copy = object.isMesh || object.isLine || object.isPoints
+        ? new object.constructor(object.geometry, object.material)
+        : new THREE.Object3D();
+
+    copy.name = object.name;
+    copy.visible = object.visible;
+    copy.renderOrder = object.renderOrder;
+    copy.position.copy(object.position);
+    copy.quaternion.copy(object.quaternion);
+    copy.scale.copy(object.scale);
+    copy.matrix.copy(object.matrix);
+    copy.matrixAutoUpdate = object.matrixAutoUpdate;
+    copy.raycast = object.raycast;
+    copy.onBeforeRender = object.onBeforeRender;
+    copy.userData = Object.assign({}, object.userData);
+
+    for (var i = 0; i < object.children.length; i++) {
+        var child = copyBlockObject(object.children[i]);
+        if (object.userData.thickLine === object.children[i]) copy.userData.thickLine = child;
+        copy.add(child);
+    }
+    return copy;
+}
+
+// The properties createTextRun sets on troika text
+var TEXT_PROPERTIES = ['text', 'font', 'fontSize', 'anchorX', 'anchorY', 'color', 'letterSpacing', 'outlineWidth', 'outlineColor'];
+
+/**
+ * @return {Boolean} whether an entity is a VIEWPORT that shows model space on its layout
+ */
+function isDrawnViewport(entity) {
+    return entity.type === 'VIEWPORT' && !!entity.center && isModelViewport(entity);
+}
+
+/**
+ * Copies model space for one more viewport of a layout. The copy shares the geometries and the
+ * transforms of the objects, so text moves into place in every viewport once troika has
+ * measured it, but has materials of its own, clipped at the border of the viewport. Troika text
+ * is copied property by property, its geometry holds the layout of the text.
+ * @param {THREE.Object3D} object - a layer group of model space, or any object in it
+ * @param {THREE.Plane[]} planes - the clipping planes of the viewport
+ * @param {Object} materials - the materials of the copy keyed by the uuid of the original
+ * @return {THREE.Object3D} the copy
+ */
+function copyViewportObject(object, planes, materials) {
+    var copy;
+    if (object instanceof Text) {
+        copy = new Text();
+        TEXT_PROPERTIES.forEach(function (name) { copy[name] = object[name]; });
+        copy.material.clippingPlanes = planes;
+    } else if (object.isMesh || object.isLine || object.isPoints) {
+        var material = materials[object.material.uuid];
+        if (!material) {
+            material = materials[object.material.uuid] = object.material.clone();
+            material.clippingPlanes = planes;
+        }
+        copy = new object.constructor(object.geometry, material);
+    } else {
+        copy = new THREE.Object3D();
+    }
+
+    copy.name = object.name;
+    copy.visible = object.visible;
+    copy.renderOrder = object.renderOrder;
+    copy.matrix = object.matrix;
+    copy.matrixAutoUpdate = false;
+    copy.raycast = object.raycast;
+    copy.onBeforeRender = object.onBeforeRender;
+    copy.userData = Object.assign({}, object.userData);
+
+    for (var i = 0; i < object.children.length; i++) {
+        var child = copyViewportObject(object.children[i], planes, materials);
+        if (object.userData.thickLine === object.children[i]) copy.userData.thickLine = child;
+        if (object.userData.decoration === object.children[i]) copy.userData.decoration = child;
+        copy.add(child);
+    }
+    return copy;
+}
+
+function containsText(object) {
+    var found = false;
+    object.traverse(function (child) {
+        if (child instanceof Text) found = true;
+    });
+    return found;
+}
+
+/**
+ * Releases the geometries, materials and textures of everything built by buildScene. Text
+ * layouts still pending are ignored when they finish. The objects can not be rendered afterwards.
+ * @param {THREE.Object3D} root - the group returned from buildScene, or any part of it
+ */
+export function disposeScene(root) {
+    root.traverse(function (object) {
+        object.userData.disposed = true;
+        if (object instanceof Text) {
+            // The material of troika text is shared between all text objects
+            object.dispose();
+            return;
+        }
+        if (object.geometry) object.geometry.dispose();
+        if (!object.material) return;
+
+        var materials = Array.isArray(object.material) ? object.material : [object.material];
+        for (var i = 0; i < materials.length; i++) {
+            disposeMaterial(materials[i]);
+        }
+    });
+}
+
+function disposeMaterial(material) {
+    for (var key in material) {
+        if (material[key] && material[key].isTexture) material[key].dispose();
+    }
+    var uniforms = material.uniforms || {};
+    for (key in uniforms) {
+        if (uniforms[key].value && uniforms[key].value.isTexture) uniforms[key].value.dispose();
+    }
+    material.dispose();
+}
+
+/**
+ * Returns the layers from the dxf layer table keyed by name.
+ * @param {Object} data - the dxf object
+ * @return {Object} the layers, or an empty object if the table is missing
+ */
+export function getTableLayers(data) {
+    if (!data.tables || !data.tables.layer || !data.tables.layer.layers) return {};
+    return data.tables.layer.layers;
+}
@@ -0,0 +1,213 @@
+import * as THREE from 'three';
+
+// Lineweights are in hundredths of a millimeter. They are shown at screen resolution (96 dpi)
+// no matter the zoom, like AutoCAD does with LWDISPLAY turned on.
+var PIXELS_PER_LINEWEIGHT = 96 / 25.4 / 100;
+
+/**
+ * Converts a lineweight to a width on screen.
+ * @param {Number} lineweight - the lineweight in hundredths of a millimeter
+ * @return {Number} the width in css pixels, at least 1
+ */
+export function getLineweightPixels(lineweight) {
+    return Math.max(1, lineweight * PIXELS_PER_LINEWEIGHT);
+}
+
+/**
+ * Creates a mesh drawing a line with a constant width in pixels. WebGL ignores the linewidth of
+ * line materials, so every segment of the line is drawn as a quad that is widened in the vertex
+ * shader. The mesh is added to the line as a child and the line itself is only used for picking
+ * and exporting while the thick line is shown (see setThickLinesVisible).
+ * @param {THREE.Line} line - a line or line segments object with a position attribute
+ * @param {Number} width - the width in css pixels
+ * @return {THREE.Mesh} the thick line, already added to the line
+ */
+export function createThickLine(line, width) {
+    var position = line.geometry.getAttribute('position');
+    // Batched line segments carry the distance along their polyline
+    var lineDistance = line.geometry.getAttribute('lineDistance');
+    var step = line.isLineSegments ? 2 : 1;
+    var starts = [], ends = [], distances = [];
+    var start = new THREE.Vector3(), end = new THREE.Vector3();
+    var distance = 0;
+
+    var count = line.isLineLoop ? position.count : position.count - 1;
+    for (var i = 0; i < count; i += step) {
+        start.fromBufferAttribute(position, i);
+        end.fromBufferAttribute(position, (i + 1) % position.count);
+        if (line.isLineSegments) distance = lineDistance ? lineDistance.getX(i) : 0;
+        starts.push(start.x, start.y, start.z);
+        ends.push(end.x, end.y, end.z);
+        distances.push(distance, distance + start.distanceTo(end));
+        distance += start.distanceTo(end);
+    }
+
+    var geometry = new THREE.InstancedBufferGeometry();
+    // x runs along the segment from start (0) to end (1), y across it
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, -1, 0, 1, -1, 0, 1, 1, 0, 0, 1, 0], 3));
+    geometry.setIndex([0, 1, 2, 0, 2, 3]);
+    geometry.setAttribute('instanceStart', new THREE.InstancedBufferAttribute(new Float32Array(starts), 3));
+    geometry.setAttribute('instanceEnd', new THREE.InstancedBufferAttribute(new Float32Array(ends), 3));
+    geometry.setAttribute('instanceDistance', new THREE.InstancedBufferAttribute(new Float32Array(distances), 2));
+    geometry.instanceCount = starts.length / 3;
+    // The quads are moved in the shader, so the bounds come from the line
+    if (!line.geometry.boundingSphere) line.geometry.computeBoundingSphere();
+    if (!line.geometry.boundingBox) line.geometry.computeBoundingBox();
+    geometry.boundingSphere = line.geometry.boundingSphere.clone();
+    geometry.boundingBox = line.geometry.boundingBox.clone();
+
+    var mesh = new THREE.Mesh(geometry, createThickLineMaterial(line.material, width));
+    mesh.userData.isThickLine = true;
+    // Picking uses the line
+    mesh.raycast = function () { };
+    mesh.onBeforeRender = function (renderer) {
+        var target = renderer.getRenderTarget();
+        var resolution = mesh.material.uniforms.resolution.value;
+        if (target) resolution.set(target.width, target.height);
+        else renderer.getDrawingBufferSize(resolution);
+        mesh.material.uniforms.pixelRatio.value = target ? 1 : renderer.getPixelRatio();
+    };
+
+    line.userData.thickLine = mesh;
+    line.add(mesh);
+    return mesh;
+}
+
+/**
+ * Shows the thick lines made by createThickLine instead of their 1 pixel lines, or the other way
+ * around.
+ * @param {THREE.Object3D} root - the objects to update
+ * @param {Boolean} visible - true to show the thick lines
+ */
+export function setThickLinesVisible(root, visible) {
+    root.traverse(function (object) {
+        var thickLine = object.userData.thickLine;
+        if (!thickLine) return;
+        thickLine.visible = visible;
+        object.material.visible = !visible;
+    });
+}
+
+/**
+ * Creates the material for a thick line from the material of the line, keeping its color and,
+ * for linetype shaders, its dash pattern.
+ */
+function createThickLineMaterial(lineMaterial, width) {
+    var uniforms = {
+        diffuse: { value: new THREE.Color() },
+        opacity: { value: 1 },
+        linewidth: { value: width },
+        resolution: { value: new THREE.Vector2(1, 1) },
+        pixelRatio: { value: 1 }
+    };
+    var defines = {};
+
+    var lineUniforms = lineMaterial.uniforms;
+    if (lineUniforms && lineUniforms.pattern) {
+        uniforms.diffuse.value.copy(lineUniforms.diffuse.value);
+        uniforms.pattern = { value: lineUniforms.pattern.value.slice() };
+        uniforms.patternLength = { value: lineUniforms.patternLength.value };
+        uniforms.dashScale = { value: lineUniforms.dashScale.value };
+        uniforms.dotLength = { value: lineUniforms.dotLength.value };
+        defines.USE_DASH = '';
+        defines.PATTERN_LENGTH = lineUniforms.pattern.value.length;
+    } else {
+        uniforms.diffuse.value.copy(lineMaterial.color);
+    }
+
+    return new THREE.ShaderMaterial({
+        uniforms: uniforms,
+        defines: defines,
+        vertexShader: THICK_LINE_VERTEX_SHADER,
+        fragmentShader: THICK_LINE_FRAGMENT_SHADER,
+        side: THREE.DoubleSide,
+        clipping: true,
+        clippingPlanes: lineMaterial.clippingPlanes
+    });
+}
+
+var THICK_LINE_VERTEX_SHADER = [
+    'attribute vec3 instanceStart;',
+    'attribute vec3 instanceEnd;',
+    'attribute vec2 instanceDistance;',
+
+    'uniform float linewidth;',
+    'uniform vec2 resolution;',
+    'uniform float pixelRatio;',
+
+    'varying float vLineDistance;',
+
+    '#include <clipping_planes_pars_vertex>',
+
+    'void main() {',
+
+    'vec4 start = projectionMatrix * modelViewMatrix * vec4( instanceStart, 1.0 );',
+    'vec4 end = projectionMatrix * modelViewMatrix * vec4( instanceEnd, 1.0 );',
+
+    // Direction of the segment in pixels
+    'vec2 direction = ( end.xy / end.w - start.xy / start.w ) * resolution;',
+    'direction = length( direction ) < 1e-6 ? vec2( 1.0, 0.0 ) : normalize( direction );',
+    'vec2 normal = vec2( -direction.y, direction.x );',
+
+    // Half the width on either side, and as far past the ends so the segments of a polyline join
+    'float halfWidth = linewidth * pixelRatio * 0.5;',
+    'vec2 offset = ( normal * position.y + direction * ( position.x * 2.0 - 1.0 ) ) * halfWidth;',
+
+    'vec4 clip = position.x < 0.5 ? start : end;',
+    'clip.xy += offset * 2.0 / resolution * clip.w;',
+    'gl_Position = clip;',
+
+    'vLineDistance = position.x < 0.5 ? instanceDistance.x : instanceDistance.y;',
+
+    // Clipping uses the end of the segment the vertex belongs to
+    'vec4 mvPosition = modelViewMatrix * vec4( position.x < 0.5 ? instanceStart : instanceEnd, 1.0 );',
+    '#include <clipping_planes_vertex>',
+
+    '}'
+].join('\n');
+
+var THICK_LINE_FRAGMENT_SHADER = [
+    'uniform vec3 diffuse;',
+    'uniform float opacity;',
+
+    '#ifdef USE_DASH',
+    'uniform float pattern[PATTERN_LENGTH];',
+    'uniform float patternLength;',
+    'uniform float dashScale;',
+    'uniform float dotLength;',
+    '#endif',
+
+    'varying float vLineDistance;',
+
+    '#include <clipping_planes_pars_fragment>',
+
+    'void main() {',
+
+    '#include <clipping_planes_fragment>',
+
+    '#ifdef USE_DASH',
+    'float pos = mod(vLineDistance / dashScale, patternLength);',
+    'bool visible = false;',
+
+    'for ( int i = 0; i < PATTERN_LENGTH; i++ ) {',
+    'if( pattern[i] == 0.0 ) {',
+    'if( pos < dotLength ) {',
+    'visible = true;',
+    'break;',
+    '}',
+    'continue;',
+    '}',
+    'if( pos < abs(pattern[i]) ) {',
+    'visible = pattern[i] > 0.0;',
+    'break;',
+    '}',
+    'pos = pos - abs(pattern[i]);',
+    '}',
+
+    'if( !visible ) discard;',
+    '#endif',
+
+    'gl_FragColor = vec4( diffuse, opacity );',
+
+    '}'
+].join('\n');
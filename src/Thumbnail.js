@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+import { buildScene } from './SceneBuilder';
+import { exportSvg, exportCanvas } from './VectorExporter';
+
+/**
+ * Renders a thumbnail of a whole drawing without a browser or WebGL.
+ *
+ * SVG thumbnails are returned as a string. PNG thumbnails are drawn on a 2D canvas: in the browser
+ * one is created, in node pass one from the canvas package (`createCanvas(width, height)`) and
+ * use `canvas.toBuffer('image/png')` on the result.
+ * @param {Object} data - the dxf object
+ * @param {Object} options - { format, width, height, background, padding, canvas, font }
+ *                           format - 'svg' (default) or 'png'
+ *                           width, height - size in pixels, 256 x 256 by default
+ *                           background - css color or null for none, white (black in dark mode) by default
+ *                           padding - margin around the drawing as a fraction of its size, 0.05 by default
+ *                           canvas - the canvas to draw png thumbnails on, its size is set to width x height
+ *                           font, darkMode, arcSegments... - passed on to buildScene
+ * @return {String|Object} the svg document or the canvas
+ */
+export function renderThumbnail(data, options) {
+    options = Object.assign({
+        format: 'svg',
+        width: 256,
+        height: 256,
+        padding: 0.05
+    }, options);
+    if (options.background === undefined) options.background = options.darkMode ? '#000000' : '#ffffff';
+
+    var built = buildScene(data, Object.assign({}, options, { syncText: false }));
+    var camera = createExtentsCamera(built.extents, options.padding);
+
+    if (options.format === 'svg') return exportSvg(built.group, camera, options);
+    if (options.format !== 'png') throw new Error('Unsupported thumbnail format: ' + options.format);
+
+    var canvas = options.canvas;
+    if (!canvas) {
+        if (typeof document === 'undefined') throw new Error('A canvas is required to render png thumbnails outside of a browser');
+        canvas = document.createElement('canvas');
+    }
+    canvas.width = options.width;
+    canvas.height = options.height;
+    return exportCanvas(built.group, camera, canvas, options);
+}
+
+/**
+ * Creates an orthographic camera looking down at the given extents. Exporters widen the view to
+ * their own aspect ratio.
+ * @param {Object} extents - { min, max } as returned by buildScene
+ * @param {Number} padding - margin around the extents as a fraction of their size
+ * @return {THREE.OrthographicCamera} the camera
+ */
+export function createExtentsCamera(extents, padding) {
+    var width = (extents.max.x - extents.min.x) || 1;
+    var height = (extents.max.y - extents.min.y) || 1;
+    var scale = 1 + 2 * (padding || 0);
+
+    var camera = new THREE.OrthographicCamera(-width * scale / 2, width * scale / 2, height * scale / 2, -height * scale / 2, 1, 19);
+    camera.position.set((extents.min.x + extents.max.x) / 2, (extents.min.y + extents.max.y) / 2, 10);
+    camera.updateMatrixWorld();
+    camera.updateProjectionMatrix();
+    return camera;
+}
@@ -0,0 +1,528 @@
+import * as THREE from 'three';
+import { Text } from 'troika-three-text';
+
+/**
+ * Writes the visible objects of a scene as SVG. Lines keep their geometry, meshes (solids,
+ * hatches, arrows) become filled polygons and text stays text.
+ * @param {THREE.Object3D} root - the scene or group to export
+ * @param {THREE.OrthographicCamera} camera - the camera defining the exported view
+ * @param {Object} options - { width, height, background } width and height in pixels
+ *                           (defaults 1000 x 800), background a css color or null for none
+ * @return {String} the svg document
+ */
+export function exportSvg(root, camera, options) {
+    options = getOptions(options);
+    var primitives = collectPrimitives(root, createExportCamera(camera, options.width, options.height), options.width, options.height);
+    var width = options.width, height = options.height;
+
+    var svg = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">'
+    ];
+    if (options.background) {
+        svg.push('<rect width="100%" height="100%" fill="' + escapeXml(cssColor(options.background)) + '"/>');
+    }
+
+    for (var i = 0; i < primitives.length; i++) {
+        var p = primitives[i];
+        if (p.type === 'polyline') {
+            svg.push('<path d="' + toSvgPath(p.points, p.closed) + '" fill="none" stroke="' + toHex(p.color) + '"' +
+                ' stroke-width="' + round(p.lineWidth) + '"' +
+                (p.dashArray ? ' stroke-dasharray="' + p.dashArray.map(round).join(' ') + '"' : '') + '/>');
+        } else if (p.type === 'polygons') {
+            svg.push('<path d="' + p.polygons.map(function (polygon) { return toSvgPath(polygon, true); }).join(' ') +
+                '" fill="' + toHex(p.color) + '" stroke="none"/>');
+        } else if (p.type === 'point') {
+            svg.push('<circle cx="' + round(p.x) + '" cy="' + round(p.y) + '" r="1" fill="' + toHex(p.color) + '"/>');
+        } else if (p.type === 'text') {
+            svg.push(toSvgText(p));
+        }
+    }
+
+    svg.push('</svg>');
+    return svg.join('\n');
+}
+
+/**
+ * Writes the visible objects of a scene as a single page PDF. Text uses the standard
+ * Helvetica font, so characters outside of WinAnsi are replaced with '?'.
+ * @param {THREE.Object3D} root - the scene or group to export
+ * @param {THREE.OrthographicCamera} camera - the camera defining the exported view
+ * @param {Object} options - { width, height, background } width and height in points
+ *                           (1/72 inch, defaults 1000 x 800), background a css color, null or
+ *                           'transparent' for none
+ * @return {String} the pdf document (only contains single byte characters)
+ */
+export function exportPdf(root, camera, options) {
+    options = getOptions(options);
+    var width = options.width, height = options.height;
+    var primitives = collectPrimitives(root, createExportCamera(camera, width, height), width, height);
+
+    // PDF puts the origin in the lower left corner
+    var x = function (value) { return round(value); };
+    var y = function (value) { return round(height - value); };
+
+    var content = [];
+    if (options.background) {
+        content.push(pdfColor(options.background, 'rg') + ' 0 0 ' + width + ' ' + height + ' re f');
+    }
+
+    for (var i = 0; i < primitives.length; i++) {
+        var p = primitives[i];
+        if (p.type === 'polyline') {
+            content.push(pdfColor(p.color, 'RG') + ' ' + round(p.lineWidth) + ' w');
+            content.push(p.dashArray ? '[' + p.dashArray.map(round).join(' ') + '] 0 d' : '[] 0 d');
+            content.push(p.points.map(function (point, index) {
+                return x(point.x) + ' ' + y(point.y) + (index === 0 ? ' m' : ' l');
+            }).join(' ') + (p.closed ? ' h' : '') + ' S');
+        } else if (p.type === 'polygons') {
+            content.push(pdfColor(p.color, 'rg'));
+            content.push(p.polygons.map(function (polygon) {
+                return polygon.map(function (point, index) {
+                    return x(point.x) + ' ' + y(point.y) + (index === 0 ? ' m' : ' l');
+                }).join(' ') + ' h';
+            }).join(' ') + ' f');
+        } else if (p.type === 'point') {
+            content.push(pdfColor(p.color, 'rg') + ' ' + round(p.x - 0.5) + ' ' + round(height - p.y - 0.5) + ' 1 1 re f');
+        } else if (p.type === 'text') {
+            content.push(toPdfText(p, height));
+        }
+    }
+
+    var stream = content.join('\n');
+    var objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + width + ' ' + height + '] ' +
+        '/Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        '<< /Length ' + stream.length + ' >>\nstream\n' + stream + '\nendstream',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+    ];
+
+    var pdf = '%PDF-1.4\n';
+    var offsets = [];
+    for (i = 0; i < objects.length; i++) {
+        offsets.push(pdf.length);
+        pdf += (i + 1) + ' 0 obj\n' + objects[i] + '\nendobj\n';
+    }
+    var xref = pdf.length;
+    pdf += 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n';
+    for (i = 0; i < offsets.length; i++) {
+        pdf += ('000000000' + offsets[i]).slice(-10) + ' 00000 n \n';
+    }
+    pdf += 'trailer\n<< /Size ' + (objects.length + 1) + ' /Root 1 0 R >>\nstartxref\n' + xref + '\n%%EOF\n';
+    return pdf;
+}
+
+/**
+ * Draws the visible objects of a scene onto a 2D canvas, using the size of the canvas. Works
+ * with anything implementing the CanvasRenderingContext2D api, e.g. the canvas package in node.
+ * @param {THREE.Object3D} root - the scene or group to export
+ * @param {THREE.OrthographicCamera} camera - the camera defining the exported view
+ * @param {Object} canvas - the canvas to draw on
+ * @param {Object} options - { background } a css color or null to leave the canvas transparent
+ * @return {Object} the canvas
+ */
+export function exportCanvas(root, camera, canvas, options) {
+    options = Object.assign({ background: '#ffffff' }, options);
+    if (isTransparent(options.background)) options.background = null;
+    var width = canvas.width, height = canvas.height;
+    var primitives = collectPrimitives(root, createExportCamera(camera, width, height), width, height);
+    var context = canvas.getContext('2d');
+
+    context.save();
+    context.clearRect(0, 0, width, height);
+    if (options.background) {
+        context.fillStyle = cssColor(options.background);
+        context.fillRect(0, 0, width, height);
+    }
+
+    var tracePath = function (points, closed) {
+        for (var j = 0; j < points.length; j++) {
+            if (j === 0) context.moveTo(points[j].x, points[j].y);
+            else context.lineTo(points[j].x, points[j].y);
+        }
+        if (closed) context.closePath();
+    };
+
+    for (var i = 0; i < primitives.length; i++) {
+        var p = primitives[i];
+        if (p.type === 'polyline') {
+            context.beginPath();
+            tracePath(p.points, p.closed);
+            context.strokeStyle = toHex(p.color);
+            context.lineWidth = p.lineWidth;
+            context.setLineDash(p.dashArray || []);
+            context.stroke();
+        } else if (p.type === 'polygons') {
+            context.beginPath();
+            for (var k = 0; k < p.polygons.length; k++) tracePath(p.polygons[k], true);
+            context.fillStyle = toHex(p.color);
+            context.fill();
+        } else if (p.type === 'point') {
+            context.fillStyle = toHex(p.color);
+            context.fillRect(p.x - 0.5, p.y - 0.5, 1, 1);
+        } else if (p.type === 'text') {
+            drawCanvasText(context, p);
+        }
+    }
+    context.restore();
+    return canvas;
+}
+
+/**
+ * Creates a copy of an orthographic camera that shows at least the same area as the camera
+ * but with the aspect ratio of the given output size.
+ * @param {THREE.OrthographicCamera} camera - the camera to copy
+ * @param {Number} width - width of the output
+ * @param {Number} height - height of the output
+ * @return {THREE.OrthographicCamera} the new camera
+ */
+export function createExportCamera(camera, width, height) {
+    var exportCamera = camera.clone();
+    var viewWidth = (camera.right - camera.left);
+    var viewHeight = (camera.top - camera.bottom);
+    var centerX = (camera.right + camera.left) / 2;
+    var centerY = (camera.top + camera.bottom) / 2;
+
+    if (width / height > viewWidth / viewHeight) viewWidth = viewHeight * width / height;
+    else viewHeight = viewWidth * height / width;
+
+    exportCamera.left = centerX - viewWidth / 2;
+    exportCamera.right = centerX + viewWidth / 2;
+    exportCamera.top = centerY + viewHeight / 2;
+    exportCamera.bottom = centerY - viewHeight / 2;
+    exportCamera.updateProjectionMatrix();
+    exportCamera.updateMatrixWorld();
+    return exportCamera;
+}
+
+function getOptions(options) {
+    options = Object.assign({ width: 1000, height: 800, background: '#ffffff' }, options);
+    options.width = Math.round(options.width);
+    options.height = Math.round(options.height);
+    if (isTransparent(options.background)) options.background = null;
+    return options;
+}
+
+/**
+ * Backgrounds that are no background at all: 'transparent' and css colors with an alpha of 0.
+ * THREE.Color would read them as white.
+ */
+function isTransparent(color) {
+    if (typeof color !== 'string') return false;
+    var value = color.trim().toLowerCase();
+    if (value === 'transparent') return true;
+    var hex = /^#(?:[0-9a-f]{3}([0-9a-f])|[0-9a-f]{6}([0-9a-f]{2}))$/.exec(value);
+    if (hex) return parseInt(hex[1] || hex[2], 16) === 0;
+    var functional = /^(?:rgb|hsl)a?\((.*)\)$/.exec(value);
+    if (!functional) return false;
+    var components = functional[1].split(/\s*[,/]\s*|\s+/);
+    return components.length === 4 && parseFloat(components[3]) === 0;
+}
+
+/**
+ * Flattens the visible objects into 2D primitives in output coordinates (y pointing down).
+ */
+function collectPrimitives(root, camera, width, height) {
+    var primitives = [];
+    var pixelsPerUnit = width / ((camera.right - camera.left) / camera.zoom);
+    var vector = new THREE.Vector3();
+
+    var project = function (point, matrix) {
+        vector.copy(point).applyMatrix4(matrix).project(camera);
+        return { x: (vector.x + 1) / 2 * width, y: (1 - vector.y) / 2 * height };
+    };
+    var identity = new THREE.Matrix4();
+    var projectAll = function (points) {
+        return points.map(function (point) { return project(point, identity); });
+    };
+
+    root.updateMatrixWorld();
+    root.traverseVisible(function (object) {
+        // Clipping planes (the windows of paper space viewports) are in world coordinates
+        var planes = object.material && !Array.isArray(object.material) ? object.material.clippingPlanes : null;
+        if (planes && !planes.length) planes = null;
+
+        if (object instanceof Text) {
+            if (planes && isClipped(new THREE.Vector3().setFromMatrixPosition(object.matrixWorld), planes)) return;
+            primitives.push(getTextPrimitive(object, project, pixelsPerUnit));
+            return;
+        }
+        if (!object.geometry || !object.material) return;
+        // Thick lines are written as the line they belong to
+        if (object.userData.isThickLine) return;
+
+        var position = object.geometry.getAttribute('position');
+        if (!position) return;
+        var index = object.geometry.getIndex();
+        var color = getMaterialColor(object.material);
+        var matrix = object.matrixWorld;
+        var points = [];
+        var i;
+        for (i = 0; i < position.count; i++) {
+            points.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(matrix));
+        }
+
+        if (object.isLine) {
+            var lineWidth = getLineWidth(object);
+            var dashArray = getDashArray(object, pixelsPerUnit);
+            var lines = [];
+            if (object.isLineSegments) {
+                for (i = 0; i + 1 < points.length; i += 2) lines.push([points[i], points[i + 1]]);
+            } else if (points.length > 1) {
+                lines.push(object.isLineLoop ? points.concat([points[0]]) : points);
+            }
+            lines.forEach(function (line) {
+                var pieces = planes ? clipPolyline(line, planes) : [line];
+                pieces.forEach(function (piece) {
+                    var closed = object.isLineLoop && piece === line;
+                    primitives.push({ type: 'polyline', points: projectAll(closed ? piece.slice(0, -1) : piece), closed: closed, color: color, lineWidth: lineWidth, dashArray: dashArray });
+                });
+            });
+        } else if (object.isMesh) {
+            var polygons = [];
+            var count = index ? index.count : points.length;
+            for (i = 0; i + 2 < count; i += 3) {
+                var polygon = index
+                    ? [points[index.getX(i)], points[index.getX(i + 1)], points[index.getX(i + 2)]]
+                    : [points[i], points[i + 1], points[i + 2]];
+                if (planes) polygon = clipPolygon(polygon, planes);
+                if (polygon.length > 2) polygons.push(projectAll(polygon));
+            }
+            if (polygons.length) primitives.push({ type: 'polygons', polygons: polygons, color: color });
+        } else if (object.isPoints) {
+            for (i = 0; i < points.length; i++) {
+                if (planes && isClipped(points[i], planes)) continue;
+                var point = project(points[i], identity);
+                primitives.push({ type: 'point', x: point.x, y: point.y, color: color });
+            }
+        }
+    });
+    return primitives;
+}
+
+/**
+ * three.js clips everything on the negative side of a clipping plane.
+ */
+function isClipped(point, planes) {
+    return planes.some(function (plane) { return plane.distanceToPoint(point) < 0; });
+}
+
+/**
+ * Cuts a polyline down to the pieces inside of all planes.
+ * @return {THREE.Vector3[][]} the pieces, the polyline itself if nothing was cut
+ */
+function clipPolyline(points, planes) {
+    var pieces = [];
+    var piece = null;
+    var cut = false;
+    for (var i = 0; i + 1 < points.length; i++) {
+        var segment = clipSegment(points[i], points[i + 1], planes);
+        if (!segment) {
+            cut = true;
+            piece = null;
+            continue;
+        }
+        if (segment[0] !== points[i] || segment[1] !== points[i + 1]) cut = true;
+        if (piece && segment[0] === piece[piece.length - 1]) {
+            piece.push(segment[1]);
+        } else {
+            piece = [segment[0], segment[1]];
+            pieces.push(piece);
+        }
+    }
+    return cut ? pieces : [points];
+}
+
+function clipSegment(a, b, planes) {
+    var start = 0, end = 1;
+    for (var i = 0; i < planes.length; i++) {
+        var da = planes[i].distanceToPoint(a), db = planes[i].distanceToPoint(b);
+        if (da < 0 && db < 0) return null;
+        if (da < 0) start = Math.max(start, da / (da - db));
+        else if (db < 0) end = Math.min(end, da / (da - db));
+    }
+    if (start > end) return null;
+    return [start > 0 ? a.clone().lerp(b, start) : a, end < 1 ? a.clone().lerp(b, end) : b];
+}
+
+/**
+ * Sutherland-Hodgman clipping of a convex or concave polygon against each plane in turn.
+ */
+function clipPolygon(points, planes) {
+    for (var p = 0; p < planes.length && points.length; p++) {
+        var plane = planes[p];
+        var clipped = [];
+        for (var i = 0; i < points.length; i++) {
+            var current = points[i], previous = points[(i + points.length - 1) % points.length];
+            var dc = plane.distanceToPoint(current), dp = plane.distanceToPoint(previous);
+            if ((dc >= 0) !== (dp >= 0)) clipped.push(previous.clone().lerp(current, dp / (dp - dc)));
+            if (dc >= 0) clipped.push(current);
+        }
+        points = clipped;
+    }
+    return points;
+}
+
+/**
+ * The width of a line in output units, following the thick line shown for its lineweight.
+ */
+function getLineWidth(line) {
+    var thickLine = line.userData.thickLine;
+    if (thickLine && thickLine.visible) return thickLine.material.uniforms.linewidth.value;
+    return line.material.linewidth || 1;
+}
+
+function getMaterialColor(material) {
+    if (material.color) return material.color;
+    var uniforms = material.uniforms || {};
+    if (uniforms.diffuse) return uniforms.diffuse.value;
+    // Gradient fills are exported with the color half way between their two colors
+    if (uniforms.color1 && uniforms.color2) return uniforms.color1.value.clone().lerp(uniforms.color2.value, 0.5);
+    return new THREE.Color(0x000000);
+}
+
+/**
+ * Converts the pattern of a linetype shader to a dash array in output units.
+ */
+function getDashArray(object, pixelsPerUnit) {
+    var uniforms = object.material.uniforms;
+    if (!uniforms || !uniforms.pattern) return null;
+
+    var scale = uniforms.dashScale.value * pixelsPerUnit * new THREE.Vector3().setFromMatrixScale(object.matrixWorld).x;
+    var dashes = [];
+    var pattern = uniforms.pattern.value;
+    for (var i = 0; i < pattern.length; i++) {
+        var length = Math.max(Math.abs(pattern[i]) * Math.abs(scale), 0.5);
+        var dash = pattern[i] >= 0;
+        // Dash arrays alternate between dashes and gaps, so merge neighbors of the same kind
+        if (dashes.length && dashes[dashes.length - 1].dash === dash) dashes[dashes.length - 1].length += length;
+        else dashes.push({ dash: dash, length: length });
+    }
+    // Dash arrays must start with a dash
+    if (!dashes[0].dash) dashes.push(dashes.shift());
+    return dashes.map(function (d) { return d.length; });
+}
+
+function getTextPrimitive(text, project, pixelsPerUnit) {
+    var matrix = text.matrixWorld;
+    var origin = project(new THREE.Vector3(), matrix);
+    var xAxis = project(new THREE.Vector3(1, 0, 0), matrix);
+    var scale = new THREE.Vector3().setFromMatrixScale(matrix);
+
+    return {
+        type: 'text',
+        text: String(text.text),
+        x: origin.x,
+        y: origin.y,
+        size: text.fontSize * Math.abs(scale.y) * pixelsPerUnit,
+        rotation: Math.atan2(xAxis.y - origin.y, xAxis.x - origin.x),
+        color: new THREE.Color(text.color !== undefined && text.color !== null ? text.color : 0x000000),
+        anchorX: text.anchorX,
+        anchorY: text.anchorY
+    };
+}
+
+function toSvgPath(points, closed) {
+    return points.map(function (point, index) {
+        return (index === 0 ? 'M' : 'L') + round(point.x) + ' ' + round(point.y);
+    }).join(' ') + (closed ? ' Z' : '');
+}
+
+var SVG_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+var SVG_BASELINES = { top: 'hanging', 'top-baseline': 'alphabetic', middle: 'middle', bottom: 'text-after-edge' };
+
+function toSvgText(p) {
+    var lines = p.text.split('\n');
+    var degrees = round(p.rotation * 180 / Math.PI);
+    var svg = '<text x="' + round(p.x) + '" y="' + round(p.y) + '" font-family="sans-serif" font-size="' + round(p.size) + '"' +
+        ' fill="' + toHex(p.color) + '" text-anchor="' + (SVG_ANCHORS[p.anchorX] || 'start') + '"' +
+        ' dominant-baseline="' + (SVG_BASELINES[p.anchorY] || 'alphabetic') + '"' +
+        (degrees ? ' transform="rotate(' + degrees + ' ' + round(p.x) + ' ' + round(p.y) + ')"' : '') + '>';
+    if (lines.length === 1) return svg + escapeXml(p.text) + '</text>';
+
+    return svg + lines.map(function (line, index) {
+        return '<tspan x="' + round(p.x) + '"' + (index ? ' dy="1.2em"' : '') + '>' + escapeXml(line) + '</tspan>';
+    }).join('') + '</text>';
+}
+
+var CANVAS_BASELINES = { top: 'top', 'top-baseline': 'alphabetic', middle: 'middle', bottom: 'bottom' };
+
+function drawCanvasText(context, p) {
+    var lines = p.text.split('\n');
+    context.save();
+    context.translate(p.x, p.y);
+    context.rotate(p.rotation);
+    context.font = p.size + 'px sans-serif';
+    context.fillStyle = toHex(p.color);
+    context.textAlign = p.anchorX === 'center' ? 'center' : (p.anchorX === 'right' ? 'right' : 'left');
+    context.textBaseline = CANVAS_BASELINES[p.anchorY] || 'alphabetic';
+    for (var i = 0; i < lines.length; i++) {
+        context.fillText(lines[i], 0, i * p.size * 1.2);
+    }
+    context.restore();
+}
+
+// Rough width of a Helvetica character relative to the font size, to align text without font metrics
+var HELVETICA_AVERAGE_WIDTH = 0.55;
+
+function toPdfText(p, height) {
+    var lines = p.text.split('\n');
+    var cos = Math.cos(-p.rotation), sin = Math.sin(-p.rotation);
+    var lineHeight = p.size * 1.2;
+    var blockHeight = lineHeight * (lines.length - 1) + p.size;
+
+    // Offset of the first baseline from the anchor point in text space (y up)
+    var top = 0;
+    if (p.anchorY === 'top') top = -p.size * 0.8;
+    else if (p.anchorY === 'middle') top = blockHeight / 2 - p.size * 0.8;
+    else if (p.anchorY === 'bottom') top = blockHeight - p.size * 0.8;
+
+    var pdf = ['BT', '/F1 ' + round(p.size) + ' Tf', pdfColor(p.color, 'rg')];
+    for (var i = 0; i < lines.length; i++) {
+        var lineWidth = lines[i].length * p.size * HELVETICA_AVERAGE_WIDTH;
+        var dx = p.anchorX === 'center' ? -lineWidth / 2 : (p.anchorX === 'right' ? -lineWidth : 0);
+        var dy = top - i * lineHeight;
+        var x = p.x + dx * cos - dy * sin;
+        var y = height - p.y + dx * sin + dy * cos;
+        pdf.push(round(cos) + ' ' + round(sin) + ' ' + round(-sin) + ' ' + round(cos) + ' ' + round(x) + ' ' + round(y) + ' Tm');
+        pdf.push('(' + escapePdfString(lines[i]) + ') Tj');
+    }
+    pdf.push('ET');
+    return pdf.join('\n');
+}
+
+function escapePdfString(text) {
+    var result = '';
+    for (var i = 0; i < text.length; i++) {
+        var code = text.charCodeAt(i);
+        var char = text.charAt(i);
+        if (char === '\\' || char === '(' || char === ')') result += '\\' + char;
+        else if (code >= 32 && code < 127) result += char;
+        else if (code >= 160 && code <= 255) result += '\\' + ('00' + code.toString(8)).slice(-3);
+        else result += '?';
+    }
+    return result;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function cssColor(color) {
+    return typeof color === 'number' ? toHex(new THREE.Color(color)) : color;
+}
+
+function toHex(color) {
+    return '#' + color.getHexString();
+}
+
+function pdfColor(color, operator) {
+    var c = color.isColor ? color : new THREE.Color(color);
+    return round(c.r) + ' ' + round(c.g) + ' ' + round(c.b) + ' ' + operator;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
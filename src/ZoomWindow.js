@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+
+/**
+ * Lets the user drag a window (a rubber band rectangle) over the canvas to zoom to. Once the
+ * mouse is released `onWindow` gets the corners of the window in normalized device
+ * coordinates, Escape cancels and passes null instead. Clicks without dragging are ignored.
+ *
+ * @param {HTMLElement} domElement - the canvas the scene is rendered to
+ * @param {Function} onWindow - called with (start, end), two THREE.Vector2, or with null
+ * @param {Object} options - { color } the color of the rectangle
+ * @constructor
+ */
+export function ZoomWindow(domElement, onWindow, options) {
+
+    options = options || {};
+
+    var scope = this;
+
+    // The mouse has to move more than this many pixels to drag a window
+    this.clickTolerance = 3;
+
+    var color = '#' + new THREE.Color(options.color !== undefined ? options.color : 0x0078d7).getHexString();
+    var downPosition = null;
+
+    var rectangle = document.createElement('div');
+    rectangle.style.cssText = 'position: absolute; pointer-events: none; box-sizing: border-box; display: none;';
+    rectangle.style.border = '1px dashed ' + color;
+    rectangle.style.background = color + '22';
+    var rectangleParent = domElement.parentNode;
+    if (rectangleParent) {
+        if (window.getComputedStyle(rectangleParent).position === 'static') rectangleParent.style.position = 'relative';
+        rectangleParent.appendChild(rectangle);
+    }
+    domElement.style.cursor = 'crosshair';
+
+    this.dispose = function () {
+        domElement.removeEventListener('mousedown', onMouseDown, false);
+        window.removeEventListener('mousemove', onMouseMove, false);
+        window.removeEventListener('mouseup', onMouseUp, false);
+        window.removeEventListener('keydown', onKeyDown, false);
+        domElement.style.cursor = '';
+        if (rectangle.parentNode) rectangle.parentNode.removeChild(rectangle);
+    };
+
+    function onMouseDown(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+        downPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    function onMouseMove(event) {
+        if (!downPosition) return;
+        var rect = domElement.getBoundingClientRect();
+        var left = Math.min(downPosition.x, event.clientX) - rect.left;
+        var top = Math.min(downPosition.y, event.clientY) - rect.top;
+        rectangle.style.display = isDrag(event) ? 'block' : 'none';
+        rectangle.style.left = (domElement.offsetLeft + left) + 'px';
+        rectangle.style.top = (domElement.offsetTop + top) + 'px';
+        rectangle.style.width = Math.abs(event.clientX - downPosition.x) + 'px';
+        rectangle.style.height = Math.abs(event.clientY - downPosition.y) + 'px';
+    }
+
+    function onMouseUp(event) {
+        if (event.button !== 0 || !downPosition) return;
+        var drag = isDrag(event);
+        var start = toDeviceCoordinates(downPosition.x, downPosition.y);
+        var end = toDeviceCoordinates(event.clientX, event.clientY);
+        downPosition = null;
+        rectangle.style.display = 'none';
+        if (drag && start && end) onWindow(start, end);
+    }
+
+    function onKeyDown(event) {
+        if (event.key === 'Escape') onWindow(null);
+    }
+
+    function isDrag(event) {
+        return Math.abs(event.clientX - downPosition.x) + Math.abs(event.clientY - downPosition.y) > scope.clickTolerance;
+    }
+
+    function toDeviceCoordinates(clientX, clientY) {
+        var rect = domElement.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+        return new THREE.Vector2(((clientX - rect.left) / rect.width) * 2 - 1, -((clientY - rect.top) / rect.height) * 2 + 1);
+    }
+
+    domElement.addEventListener('mousedown', onMouseDown, false);
+    // Dragging goes on outside of the canvas
+    window.addEventListener('mousemove', onMouseMove, false);
+    window.addEventListener('mouseup', onMouseUp, false);
+    window.addEventListener('keydown', onKeyDown, false);
+}
@@ -0,0 +1,47 @@
+/**
+ * Lists the attributes of a block insert: the ATTRIB entities attached to it (read by the
+ * Insert entity handler, see registerEntityHandlers) and the constant attributes of its block,
+ * which are only stored in the block's ATTDEF entities.
+ * @param {Object} data - the dxf object
+ * @param {Object} insert - an INSERT entity
+ * @return {Object[]} objects of the form { tag, value, invisible, constant, entity }, in the
+ *                    order they are stored in. entity is the ATTRIB or ATTDEF entity.
+ */
+export function getAttributes(data, insert) {
+    var attributes = (insert.attributes || []).map(function (entity) {
+        return createAttribute(entity, false);
+    });
+
+    var block = data && data.blocks && data.blocks[insert.name];
+    ((block && block.entities) || []).forEach(function (entity) {
+        if (entity.type === 'ATTDEF' && entity.constant) attributes.push(createAttribute(entity, true));
+    });
+
+    return attributes;
+}
+
+/**
+ * The attributes of a block insert as an object, e.g. { ROOM: '101', AREA: '24 m²' }. Tags are
+ * case insensitive in AutoCAD and stored in upper case.
+ * @param {Object} data - the dxf object
+ * @param {Object} insert - an INSERT entity
+ * @return {Object} the values by tag, the first attribute wins if a tag is used twice
+ */
+export function getAttributeValues(data, insert) {
+    var values = {};
+    getAttributes(data, insert).forEach(function (attribute) {
+        var tag = attribute.tag.toUpperCase();
+        if (!values.hasOwnProperty(tag)) values[tag] = attribute.value;
+    });
+    return values;
+}
+
+function createAttribute(entity, constant) {
+    return {
+        tag: entity.tag || '',
+        value: entity.text || '',
+        invisible: !!entity.invisible,
+        constant: constant,
+        entity: entity
+    };
+}
@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import AUTO_CAD_COLOR_INDEX from './AutoCadColorIndex';
+
+/** ACI value of entities that take the color of the block insert they are drawn in */
+export var BY_BLOCK = 0;
+/** ACI value of entities that take the color of their layer */
+export var BY_LAYER = 256;
+/** ACI value drawn black on light and white on dark backgrounds */
+export var FOREGROUND = 7;
+
+/**
+ * Returns the color ACI 7 stands for on a background, black on light and white on dark ones.
+ * @param {Number|String} background - the background color, as accepted by THREE.Color
+ * @return {Number} 0x000000 or 0xffffff
+ */
+export function getForegroundColor(background) {
+    var color = new THREE.Color(background);
+    var luminance = 0.299 * color.r + 0.587 * color.g + 0.114 * color.b;
+    return luminance < 0.5 ? 0xffffff : 0x000000;
+}
+
+/**
+ * Looks up an AutoCAD Color Index. Negative values (used for layers that are off) are treated
+ * like positive ones.
+ * @param {Number} index - the ACI value, 1 to 255
+ * @param {Number} foreground - the color used for ACI 7
+ * @return {Number} the color
+ */
+export function getAciColor(index, foreground) {
+    index = Math.abs(index);
+    if (index === FOREGROUND) return foreground;
+    return AUTO_CAD_COLOR_INDEX[index];
+}
+
+/**
+ * Resolves the color an entity is drawn with.
+ *  - true colors (group 420) are used as they are
+ *  - ByLayer (256, or no color at all) uses the color of the layer
+ *  - ByBlock (0) uses the color of the insert the entity is drawn in, or the foreground
+ *    outside of blocks
+ *  - ACI 7 is the foreground color
+ * @param {Object} entity - the dxf entity
+ * @param {Object} layer - the entry of the layer table for the entity's layer, may be undefined
+ * @param {Object} byBlock - the properties of the enclosing insert ({ color }), undefined outside of blocks
+ * @param {Number} foreground - see getForegroundColor
+ * @return {Number} the color
+ */
+export function resolveColor(entity, layer, byBlock, foreground) {
+    var trueColor = getTrueColor(entity);
+    if (trueColor !== undefined) return trueColor;
+
+    var index = entity.colorIndex;
+    if (index === BY_BLOCK) return byBlock && byBlock.color !== undefined ? byBlock.color : foreground;
+    if (index === undefined || index === BY_LAYER) return getLayerColor(layer, foreground);
+    return getAciColor(index, foreground);
+}
+
+/**
+ * @param {Object} layer - the entry of the layer table, may be undefined
+ * @param {Number} foreground - see getForegroundColor
+ * @return {Number} the color of the layer, the foreground color if it has none
+ */
+export function getLayerColor(layer, foreground) {
+    if (!layer) return foreground;
+    var trueColor = getTrueColor(layer);
+    if (trueColor !== undefined) return trueColor;
+    if (layer.colorIndex === undefined || layer.colorIndex === null) return foreground;
+    return getAciColor(layer.colorIndex, foreground);
+}
+
+/**
+ * dxf-parser stores ACI colors (62) and true colors (420) in the same `color` property. A color
+ * that is not the ACI entry of `colorIndex` came from a 420 group.
+ */
+function getTrueColor(object) {
+    if (object.color === undefined || object.color === null) return undefined;
+    if (object.colorIndex === undefined || object.colorIndex === null) return object.color;
+    return object.color !== AUTO_CAD_COLOR_INDEX[Math.abs(object.colorIndex)] ? object.color : undefined;
+}
+
+/**
+ * Resolves the raw 32 bit colors of MLEADER entities, where the high byte tells how the color
+ * is given: 0xC2 for a true color in the low bytes, 0xC3 for an ACI value in the lowest byte,
+ * 0xC0 (ByLayer) and 0xC1 (ByBlock) for the color of the entity.
+ * @param {Number} value - the raw color, may be undefined
+ * @param {Number} color - the color of the entity
+ * @param {Number} foreground - see getForegroundColor
+ * @return {Number} the color
+ */
+export function getRawColor(value, color, foreground) {
+    if (value === undefined || value === null) return color;
+    var method = value >>> 24;
+    if (method === 0xC2) return value & 0xffffff;
+    if (method === 0xC3 && (value & 0xff) > 0 && (value & 0xff) < 256) return getAciColor(value & 0xff, foreground);
+    return color;
+}
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import bSpline from './bspline';
+
+// Three.js extension functions. Webpack doesn't seem to like it if we modify the THREE object directly.
+var THREEx = { Math: {} };
+/**
+ * Returns the angle in radians of the vector (p1,p2). In other words, imagine
+ * putting the base of the vector at coordinates (0,0) and finding the angle
+ * from vector (1,0) to (p1,p2).
+ * @param  {Object} p1 start point of the vector
+ * @param  {Object} p2 end point of the vector
+ * @return {Number} the angle
+ */
+THREEx.Math.angle2 = function (p1, p2) {
+    var v1 = new THREE.Vector2(p1.x, p1.y);
+    var v2 = new THREE.Vector2(p2.x, p2.y);
+    v2.sub(v1); // sets v2 to be our chord
+    v2.normalize();
+    if (v2.y < 0) return -Math.acos(v2.x);
+    return Math.acos(v2.x);
+};
+
+
+THREEx.Math.polar = function (point, distance, angle) {
+    var result = {};
+    result.x = point.x + distance * Math.cos(angle);
+    result.y = point.y + distance * Math.sin(angle);
+    return result;
+};
+
+/**
+ * Calculates points for a curve between two points using a bulge value. Typically used in polylines.
+ * @param startPoint - the starting point of the curve
+ * @param endPoint - the ending point of the curve
+ * @param bulge - a value indicating how much to curve
+ * @param segments - number of segments between the two given points
+ */
+export function getBulgeCurvePoints(startPoint, endPoint, bulge, segments) {
+
+    var vertex, i,
+        center, p0, p1, angle,
+        radius, startAngle,
+        thetaAngle;
+
+    var obj = {};
+    obj.startPoint = p0 = startPoint ? new THREE.Vector2(startPoint.x, startPoint.y) : new THREE.Vector2(0, 0);
+    obj.endPoint = p1 = endPoint ? new THREE.Vector2(endPoint.x, endPoint.y) : new THREE.Vector2(1, 0);
+    obj.bulge = bulge = bulge || 1;
+
+    angle = 4 * Math.atan(bulge);
+    radius = p0.distanceTo(p1) / 2 / Math.sin(angle / 2);
+    center = THREEx.Math.polar(startPoint, radius, THREEx.Math.angle2(p0, p1) + (Math.PI / 2 - angle / 2));
+
+    obj.segments = segments = segments || Math.max(Math.abs(Math.ceil(angle / (Math.PI / 18))), 6); // By default want a segment roughly every 10 degrees
+    startAngle = THREEx.Math.angle2(center, p0);
+    thetaAngle = angle / segments;
+
+    var vertices = [];
+    // Bulges are in the plane of the polyline, at the height of its vertices
+    var z = startPoint && startPoint.z || 0;
+
+    vertices.push(new THREE.Vector3(p0.x, p0.y, z));
+
+    for (i = 1; i <= segments - 1; i++) {
+        vertex = THREEx.Math.polar(center, Math.abs(radius), startAngle + thetaAngle * i);
+        vertices.push(new THREE.Vector3(vertex.x, vertex.y, z));
+    }
+
+    return vertices;
+};
+
+/**
+ * Interpolate a b-spline. The algorithm examins the knot vector
+ * to create segments for interpolation. The parameterisation value
+ * is re-normalised back to [0,1] as that is what the lib expects (
+ * and t i de-normalised in the b-spline library)
+ *
+ * @param controlPoints the control points
+ * @param degree the b-spline degree
+ * @param knots the knot vector
+ * @returns the polyline
+ */
+export function getBSplinePolyline(controlPoints, degree, knots, interpolationsPerSplineSegment, weights) {
+    const polyline = []
+    const controlPointsForLib = controlPoints.map(function (p) {
+        return [p.x, p.y]
+    })
+
+    const segmentTs = [knots[degree]]
+    const domain = [knots[degree], knots[knots.length - 1 - degree]]
+
+    for (let k = degree + 1; k < knots.length - degree; ++k) {
+        if (segmentTs[segmentTs.length - 1] !== knots[k]) {
+            segmentTs.push(knots[k])
+        }
+    }
+
+    interpolationsPerSplineSegment = interpolationsPerSplineSegment || 25
+    for (let i = 1; i < segmentTs.length; ++i) {
+        const uMin = segmentTs[i - 1]
+        const uMax = segmentTs[i]
+        for (let k = 0; k <= interpolationsPerSplineSegment; ++k) {
+            const u = k / interpolationsPerSplineSegment * (uMax - uMin) + uMin
+            // Clamp t to 0, 1 to handle numerical precision issues
+            let t = (u - domain[0]) / (domain[1] - domain[0])
+            t = Math.max(t, 0)
+            t = Math.min(t, 1)
+            const p = bSpline(t, degree, controlPointsForLib, knots, weights)
+            polyline.push(new THREE.Vector2(p[0], p[1]));
+        }
+    }
+    return polyline
+}
@@ -0,0 +1,518 @@
+import * as THREE from 'three';
+import { getAciColor } from './colors';
+import { readRecords } from './records';
+import { DIMSTYLE_CODES } from './entities/dimension';
+
+// AutoCAD's defaults for the dimension variables used to draw dimensions
+var DEFAULT_STYLE = {
+    DIMSCALE: 1,
+    DIMASZ: 0.18,
+    DIMEXO: 0.0625,
+    DIMEXE: 0.18,
+    DIMTXT: 0.18,
+    DIMGAP: 0.09,
+    DIMCEN: 0.09,
+    DIMTAD: 0,
+    DIMDEC: 4,
+    DIMADEC: 0,
+    DIMLFAC: 1,
+    DIMRND: 0,
+    DIMZIN: 0,
+    DIMPOST: '',
+    DIMDSEP: '.',
+    DIMCLRD: 0,
+    DIMCLRE: 0,
+    DIMCLRT: 0,
+    DIMLDRBLK: ''
+};
+
+var EPSILON = 1e-9;
+
+/** The records readDimStyles reads, see readRecords */
+export var DIM_STYLE_RECORDS = { TABLES: ['DIMSTYLE'] };
+
+/**
+ * Reads the dimension styles (the DIMSTYLE table), which dxf-parser skips, into
+ * `data.tables.dimStyle.dimStyles` keyed by style name. Every style holds the dimension
+ * variables it sets keyed by variable name, e.g. { DIMASZ: 2.5, DIMLDRBLK: '1F' } where
+ * DIMLDRBLK is the handle of the block record of the leader arrowhead.
+ * readTables reads this along with the other tables.
+ * @param {String} text - the contents of the dxf file
+ * @param {Object} data - the dxf object dxf-parser made of it
+ * @return {Object} data
+ */
+export function readDimStyles(text, data) {
+    if (!data) return data;
+    return addDimStyles(readRecords(text, DIM_STYLE_RECORDS), data);
+}
+
+/**
+ * Stores the dimension styles of readDimStyles.
+ * @param {Object} records - the DIMSTYLE records, see readRecords
+ * @param {Object} data - the dxf object
+ * @return {Object} data
+ */
+export function addDimStyles(records, data) {
+    var dimStyles = {};
+    records.DIMSTYLE.forEach(function (groups) {
+        var name = '';
+        var dimStyle = {};
+        groups.forEach(function (group) {
+            if (group.code === 2) name = group.value;
+            else if (DIMSTYLE_CODES[group.code]) dimStyle[DIMSTYLE_CODES[group.code]] = group.value;
+        });
+        if (name) dimStyles[name] = dimStyle;
+    });
+
+    data.tables = data.tables || {};
+    data.tables.dimStyle = { dimStyles: dimStyles };
+    return data;
+}
+
+/**
+ * Resolves the dimension variables for a dimension or leader. Values overridden on the entity
+ * win over its style in the DIMSTYLE table (see readDimStyles; the current style $DIMSTYLE if
+ * the entity names none), then the header variables of the drawing and last AutoCAD's defaults.
+ * @param {Object} entity - the DIMENSION or LEADER entity
+ * @param {Object} data - the dxf object
+ * @return {Object} the dimension variables keyed by name, e.g. { DIMASZ: 0.18, ... }
+ */
+export function getDimensionStyle(entity, data) {
+    var style = {};
+    var header = data.header || {};
+    var tableStyle = findDimStyle(data, entity.styleName || header.$DIMSTYLE) || {};
+    var overrides = entity.styleOverrides || {};
+
+    for (var name in DEFAULT_STYLE) {
+        if (overrides[name] !== undefined) style[name] = overrides[name];
+        else if (tableStyle[name] !== undefined) style[name] = tableStyle[name];
+        else if (header['$' + name] !== undefined) style[name] = header['$' + name];
+        else style[name] = DEFAULT_STYLE[name];
+    }
+    if (!style.DIMSCALE) style.DIMSCALE = 1;
+    return style;
+}
+
+/**
+ * Dimension style names are not case sensitive.
+ */
+function findDimStyle(data, name) {
+    var dimStyles = data.tables && data.tables.dimStyle && data.tables.dimStyle.dimStyles;
+    if (!dimStyles || !name) return null;
+    if (dimStyles[name]) return dimStyles[name];
+    for (var key in dimStyles) {
+        if (key.toUpperCase() === name.toUpperCase()) return dimStyles[key];
+    }
+    return null;
+}
+
+/**
+ * Returns the color of one part of a dimension. The DIMCLRD, DIMCLRE and DIMCLRT
+ * variables hold an ACI color, 0 (ByBlock) and 256 (ByLayer) use the dimension's color.
+ * @param {Number} colorIndex - value of the dimension variable
+ * @param {Number} color - the color of the dimension entity
+ * @param {Number} foreground - the color of ACI 7, see getForegroundColor
+ * @return {Number} the color
+ */
+export function getDimensionPartColor(colorIndex, color, foreground) {
+    if (colorIndex > 0 && colorIndex < 256) return getAciColor(colorIndex, foreground);
+    return color;
+}
+
+/**
+ * Works out the geometry of a dimension from its definition points. Used for dimensions
+ * without an anonymous block describing their graphics.
+ * @param {Object} entity - the DIMENSION entity
+ * @param {Object} style - the dimension variables, see getDimensionStyle
+ * @return {Object} { dimensionLines, extensionLines, arrows, text, measurement } where the lines
+ *                  are lists of segment end points, arrows a list of triangle corners and text
+ *                  is { text, position, rotation (radians), height } or null. Returns null if
+ *                  the entity is missing the points needed for its type.
+ */
+export function createDimensionGeometry(entity, style) {
+    var geometry = {
+        dimensionLines: [],
+        extensionLines: [],
+        arrows: [],
+        text: null,
+        measurement: entity.actualMeasurement
+    };
+    var textInfo;
+
+    switch (entity.dimensionType & 7) {
+        case 0: // Rotated, horizontal or vertical
+        case 1: // Aligned
+            textInfo = addLinearDimension(geometry, entity, style);
+            break;
+        case 2: // Angular 2 line
+        case 5: // Angular 3 point
+            textInfo = addAngularDimension(geometry, entity, style);
+            break;
+        case 3:
+            textInfo = addDiameterDimension(geometry, entity, style);
+            break;
+        case 4:
+            textInfo = addRadiusDimension(geometry, entity, style);
+            break;
+        case 6:
+            textInfo = addOrdinateDimension(geometry, entity, style);
+            break;
+    }
+    if (!textInfo) return null;
+
+    var text = getDimensionText(entity.text, textInfo.measurementText);
+    if (text) {
+        var rotation = entity.textRotation !== undefined ? entity.textRotation * Math.PI / 180 : textInfo.rotation;
+        geometry.text = {
+            text: text,
+            position: entity.middleOfText ? toVector(entity.middleOfText) : textInfo.position,
+            rotation: rotation,
+            height: style.DIMTXT * style.DIMSCALE
+        };
+    }
+    return geometry;
+}
+
+/**
+ * Replaces the measurement placeholder in the dimension text.
+ * An empty text means the measurement alone and a single space means no text.
+ * @param {String} text - the text entered for the dimension
+ * @param {String} measurementText - the formatted measurement
+ * @return {String} the text to display
+ */
+export function getDimensionText(text, measurementText) {
+    if (text === undefined || text === null || text === '') return measurementText;
+    if (text === ' ') return '';
+    return text.replace('<>', measurementText);
+}
+
+/**
+ * Formats a linear measurement using DIMLFAC, DIMRND, DIMDEC, DIMZIN, DIMDSEP and DIMPOST.
+ * @param {Number} value - the measured value in drawing units
+ * @param {Object} style - the dimension variables
+ * @return {String} the formatted measurement
+ */
+export function formatLinearMeasurement(value, style) {
+    value = value * (style.DIMLFAC || 1);
+    if (style.DIMRND > 0) value = Math.round(value / style.DIMRND) * style.DIMRND;
+    return applyPost(formatNumber(value, style.DIMDEC, style), style.DIMPOST);
+}
+
+/**
+ * Formats an angle in decimal degrees using DIMADEC and DIMZIN.
+ * @param {Number} radians - the angle
+ * @param {Object} style - the dimension variables
+ * @return {String} the formatted angle
+ */
+export function formatAngularMeasurement(radians, style) {
+    return formatNumber(radians * 180 / Math.PI, style.DIMADEC, style) + '°';
+}
+
+function formatNumber(value, decimals, style) {
+    var text = Math.abs(value).toFixed(Math.max(0, Math.min(decimals || 0, 20)));
+    if ((style.DIMZIN & 8) && text.indexOf('.') !== -1) text = text.replace(/\.?0+$/, '');
+    if ((style.DIMZIN & 4) && text.indexOf('0.') === 0) text = text.substring(1);
+
+    var separator = typeof style.DIMDSEP === 'number' ? String.fromCharCode(style.DIMDSEP) : style.DIMDSEP;
+    if (separator && separator !== '.') text = text.replace('.', separator);
+    return (value < 0 ? '-' : '') + text;
+}
+
+function applyPost(text, post) {
+    if (!post) return text;
+    if (post.indexOf('<>') !== -1) return post.replace('<>', text);
+    return text + post;
+}
+
+function toVector(point) {
+    return new THREE.Vector3(point.x, point.y, point.z || 0);
+}
+
+/**
+ * Rotation that keeps text along the given direction readable (never upside down).
+ */
+function getReadableRotation(angle) {
+    angle = THREE.MathUtils.euclideanModulo(angle, 2 * Math.PI);
+    if (angle > Math.PI / 2 + EPSILON && angle <= 3 * Math.PI / 2 + EPSILON) angle -= Math.PI;
+    return angle;
+}
+
+function addArrow(geometry, tip, direction, size) {
+    geometry.arrows.push.apply(geometry.arrows, getArrowPoints(tip, direction, size));
+}
+
+/**
+ * The corners of a closed filled arrow, three times as long as it is wide.
+ * @param {THREE.Vector3} tip - the point of the arrow
+ * @param {THREE.Vector3} direction - the direction the arrow points in
+ * @param {Number} size - the length of the arrow
+ * @return {THREE.Vector3[]} the three corners of the arrow
+ */
+export function getArrowPoints(tip, direction, size) {
+    var dir = direction.clone().normalize();
+    var normal = new THREE.Vector3(-dir.y, dir.x, 0).multiplyScalar(size / 6);
+    var base = tip.clone().addScaledVector(dir, -size);
+    return [tip.clone(), base.clone().add(normal), base.clone().sub(normal)];
+}
+
+function addExtensionLine(geometry, from, to, style) {
+    var direction = to.clone().sub(from);
+    var length = direction.length();
+    if (length < EPSILON) return;
+    direction.divideScalar(length);
+
+    var offset = style.DIMEXO * style.DIMSCALE;
+    var extension = style.DIMEXE * style.DIMSCALE;
+    if (length <= offset) return;
+    geometry.extensionLines.push(
+        from.clone().addScaledVector(direction, offset),
+        to.clone().addScaledVector(direction, extension));
+}
+
+function addCenterMark(geometry, center, style) {
+    var size = style.DIMCEN * style.DIMSCALE;
+    if (!(size > 0)) return;
+    geometry.dimensionLines.push(
+        new THREE.Vector3(center.x - size, center.y, center.z), new THREE.Vector3(center.x + size, center.y, center.z),
+        new THREE.Vector3(center.x, center.y - size, center.z), new THREE.Vector3(center.x, center.y + size, center.z));
+}
+
+function addLinearDimension(geometry, entity, style) {
+    if (!entity.linearOrAngularPoint1 || !entity.linearOrAngularPoint2 || !entity.anchorPoint) return null;
+
+    var p1 = toVector(entity.linearOrAngularPoint1);
+    var p2 = toVector(entity.linearOrAngularPoint2);
+    var location = toVector(entity.anchorPoint);
+
+    var direction;
+    if ((entity.dimensionType & 7) === 1) {
+        direction = p2.clone().sub(p1).normalize();
+    } else {
+        var angle = (entity.angle || 0) * Math.PI / 180;
+        direction = new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0);
+    }
+
+    // The ends of the dimension line are the definition points projected onto it
+    var d1 = location.clone().addScaledVector(direction, p1.clone().sub(location).dot(direction));
+    var d2 = location.clone().addScaledVector(direction, p2.clone().sub(location).dot(direction));
+    var measurement = d1.distanceTo(d2);
+    if (geometry.measurement === undefined) geometry.measurement = measurement;
+
+    addExtensionLine(geometry, p1, d1, style);
+    addExtensionLine(geometry, p2, d2, style);
+    addDimensionLineWithArrows(geometry, d1, d2, style);
+
+    var rotation = getReadableRotation(Math.atan2(direction.y, direction.x));
+    var normal = new THREE.Vector3(-Math.sin(rotation), Math.cos(rotation), 0);
+
+    return {
+        measurementText: formatLinearMeasurement(geometry.measurement, style),
+        position: getDefaultTextPosition(d1, d2, normal, style),
+        rotation: rotation
+    };
+}
+
+function addDimensionLineWithArrows(geometry, d1, d2, style) {
+    var arrowSize = style.DIMASZ * style.DIMSCALE;
+    var length = d1.distanceTo(d2);
+    if (length < EPSILON) return;
+    var direction = d2.clone().sub(d1).divideScalar(length);
+
+    if (length >= 2 * arrowSize) {
+        geometry.dimensionLines.push(d1.clone(), d2.clone());
+        addArrow(geometry, d1, direction.clone().negate(), arrowSize);
+        addArrow(geometry, d2, direction, arrowSize);
+    } else {
+        // Not enough room between the extension lines, so the arrows point in from outside
+        geometry.dimensionLines.push(
+            d1.clone().addScaledVector(direction, -2 * arrowSize),
+            d2.clone().addScaledVector(direction, 2 * arrowSize));
+        addArrow(geometry, d1, direction, arrowSize);
+        addArrow(geometry, d2, direction.clone().negate(), arrowSize);
+    }
+}
+
+function getDefaultTextPosition(d1, d2, normal, style) {
+    var middle = d1.clone().add(d2).multiplyScalar(0.5);
+    // Text sits on the dimension line unless DIMTAD places it above
+    if (!style.DIMTAD) return middle;
+    var offset = (style.DIMGAP + style.DIMTXT / 2) * style.DIMSCALE;
+    return middle.addScaledVector(normal, offset);
+}
+
+function addRadiusDimension(geometry, entity, style) {
+    if (!entity.anchorPoint || !entity.diameterOrRadiusPoint) return null;
+
+    var center = toVector(entity.anchorPoint);
+    var arcPoint = toVector(entity.diameterOrRadiusPoint);
+    var radius = center.distanceTo(arcPoint);
+    if (radius < EPSILON) return null;
+    if (geometry.measurement === undefined) geometry.measurement = radius;
+
+    var direction = arcPoint.clone().sub(center).divideScalar(radius);
+    var arrowSize = style.DIMASZ * style.DIMSCALE;
+    var textPosition = entity.middleOfText ? toVector(entity.middleOfText) : center.clone().add(arcPoint).multiplyScalar(0.5);
+
+    if (textPosition.distanceTo(center) <= radius) {
+        geometry.dimensionLines.push(center.clone(), arcPoint.clone());
+        addArrow(geometry, arcPoint, direction, arrowSize);
+    } else {
+        // Text outside the arc: leader from the text to the arc with the arrow pointing in
+        geometry.dimensionLines.push(textPosition.clone(), arcPoint.clone());
+        addArrow(geometry, arcPoint, center.clone().sub(textPosition).normalize(), arrowSize);
+    }
+    addCenterMark(geometry, center, style);
+
+    return {
+        measurementText: 'R' + formatLinearMeasurement(geometry.measurement, style),
+        position: textPosition,
+        rotation: getReadableRotation(Math.atan2(direction.y, direction.x))
+    };
+}
+
+function addDiameterDimension(geometry, entity, style) {
+    if (!entity.anchorPoint || !entity.diameterOrRadiusPoint) return null;
+
+    var p1 = toVector(entity.diameterOrRadiusPoint);
+    var p2 = toVector(entity.anchorPoint);
+    var diameter = p1.distanceTo(p2);
+    if (diameter < EPSILON) return null;
+    if (geometry.measurement === undefined) geometry.measurement = diameter;
+
+    var center = p1.clone().add(p2).multiplyScalar(0.5);
+    var direction = p1.clone().sub(p2).divideScalar(diameter);
+    var arrowSize = style.DIMASZ * style.DIMSCALE;
+
+    geometry.dimensionLines.push(p2.clone(), p1.clone());
+    addArrow(geometry, p1, direction, arrowSize);
+    addArrow(geometry, p2, direction.clone().negate(), arrowSize);
+    addCenterMark(geometry, center, style);
+
+    return {
+        measurementText: 'Ø' + formatLinearMeasurement(geometry.measurement, style),
+        position: center,
+        rotation: getReadableRotation(Math.atan2(direction.y, direction.x))
+    };
+}
+
+function intersectLines(a1, a2, b1, b2) {
+    var d1x = a2.x - a1.x, d1y = a2.y - a1.y;
+    var d2x = b2.x - b1.x, d2y = b2.y - b1.y;
+    var denominator = d1x * d2y - d1y * d2x;
+    if (Math.abs(denominator) < EPSILON) return null;
+    var t = ((b1.x - a1.x) * d2y - (b1.y - a1.y) * d2x) / denominator;
+    return new THREE.Vector3(a1.x + t * d1x, a1.y + t * d1y, a1.z);
+}
+
+function addAngularDimension(geometry, entity, style) {
+    var vertex, location, points, angles;
+    var twoLine = (entity.dimensionType & 7) === 2;
+
+    if (twoLine) {
+        if (!entity.linearOrAngularPoint1 || !entity.linearOrAngularPoint2 ||
+            !entity.diameterOrRadiusPoint || !entity.anchorPoint || !entity.arcPoint) return null;
+        points = [entity.linearOrAngularPoint1, entity.linearOrAngularPoint2, entity.diameterOrRadiusPoint, entity.anchorPoint].map(toVector);
+        vertex = intersectLines(points[0], points[1], points[2], points[3]);
+        location = toVector(entity.arcPoint);
+    } else {
+        if (!entity.linearOrAngularPoint1 || !entity.linearOrAngularPoint2 ||
+            !entity.diameterOrRadiusPoint || !entity.anchorPoint) return null;
+        points = [entity.linearOrAngularPoint1, entity.linearOrAngularPoint2].map(toVector);
+        vertex = toVector(entity.diameterOrRadiusPoint);
+        location = toVector(entity.anchorPoint);
+    }
+    if (!vertex) return null;
+
+    var angleOf = function (point) {
+        return THREE.MathUtils.euclideanModulo(Math.atan2(point.y - vertex.y, point.x - vertex.x), 2 * Math.PI);
+    };
+
+    if (twoLine) {
+        // Each line splits the plane in two, so there are four sectors to pick from
+        var a1 = angleOf(points[0].distanceTo(vertex) > points[1].distanceTo(vertex) ? points[0] : points[1]);
+        var a2 = angleOf(points[2].distanceTo(vertex) > points[3].distanceTo(vertex) ? points[2] : points[3]);
+        angles = [a1, a1 + Math.PI, a2, a2 + Math.PI];
+    } else {
+        angles = [angleOf(points[0]), angleOf(points[1])];
+    }
+    angles = angles.map(function (a) { return THREE.MathUtils.euclideanModulo(a, 2 * Math.PI); })
+        .sort(function (a, b) { return a - b; });
+
+    // The arc spans the sector that contains the location point
+    var locationAngle = angleOf(location);
+    var start = angles[angles.length - 1], end = angles[0] + 2 * Math.PI;
+    for (var i = 0; i + 1 < angles.length; i++) {
+        if (locationAngle >= angles[i] && locationAngle <= angles[i + 1]) {
+            start = angles[i];
+            end = angles[i + 1];
+        }
+    }
+    var sweep = end - start;
+    var radius = location.distanceTo(vertex);
+    if (radius < EPSILON || sweep < EPSILON) return null;
+    if (geometry.measurement === undefined) geometry.measurement = sweep;
+
+    var pointAt = function (angle, distance) {
+        return new THREE.Vector3(vertex.x + distance * Math.cos(angle), vertex.y + distance * Math.sin(angle), vertex.z);
+    };
+
+    // Arc, roughly a segment every 5 degrees
+    var segments = Math.max(Math.ceil(sweep / (Math.PI / 36)), 2);
+    for (i = 0; i < segments; i++) {
+        geometry.dimensionLines.push(
+            pointAt(start + sweep * i / segments, radius),
+            pointAt(start + sweep * (i + 1) / segments, radius));
+    }
+
+    // Extension lines run from the farthest definition point on each side out to the arc
+    [start, end].forEach(function (angle) {
+        var farthest = 0;
+        for (var j = 0; j < points.length; j++) {
+            var v = points[j].clone().sub(vertex);
+            if (Math.abs(THREE.MathUtils.euclideanModulo(Math.atan2(v.y, v.x) - angle + Math.PI, 2 * Math.PI) - Math.PI) < 1e-6) {
+                farthest = Math.max(farthest, v.length());
+            }
+        }
+        if (farthest < radius) addExtensionLine(geometry, pointAt(angle, farthest), pointAt(angle, radius), style);
+    });
+
+    var arrowSize = style.DIMASZ * style.DIMSCALE;
+    addArrow(geometry, pointAt(start, radius), new THREE.Vector3(Math.sin(start), -Math.cos(start), 0), arrowSize);
+    addArrow(geometry, pointAt(end, radius), new THREE.Vector3(-Math.sin(end), Math.cos(end), 0), arrowSize);
+
+    var middle = start + sweep / 2;
+    var offset = style.DIMTAD ? (style.DIMGAP + style.DIMTXT / 2) * style.DIMSCALE : 0;
+    return {
+        measurementText: formatAngularMeasurement(geometry.measurement, style),
+        position: pointAt(middle, radius + offset),
+        rotation: getReadableRotation(middle + Math.PI / 2)
+    };
+}
+
+function addOrdinateDimension(geometry, entity, style) {
+    if (!entity.linearOrAngularPoint1 || !entity.linearOrAngularPoint2) return null;
+
+    var origin = toVector(entity.anchorPoint || { x: 0, y: 0 });
+    var feature = toVector(entity.linearOrAngularPoint1);
+    var leaderEnd = toVector(entity.linearOrAngularPoint2);
+    var xType = (entity.dimensionType & 64) === 64;
+
+    if (geometry.measurement === undefined) {
+        geometry.measurement = Math.abs(xType ? feature.x - origin.x : feature.y - origin.y);
+    }
+
+    // The leader leaves the feature along the measured axis and jogs to the leader end point
+    var offset = style.DIMEXO * style.DIMSCALE;
+    var direction = xType ? new THREE.Vector3(0, Math.sign(leaderEnd.y - feature.y) || 1, 0)
+        : new THREE.Vector3(Math.sign(leaderEnd.x - feature.x) || 1, 0, 0);
+    var start = feature.clone().addScaledVector(direction, offset);
+    var jog = xType ? new THREE.Vector3(feature.x, leaderEnd.y, feature.z) : new THREE.Vector3(leaderEnd.x, feature.y, feature.z);
+    geometry.extensionLines.push(start, jog, jog.clone(), leaderEnd.clone());
+
+    var textGap = (style.DIMGAP + style.DIMTXT) * style.DIMSCALE;
+    return {
+        measurementText: formatLinearMeasurement(geometry.measurement, style),
+        position: leaderEnd.clone().addScaledVector(direction, textGap),
+        rotation: xType ? Math.PI / 2 : 0
+    };
+}
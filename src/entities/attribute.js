@@ -0,0 +1,98 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for ATTRIB, the attribute values attached to an INSERT. The
+ * properties follow the ATTDEF entities dxf-parser parses: `tag`, `text` (the value),
+ * `startPoint`, `textHeight`, `rotation`, `invisible`... ATTRIB entities follow the INSERT
+ * they belong to, the Insert handler collects them into `attributes` of the insert.
+ * @constructor
+ */
+export default function Attribute() {
+    this.ForEntityName = 'ATTRIB';
+}
+
+Attribute.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value, scale: 1, textStyle: 'STANDARD' };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 1: // Value
+                entity.text = curr.value;
+                break;
+            case 2: // Tag
+                entity.tag = curr.value;
+                break;
+            case 7:
+                entity.textStyle = curr.value;
+                break;
+            case 10: // First alignment point
+                entity.startPoint = helpers.parsePoint(scanner);
+                break;
+            case 11: // Second alignment point
+                entity.endPoint = helpers.parsePoint(scanner);
+                break;
+            case 39:
+                entity.thickness = curr.value;
+                break;
+            case 40:
+                entity.textHeight = curr.value;
+                break;
+            case 41: // Relative x scale factor (width)
+                entity.scale = curr.value;
+                break;
+            case 50:
+                entity.rotation = curr.value;
+                break;
+            case 51:
+                entity.obliqueAngle = curr.value;
+                break;
+            case 70:
+                entity.invisible = !!(curr.value & 0x01);
+                entity.constant = !!(curr.value & 0x02);
+                entity.verificationRequired = !!(curr.value & 0x04);
+                entity.preset = !!(curr.value & 0x08);
+                break;
+            case 71:
+                entity.backwards = !!(curr.value & 0x02);
+                entity.mirrored = !!(curr.value & 0x04);
+                break;
+            case 72:
+                entity.horizontalJustification = curr.value;
+                break;
+            case 73:
+                entity.fieldLength = curr.value;
+                break;
+            case 74:
+                entity.verticalJustification = curr.value;
+                break;
+            case 101: // Embedded MTEXT of multiline attributes, group 1 already holds the text
+                entity.multiline = true;
+                skipEmbeddedObject(scanner);
+                break;
+            case 210:
+                entity.extrusionDirection = helpers.parsePoint(scanner);
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    return entity;
+};
+
+/**
+ * The groups of the embedded object reuse the codes of the attribute, skip them up to the end
+ * of the entity.
+ */
+function skipEmbeddedObject(scanner) {
+    while (!scanner.isEOF()) {
+        if (scanner.next().code === 0) {
+            scanner.rewind();
+            return;
+        }
+    }
+}
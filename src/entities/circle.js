@@ -0,0 +1,46 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for CIRCLE. It replaces the handler that comes with dxf-parser and
+ * reads the same properties plus the extrusion direction (`extrusionDirection`), which
+ * dxf-parser only reads for arcs.
+ * @constructor
+ */
+export default function Circle() {
+    this.ForEntityName = 'CIRCLE';
+}
+
+Circle.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 10: // Center, in OCS
+                entity.center = helpers.parsePoint(scanner);
+                break;
+            case 40:
+                entity.radius = curr.value;
+                break;
+            case 50: // Start angle (only written by some applications)
+                entity.startAngle = Math.PI / 180 * curr.value;
+                break;
+            case 51: // End angle
+                var endAngle = Math.PI / 180 * curr.value;
+                if (endAngle < entity.startAngle) entity.angleLength = endAngle + 2 * Math.PI - entity.startAngle;
+                else entity.angleLength = endAngle - entity.startAngle;
+                entity.endAngle = endAngle;
+                break;
+            case 210:
+                entity.extrusionDirection = helpers.parsePoint(scanner);
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    return entity;
+};
@@ -0,0 +1,145 @@
+import * as helpers from './parseHelpers';
+
+// Group codes of the dimension variables, in DIMSTYLE records and their overrides on entities
+export var DIMSTYLE_CODES = {
+    3: 'DIMPOST',
+    40: 'DIMSCALE',
+    41: 'DIMASZ',
+    42: 'DIMEXO',
+    44: 'DIMEXE',
+    45: 'DIMRND',
+    46: 'DIMDLE',
+    77: 'DIMTAD',
+    78: 'DIMZIN',
+    140: 'DIMTXT',
+    141: 'DIMCEN',
+    144: 'DIMLFAC',
+    147: 'DIMGAP',
+    176: 'DIMCLRD',
+    177: 'DIMCLRE',
+    178: 'DIMCLRT',
+    179: 'DIMADEC',
+    271: 'DIMDEC',
+    275: 'DIMAUNIT',
+    278: 'DIMDSEP',
+    341: 'DIMLDRBLK'
+};
+
+/**
+ * dxf-parser entity handler for DIMENSION. It replaces the handler that comes with dxf-parser
+ * and reads the same properties plus the dimension style name (`styleName`), the text
+ * rotation and the dimension variables overridden on the entity (`styleOverrides`, keyed by
+ * variable name, e.g. { DIMASZ: 2.5 }).
+ * @constructor
+ */
+export default function Dimension() {
+    this.ForEntityName = 'DIMENSION';
+}
+
+Dimension.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 2: // Referenced block name
+                entity.block = curr.value;
+                break;
+            case 3:
+                entity.styleName = curr.value;
+                break;
+            case 10: // X coordinate of 'first alignment point'
+                entity.anchorPoint = helpers.parsePoint(scanner);
+                break;
+            case 11:
+                entity.middleOfText = helpers.parsePoint(scanner);
+                break;
+            case 12: // Insertion point for clones of a dimension
+                entity.insertionPoint = helpers.parsePoint(scanner);
+                break;
+            case 13: // Definition point for linear and angular dimensions
+                entity.linearOrAngularPoint1 = helpers.parsePoint(scanner);
+                break;
+            case 14: // Definition point for linear and angular dimensions
+                entity.linearOrAngularPoint2 = helpers.parsePoint(scanner);
+                break;
+            case 15: // Definition point for diameter, radius, and angular dimensions
+                entity.diameterOrRadiusPoint = helpers.parsePoint(scanner);
+                break;
+            case 16: // Point defining dimension arc for angular dimensions
+                entity.arcPoint = helpers.parsePoint(scanner);
+                break;
+            case 70: // Dimension type
+                entity.dimensionType = curr.value;
+                break;
+            case 71: // 5 = Middle center
+                entity.attachmentPoint = curr.value;
+                break;
+            case 42: // Actual measurement
+                entity.actualMeasurement = curr.value;
+                break;
+            case 1: // Text entered by user explicitly
+                entity.text = curr.value;
+                break;
+            case 50: // Angle of rotated, horizontal, or vertical dimensions
+                entity.angle = curr.value;
+                break;
+            case 52: // Oblique angle of the extension lines
+                entity.obliqueAngle = curr.value;
+                break;
+            case 53: // Rotation of the text away from its default orientation
+                entity.textRotation = curr.value;
+                break;
+            case 210:
+                entity.extrusionDirection = helpers.parsePoint(scanner);
+                break;
+            case 1001:
+                if (curr.value === 'ACAD') {
+                    parseStyleOverrides(entity, scanner);
+                } else {
+                    helpers.checkCommonEntityProperties(entity, curr, scanner);
+                }
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    return entity;
+};
+
+/**
+ * Reads the DSTYLE section of the ACAD extended data into `entity.styleOverrides`. Leaders
+ * override their dimension style the same way.
+ *   1000 DSTYLE, 1002 {, (1070 group code, 1040/1070/1000/1005 value)..., 1002 }
+ * @param {Object} entity - the entity being parsed
+ * @param {Object} scanner - the dxf-parser DxfArrayScanner, on the 1001 ACAD group
+ */
+export function parseStyleOverrides(entity, scanner) {
+    var curr = scanner.next();
+    if (curr.code !== 1000 || curr.value !== 'DSTYLE') {
+        scanner.rewind();
+        return;
+    }
+
+    entity.styleOverrides = entity.styleOverrides || {};
+    var code = null;
+    while (!scanner.isEOF()) {
+        curr = scanner.next();
+        if (curr.code === 0 || curr.code === 1001 || (curr.code === 1002 && curr.value === '}')) {
+            if (curr.code !== 1002) scanner.rewind();
+            return;
+        }
+        if (curr.code === 1002) continue;
+
+        if (code === null && curr.code === 1070) {
+            code = curr.value;
+        } else if (code !== null) {
+            entity.styleOverrides[DIMSTYLE_CODES[code] || code] = curr.value;
+            code = null;
+        }
+    }
+}
@@ -0,0 +1,41 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for 3DFACE. It replaces the handler that comes with dxf-parser,
+ * which reads group 70 as if it were the flags of a polyline. The corners are in `vertices`
+ * (the fourth equals the third for triangles) and the invisible edges in `invisibleEdges`,
+ * bit 1 for the edge from the first to the second corner, 2, 4 and 8 for the following ones.
+ * @constructor
+ */
+export default function Face() {
+    this.ForEntityName = '3DFACE';
+}
+
+Face.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value, vertices: [], invisibleEdges: 0 };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 10: // Corners
+            case 11:
+            case 12:
+            case 13:
+                entity.vertices[curr.code - 10] = helpers.parsePoint(scanner);
+                break;
+            case 70: // Invisible edge flags
+                entity.invisibleEdges = curr.value;
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    // Some writers leave out the fourth corner of triangles
+    if (entity.vertices.length === 3) entity.vertices.push(entity.vertices[2]);
+
+    return entity;
+};
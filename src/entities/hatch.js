@@ -0,0 +1,297 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for HATCH. Register it with
+ * `parser.registerEntityHandler(Hatch)` (or use registerEntityHandlers).
+ *
+ * The parsed entity has the boundary loops in `boundaryLoops`. Each loop is either a polyline
+ * (`vertices` with optional bulges) or a list of `edges` of type 'line', 'arc', 'ellipse'
+ * or 'spline'. Pattern definition lines are in `patternLines`, already scaled and rotated
+ * the way they are stored in the dxf. Gradient fills have a `gradient` property.
+ * @constructor
+ */
+export default function Hatch() {
+    this.ForEntityName = 'HATCH';
+}
+
+Hatch.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value, boundaryLoops: [], patternLines: [] };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 2:
+                entity.patternName = curr.value;
+                break;
+            case 10: // Elevation point. Only x and y are meaningful, z is the elevation
+                entity.elevationPoint = helpers.parsePoint(scanner);
+                break;
+            case 210:
+                entity.extrusionDirection = helpers.parsePoint(scanner);
+                break;
+            case 70:
+                entity.solidFill = curr.value === 1;
+                break;
+            case 71:
+                entity.associative = curr.value === 1;
+                break;
+            case 91:
+                entity.boundaryLoops = parseBoundaryLoops(curr.value, scanner);
+                break;
+            case 75: // 0 = Odd parity (normal), 1 = Outermost area only, 2 = Entire area (ignore islands)
+                entity.hatchStyle = curr.value;
+                break;
+            case 76: // 0 = User-defined, 1 = Predefined, 2 = Custom
+                entity.patternType = curr.value;
+                break;
+            case 52:
+                entity.patternAngle = curr.value;
+                break;
+            case 41:
+                entity.patternScale = curr.value;
+                break;
+            case 77:
+                entity.patternDouble = curr.value === 1;
+                break;
+            case 78:
+                entity.patternLines = parsePatternLines(scanner);
+                break;
+            case 47:
+                entity.pixelSize = curr.value;
+                break;
+            case 98:
+                entity.seedPoints = parseSeedPoints(scanner);
+                break;
+            case 450:
+                if (curr.value === 1) entity.gradient = entity.gradient || { colors: [] };
+                break;
+            case 452:
+                getGradient(entity).singleColor = curr.value === 1;
+                break;
+            case 460: // Radians
+                getGradient(entity).angle = curr.value;
+                break;
+            case 461:
+                getGradient(entity).shift = curr.value;
+                break;
+            case 462:
+                getGradient(entity).tint = curr.value;
+                break;
+            case 421: // Gradient colors as rgb values
+                getGradient(entity).colors.push(curr.value);
+                break;
+            case 470:
+                getGradient(entity).name = curr.value;
+                break;
+            case 451: // Reserved
+            case 453: // Number of colors, implied by the 421 groups
+            case 463: // Reserved
+            case 63: // ACI values of the gradient colors. The 421 groups are used instead.
+                break;
+            default:
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+    // 450 is written for solid fills too so only keep the gradient if it really is one
+    if (entity.gradient && !entity.gradient.name) delete entity.gradient;
+    return entity;
+};
+
+function getGradient(entity) {
+    return entity.gradient = entity.gradient || { colors: [] };
+}
+
+/**
+ * Reads groups while their code is one of the given codes, handing each one to the callback.
+ * The scanner is left on the last group that was handled.
+ */
+function parseGroupsWhile(scanner, codes, callback) {
+    while (!scanner.isEOF()) {
+        var curr = scanner.next();
+        if (codes.indexOf(curr.code) === -1) {
+            scanner.rewind();
+            return;
+        }
+        if (callback(curr) === false) return;
+    }
+}
+
+function parseBoundaryLoops(count, scanner) {
+    var loops = [];
+    for (var i = 0; i < count; i++) {
+        var curr = scanner.next();
+        if (curr.code !== 92) {
+            scanner.rewind();
+            break;
+        }
+
+        var loop = {
+            flags: curr.value,
+            external: (curr.value & 1) === 1,
+            isPolyline: (curr.value & 2) === 2,
+            derived: (curr.value & 4) === 4,
+            textbox: (curr.value & 8) === 8,
+            outermost: (curr.value & 16) === 16,
+            sourceHandles: []
+        };
+        if (loop.isPolyline) parsePolylineLoop(loop, scanner);
+        else loop.edges = parseEdges(scanner);
+
+        parseGroupsWhile(scanner, [97, 330], function (group) {
+            if (group.code === 330) loop.sourceHandles.push(group.value);
+        });
+        loops.push(loop);
+    }
+    return loops;
+}
+
+function parsePolylineLoop(loop, scanner) {
+    loop.vertices = [];
+    parseGroupsWhile(scanner, [72, 73, 93, 10, 42], function (group) {
+        switch (group.code) {
+            case 73:
+                loop.closed = group.value === 1;
+                break;
+            case 10:
+                loop.vertices.push(helpers.parsePoint(scanner));
+                break;
+            case 42:
+                if (group.value !== 0 && loop.vertices.length) loop.vertices[loop.vertices.length - 1].bulge = group.value;
+                break;
+        }
+    });
+}
+
+var EDGE_TYPES = [null, 'line', 'arc', 'ellipse', 'spline'];
+var EDGE_CODES = {
+    line: [10, 11],
+    arc: [10, 40, 50, 51, 73],
+    ellipse: [10, 11, 40, 50, 51, 73],
+    spline: [94, 73, 74, 95, 96, 40, 10, 42, 97, 11, 12, 13]
+};
+
+function parseEdges(scanner) {
+    var edges = [];
+    var curr = scanner.next();
+    if (curr.code !== 93) {
+        scanner.rewind();
+        return edges;
+    }
+
+    var count = curr.value;
+    for (var i = 0; i < count; i++) {
+        curr = scanner.next();
+        var type = curr.code === 72 ? EDGE_TYPES[curr.value] : null;
+        if (!type) {
+            scanner.rewind();
+            break;
+        }
+        edges.push(parseEdge(type, scanner));
+    }
+    return edges;
+}
+
+function parseEdge(type, scanner) {
+    var edge = { type: type };
+    if (type === 'spline') {
+        edge.knots = [];
+        edge.controlPoints = [];
+        edge.fitPoints = [];
+    }
+
+    parseGroupsWhile(scanner, EDGE_CODES[type], function (group) {
+        switch (group.code) {
+            case 10:
+                if (type === 'line') edge.start = helpers.parsePoint(scanner);
+                else if (type === 'spline') edge.controlPoints.push(helpers.parsePoint(scanner));
+                else edge.center = helpers.parsePoint(scanner);
+                break;
+            case 11:
+                if (type === 'line') edge.end = helpers.parsePoint(scanner);
+                else if (type === 'spline') edge.fitPoints.push(helpers.parsePoint(scanner));
+                else edge.majorAxisEndPoint = helpers.parsePoint(scanner);
+                break;
+            case 12:
+                edge.startTangent = helpers.parsePoint(scanner);
+                break;
+            case 13:
+                edge.endTangent = helpers.parsePoint(scanner);
+                break;
+            case 40:
+                if (type === 'arc') edge.radius = group.value;
+                else if (type === 'ellipse') edge.axisRatio = group.value;
+                else edge.knots.push(group.value);
+                break;
+            case 42:
+                edge.weights = edge.weights || [];
+                edge.weights.push(group.value);
+                break;
+            case 50:
+                edge.startAngle = group.value;
+                break;
+            case 51:
+                edge.endAngle = group.value;
+                break;
+            case 73:
+                if (type === 'spline') edge.rational = group.value === 1;
+                else edge.counterClockwise = group.value === 1;
+                break;
+            case 74:
+                edge.periodic = group.value === 1;
+                break;
+            case 94:
+                edge.degree = group.value;
+                break;
+            case 97:
+                // The number of fit points. Older files leave it out, in which case this is
+                // the source boundary count of the loop and must be left for the loop to read.
+                if (edge.fitPointCount !== undefined) {
+                    scanner.rewind();
+                    return false;
+                }
+                edge.fitPointCount = group.value;
+                break;
+        }
+    });
+    return edge;
+}
+
+function parsePatternLines(scanner) {
+    var lines = [];
+    var line = null;
+    parseGroupsWhile(scanner, [53, 43, 44, 45, 46, 79, 49], function (group) {
+        switch (group.code) {
+            case 53:
+                line = { angle: group.value, base: { x: 0, y: 0 }, offset: { x: 0, y: 0 }, dashes: [] };
+                lines.push(line);
+                break;
+            case 43:
+                line.base.x = group.value;
+                break;
+            case 44:
+                line.base.y = group.value;
+                break;
+            case 45:
+                line.offset.x = group.value;
+                break;
+            case 46:
+                line.offset.y = group.value;
+                break;
+            case 49:
+                line.dashes.push(group.value);
+                break;
+        }
+    });
+    return lines;
+}
+
+function parseSeedPoints(scanner) {
+    var points = [];
+    parseGroupsWhile(scanner, [10], function () {
+        points.push(helpers.parsePoint(scanner));
+    });
+    return points;
+}
@@ -0,0 +1,32 @@
+import Attribute from './attribute';
+import Circle from './circle';
+import Dimension from './dimension';
+import Face from './face';
+import Hatch from './hatch';
+import Insert from './insert';
+import Leader from './leader';
+import Mesh from './mesh';
+import MLeader from './mleader';
+import MText from './mtext';
+import Polyline from './polyline';
+import Text from './text';
+import Viewport from './viewport';
+
+export { Attribute, Circle, Dimension, Face, Hatch, Insert, Leader, Mesh, MLeader, MText, Polyline, Text, Viewport };
+
+// Entity handlers for entities dxf-parser does not parse on its own, or not completely
+var handlers = [Attribute, Circle, Dimension, Face, Hatch, Insert, Leader, Mesh, MLeader, MText, Polyline, Text, Viewport];
+
+/**
+ * Registers the entity handlers for the entities dxf-parser does not support (or only partly
+ * supports) but this viewer can draw. The tables and objects it skips (layouts, text styles,
+ * named views...) are read from the file afterwards, see readTables.
+ * @param {Object} parser - a DxfParser instance
+ * @return {Object} the parser
+ */
+export function registerEntityHandlers(parser) {
+    for (var i = 0; i < handlers.length; i++) {
+        parser.registerEntityHandler(handlers[i]);
+    }
+    return parser;
+}
@@ -0,0 +1,87 @@
+import * as helpers from './parseHelpers';
+import Attribute from './attribute';
+
+var attributeParser = new Attribute();
+
+/**
+ * dxf-parser entity handler for INSERT. It replaces the handler that comes with dxf-parser and
+ * reads the same properties plus the ATTRIB entities following the insert, which end up in
+ * `attributes` (dxf-parser skips them).
+ * @constructor
+ */
+export default function Insert() {
+    this.ForEntityName = 'INSERT';
+}
+
+Insert.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 2:
+                entity.name = curr.value;
+                break;
+            case 41:
+                entity.xScale = curr.value;
+                break;
+            case 42:
+                entity.yScale = curr.value;
+                break;
+            case 43:
+                entity.zScale = curr.value;
+                break;
+            case 10:
+                entity.position = helpers.parsePoint(scanner);
+                break;
+            case 50:
+                entity.rotation = curr.value;
+                break;
+            case 66: // Attributes follow
+                entity.attributesFollow = curr.value === 1;
+                break;
+            case 70:
+                entity.columnCount = curr.value;
+                break;
+            case 71:
+                entity.rowCount = curr.value;
+                break;
+            case 44:
+                entity.columnSpacing = curr.value;
+                break;
+            case 45:
+                entity.rowSpacing = curr.value;
+                break;
+            case 210:
+                entity.extrusionDirection = helpers.parsePoint(scanner);
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    if (entity.attributesFollow) entity.attributes = parseAttributes(scanner, curr);
+
+    return entity;
+};
+
+/**
+ * Reads ATTRIB entities up to the SEQEND closing them, like dxf-parser reads the vertices of
+ * polylines. The scanner is left on the group following the sequence.
+ */
+function parseAttributes(scanner, curr) {
+    var attributes = [];
+    while (!scanner.isEOF() && curr.code === 0) {
+        if (curr.value === 'ATTRIB') {
+            attributes.push(attributeParser.parseEntity(scanner, curr));
+            curr = scanner.lastReadGroup;
+        } else {
+            if (curr.value === 'SEQEND') helpers.parseSeqEnd(scanner);
+            break;
+        }
+    }
+    return attributes;
+}
@@ -0,0 +1,81 @@
+import * as helpers from './parseHelpers';
+import { parseStyleOverrides } from './dimension';
+
+/**
+ * dxf-parser entity handler for LEADER. The points of the leader line are in `vertices`, from
+ * the arrowhead to the end of the hookline if it has one. Like dimensions, leaders have a
+ * dimension style (`styleName`) and the variables overridden on the entity (`styleOverrides`).
+ * @constructor
+ */
+export default function Leader() {
+    this.ForEntityName = 'LEADER';
+}
+
+Leader.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value, vertices: [] };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 3:
+                entity.styleName = curr.value;
+                break;
+            case 10: // Vertices
+                entity.vertices.push(helpers.parsePoint(scanner));
+                break;
+            case 40:
+                entity.textHeight = curr.value;
+                break;
+            case 41:
+                entity.textWidth = curr.value;
+                break;
+            case 71: // 0 = no arrowhead, 1 = arrowhead
+                entity.arrowHeadFlag = curr.value;
+                break;
+            case 72: // 0 = straight line segments, 1 = spline
+                entity.pathType = curr.value;
+                break;
+            case 73: // 0 = text, 1 = tolerance, 2 = block reference, 3 = no annotation
+                entity.annotationType = curr.value;
+                break;
+            case 74: // Hookline direction: 0 = opposite to the horizontal direction, 1 = the same
+                entity.hooklineDirection = curr.value;
+                break;
+            case 75:
+                entity.hookline = curr.value === 1;
+                break;
+            case 77: // Color used for the leader line if DIMCLRD is ByBlock
+                entity.byBlockColorIndex = curr.value;
+                break;
+            case 210:
+                entity.extrusionDirection = helpers.parsePoint(scanner);
+                break;
+            case 211:
+                entity.horizontalDirection = helpers.parsePoint(scanner);
+                break;
+            case 212:
+                entity.blockOffset = helpers.parsePoint(scanner);
+                break;
+            case 213:
+                entity.annotationOffset = helpers.parsePoint(scanner);
+                break;
+            case 340: // Handle of the annotation (MTEXT, TOLERANCE or INSERT)
+                entity.annotationHandle = curr.value;
+                break;
+            case 1001:
+                if (curr.value === 'ACAD') {
+                    parseStyleOverrides(entity, scanner);
+                } else {
+                    helpers.checkCommonEntityProperties(entity, curr, scanner);
+                }
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    return entity;
+};
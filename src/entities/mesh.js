@@ -0,0 +1,88 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for MESH, the subdivision meshes of AutoCAD 2010 and later. The
+ * control mesh is read: the points in `vertices` and the faces in `faces`, each a list of
+ * indices into `vertices`. The subdivision level (`subdivisionLevel`) is kept but the smoothed
+ * mesh is not computed.
+ * @constructor
+ */
+export default function Mesh() {
+    this.ForEntityName = 'MESH';
+}
+
+Mesh.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value, vertices: [], faces: [] };
+    var i;
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 71:
+                entity.version = curr.value;
+                break;
+            case 72:
+                entity.blendCrease = curr.value === 1;
+                break;
+            case 91:
+                entity.subdivisionLevel = curr.value;
+                break;
+            case 92: // Vertex count, the vertices follow
+                for (i = curr.value; i > 0; i--) {
+                    curr = scanner.next();
+                    if (curr.code !== 10) break;
+                    entity.vertices.push(helpers.parsePoint(scanner));
+                }
+                if (i > 0) scanner.rewind();
+                break;
+            case 93: // Size of the face list, the lists of indices of every face follow
+                entity.faces = parseFaces(scanner, curr.value);
+                break;
+            case 94: // Edge count, pairs of vertex indices follow
+                skipGroups(scanner, 90, curr.value * 2);
+                break;
+            case 95: // Crease count, the creases follow
+                skipGroups(scanner, 140, curr.value);
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    return entity;
+};
+
+/**
+ * The face list is a sequence of group 90 values: the number of corners of a face followed by
+ * their indices, then the next face.
+ */
+function parseFaces(scanner, size) {
+    var values = [];
+    for (var i = 0; i < size; i++) {
+        var curr = scanner.next();
+        if (curr.code !== 90) {
+            scanner.rewind();
+            break;
+        }
+        values.push(curr.value);
+    }
+
+    var faces = [];
+    for (var j = 0; j < values.length; j += values[j] + 1) {
+        faces.push(values.slice(j + 1, j + 1 + values[j]));
+        if (!values[j]) break;
+    }
+    return faces;
+}
+
+function skipGroups(scanner, code, count) {
+    for (var i = 0; i < count; i++) {
+        if (scanner.next().code !== code) {
+            scanner.rewind();
+            return;
+        }
+    }
+}
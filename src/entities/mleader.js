@@ -0,0 +1,273 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for MULTILEADER (MLEADER). The entity holds the leader style
+ * properties as overridden on the entity, and a `context` with what is drawn:
+ *
+ *    context.leaders       - [{ lastPoint, doglegVector, doglegLength, lines }], every line
+ *                            is { vertices, arrowHeadSize, arrowHead, color }
+ *    context.text          - the MText content ({ text, position, direction, rotation, width,
+ *                            height, attachment, color }), if the content is text
+ *    context.block         - the block content ({ blockRecord, position, scale, rotation,
+ *                            normal, color }), if the content is a block
+ *
+ * Colors (`color` of lines and content, `leaderLineColor`) are the raw 32 bit values of the
+ * entity, see getRawColor.
+ * @constructor
+ */
+export default function MLeader() {
+    this.ForEntityName = 'MULTILEADER';
+}
+
+MLeader.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value };
+    var inMLeader = false;
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 100:
+                inMLeader = curr.value === 'AcDbMLeader';
+                break;
+            case 300:
+                if (curr.value === 'CONTEXT_DATA{') entity.context = parseContext(scanner);
+                break;
+            case 340:
+                entity.leaderStyle = curr.value;
+                break;
+            case 170: // 0 = invisible, 1 = straight line segments, 2 = spline
+                entity.leaderLineType = curr.value;
+                break;
+            case 91:
+                entity.leaderLineColor = curr.value;
+                break;
+            case 290:
+                entity.enableLanding = curr.value;
+                break;
+            case 291:
+                entity.enableDogleg = curr.value;
+                break;
+            case 41:
+                entity.doglegLength = curr.value;
+                break;
+            case 342: // Handle of the block record of the arrowhead
+                entity.arrowHead = curr.value;
+                break;
+            case 42:
+                entity.arrowHeadSize = curr.value;
+                break;
+            case 172: // 1 = block, 2 = MText
+                entity.contentType = curr.value;
+                break;
+            case 92:
+                entity.textColor = curr.value;
+                break;
+            case 292:
+                entity.enableFrameText = curr.value;
+                break;
+            case 93:
+                entity.blockContentColor = curr.value;
+                break;
+            case 302: // Block attributes (text, index and width) are not read
+            case 177:
+            case 44:
+                break;
+            case 330:
+                // Owner handle, or the attribute definition of a block attribute
+                if (!inMLeader) helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    return entity;
+};
+
+/**
+ * Reads the groups up to the end of the context data (301 }).
+ */
+function parseContext(scanner) {
+    var context = { leaders: [] };
+    var text = {};
+    var block = {};
+    var curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) {
+            scanner.rewind();
+            break;
+        }
+        if (curr.code === 301) break;
+
+        switch (curr.code) {
+            case 302:
+                if (curr.value === 'LEADER{') context.leaders.push(parseLeader(scanner));
+                break;
+            case 40:
+                context.scale = curr.value;
+                break;
+            case 10:
+                context.basePoint = helpers.parsePoint(scanner);
+                break;
+            case 41:
+                text.height = curr.value;
+                break;
+            case 140:
+                context.arrowHeadSize = curr.value;
+                break;
+            case 145:
+                context.landingGap = curr.value;
+                break;
+            case 290:
+                context.hasText = curr.value;
+                break;
+            case 304:
+                text.text = curr.value;
+                break;
+            case 11:
+                text.normal = helpers.parsePoint(scanner);
+                break;
+            case 340:
+                text.style = curr.value;
+                break;
+            case 12:
+                text.position = helpers.parsePoint(scanner);
+                break;
+            case 13:
+                text.direction = helpers.parsePoint(scanner);
+                break;
+            case 42:
+                text.rotation = curr.value;
+                break;
+            case 43:
+                text.width = curr.value;
+                break;
+            case 45:
+                text.lineSpacingFactor = curr.value;
+                break;
+            case 90:
+                text.color = curr.value;
+                break;
+            case 171: // 1 = left, 2 = center, 3 = right
+                text.attachment = curr.value;
+                break;
+            case 296:
+                context.hasBlock = curr.value;
+                break;
+            case 341: // Handle of the block record of the block content
+                block.blockRecord = curr.value;
+                break;
+            case 14:
+                block.normal = helpers.parsePoint(scanner);
+                break;
+            case 15:
+                block.position = helpers.parsePoint(scanner);
+                break;
+            case 16:
+                block.scale = helpers.parsePoint(scanner);
+                break;
+            case 46:
+                block.rotation = curr.value;
+                break;
+            case 93:
+                block.color = curr.value;
+                break;
+            case 110:
+                context.planeOrigin = helpers.parsePoint(scanner);
+                break;
+            case 111:
+                context.planeXAxis = helpers.parsePoint(scanner);
+                break;
+            case 112:
+                context.planeYAxis = helpers.parsePoint(scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    if (context.hasText) context.text = text;
+    if (context.hasBlock) context.block = block;
+    return context;
+}
+
+/**
+ * Reads one leader (302 LEADER{ ... 303 }), the lines of which meet at its last point.
+ */
+function parseLeader(scanner) {
+    var leader = { lines: [] };
+    var curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) {
+            scanner.rewind();
+            break;
+        }
+        if (curr.code === 303) break;
+
+        switch (curr.code) {
+            case 304:
+                if (curr.value === 'LEADER_LINE{') leader.lines.push(parseLeaderLine(scanner));
+                break;
+            case 290:
+                leader.hasLastPoint = curr.value;
+                break;
+            case 291:
+                leader.hasDogleg = curr.value;
+                break;
+            case 10:
+                leader.lastPoint = helpers.parsePoint(scanner);
+                break;
+            case 11:
+                leader.doglegVector = helpers.parsePoint(scanner);
+                break;
+            case 40:
+                leader.doglegLength = curr.value;
+                break;
+            case 90:
+                leader.index = curr.value;
+                break;
+        }
+        curr = scanner.next();
+    }
+    return leader;
+}
+
+/**
+ * Reads one leader line (304 LEADER_LINE{ ... 305 }).
+ */
+function parseLeaderLine(scanner) {
+    var line = { vertices: [] };
+    var curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) {
+            scanner.rewind();
+            break;
+        }
+        if (curr.code === 305) break;
+
+        switch (curr.code) {
+            case 10:
+                line.vertices.push(helpers.parsePoint(scanner));
+                break;
+            case 91:
+                line.index = curr.value;
+                break;
+            case 170: // Overrides of the leader line type, color, arrowhead and its size
+                line.leaderLineType = curr.value;
+                break;
+            case 92:
+                line.color = curr.value;
+                break;
+            case 40:
+                line.arrowHeadSize = curr.value;
+                break;
+            case 341:
+                line.arrowHead = curr.value;
+                break;
+        }
+        curr = scanner.next();
+    }
+    return line;
+}
@@ -0,0 +1,130 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for MTEXT. It replaces the handler that comes with dxf-parser and
+ * reads the same properties plus the text style (`styleName`), the line spacing
+ * (`lineSpacingFactor`, `lineSpacingStyle`: 1 = at least, 2 = exactly) and the columns
+ * (`columns`: { type, count, width, gutter, heights, autoHeight, flowReversed }, type 1 for
+ * static and 2 for dynamic columns). Columns are read from the entity itself (AutoCAD 2007 to
+ * 2013) or from its embedded object (AutoCAD 2018).
+ * @constructor
+ */
+export default function MText() {
+    this.ForEntityName = 'MTEXT';
+}
+
+MText.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value };
+    var columns = null;
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 1: // Text, after the chunks of group 3
+            case 3:
+                entity.text = (entity.text || '') + curr.value;
+                break;
+            case 7:
+                entity.styleName = curr.value;
+                break;
+            case 10:
+                entity.position = helpers.parsePoint(scanner);
+                break;
+            case 11:
+                entity.directionVector = helpers.parsePoint(scanner);
+                break;
+            case 40:
+                entity.height = curr.value;
+                break;
+            case 41: // Width of the reference rectangle, 0 for no wrapping
+                entity.width = curr.value;
+                break;
+            case 44:
+                entity.lineSpacingFactor = curr.value;
+                break;
+            case 46:
+                entity.definedHeight = curr.value;
+                break;
+            case 50: // Rotation, or the height of a column once the columns started
+                if (columns) columns.heights.push(curr.value);
+                else entity.rotation = curr.value;
+                break;
+            case 71:
+                entity.attachmentPoint = curr.value;
+                break;
+            case 72:
+                entity.drawingDirection = curr.value;
+                break;
+            case 73:
+                entity.lineSpacingStyle = curr.value;
+                break;
+            case 75:
+                columns = entity.columns = { type: curr.value, heights: [] };
+                break;
+            case 76:
+                if (columns) columns.count = curr.value;
+                break;
+            case 78:
+                if (columns) columns.flowReversed = curr.value === 1;
+                break;
+            case 79:
+                if (columns) columns.autoHeight = curr.value === 1;
+                break;
+            case 48:
+                if (columns) columns.width = curr.value;
+                break;
+            case 49:
+                if (columns) columns.gutter = curr.value;
+                break;
+            case 101: // Embedded object
+                parseEmbeddedObject(entity, scanner);
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    return entity;
+};
+
+/**
+ * Reads the columns from the embedded object of AutoCAD 2018 files, which runs up to the end
+ * of the entity:
+ *   70, 10, 11, 40, 41, 42, 43, 71 column type, 72 column count, 44 column width, 45 gutter,
+ *   73 auto height, 74 flow reversed, 46 column heights...
+ */
+function parseEmbeddedObject(entity, scanner) {
+    var columns = { heights: [] };
+    var curr = scanner.next();
+    while (!scanner.isEOF() && curr.code !== 0) {
+        switch (curr.code) {
+            case 71:
+                columns.type = curr.value;
+                break;
+            case 72:
+                columns.count = curr.value;
+                break;
+            case 44:
+                columns.width = curr.value;
+                break;
+            case 45:
+                columns.gutter = curr.value;
+                break;
+            case 73:
+                columns.autoHeight = curr.value === 1;
+                break;
+            case 74:
+                columns.flowReversed = curr.value === 1;
+                break;
+            case 46:
+                columns.heights.push(curr.value);
+                break;
+        }
+        curr = scanner.next();
+    }
+    scanner.rewind();
+    if (columns.type) entity.columns = columns;
+}
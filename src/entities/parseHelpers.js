@@ -0,0 +1,128 @@
+import AUTO_CAD_COLOR_INDEX from '../AutoCadColorIndex';
+
+// Helpers for the entity handlers in this folder. These follow the helpers of the same
+// name in dxf-parser, which does not export them, so entities parsed by our handlers
+// look exactly like the ones dxf-parser produces itself.
+
+/**
+ * Parses the 2D or 3D coordinate, vector, or point. When complete,
+ * the scanner remains on the last group of the coordinate.
+ * @param {Object} scanner - the dxf-parser DxfArrayScanner
+ * @return {Object} the point
+ */
+export function parsePoint(scanner) {
+    var point = {};
+
+    // Reread group for the first coordinate
+    scanner.rewind();
+    var curr = scanner.next();
+
+    var code = curr.code;
+    point.x = curr.value;
+
+    code += 10;
+    curr = scanner.next();
+    if (curr.code !== code)
+        throw new Error('Expected code for point value to be ' + code + ' but got ' + curr.code + '.');
+    point.y = curr.value;
+
+    code += 10;
+    curr = scanner.next();
+    if (curr.code !== code) {
+        // Only the x and y are specified. Don't read z.
+        scanner.rewind();
+        return point;
+    }
+    point.z = curr.value;
+
+    return point;
+}
+
+/**
+ * Attempts to parse codes common to all entities. Returns true if the group
+ * was handled by this function.
+ * @param {Object} entity - the entity currently being parsed
+ * @param {Object} curr - the current group being parsed
+ * @param {Object} scanner - the dxf-parser DxfArrayScanner
+ * @return {Boolean} true if the group was handled
+ */
+export function checkCommonEntityProperties(entity, curr, scanner) {
+    switch (curr.code) {
+        case 0:
+            entity.type = curr.value;
+            break;
+        case 5:
+            entity.handle = curr.value;
+            break;
+        case 6:
+            entity.lineType = curr.value;
+            break;
+        case 8: // Layer name
+            entity.layer = curr.value;
+            break;
+        case 48:
+            entity.lineTypeScale = curr.value;
+            break;
+        case 60:
+            entity.visible = curr.value === 0;
+            break;
+        case 62: // Acad Index Color. 0 inherits ByBlock. 256 inherits ByLayer. Default is bylayer
+            entity.colorIndex = curr.value;
+            entity.color = AUTO_CAD_COLOR_INDEX[Math.abs(curr.value)];
+            break;
+        case 67:
+            entity.inPaperSpace = curr.value !== 0;
+            break;
+        case 100:
+            //ignore
+            break;
+        case 101: // Embedded Object in ACAD 2018.
+            while (curr.code !== 0) {
+                curr = scanner.next();
+            }
+            scanner.rewind();
+            break;
+        case 330:
+            entity.ownerHandle = curr.value;
+            break;
+        case 347:
+            entity.materialObjectHandle = curr.value;
+            break;
+        case 370:
+            // 100th of mm. -3 = STANDARD (default), -2 = BYBLOCK, -1 = BYLAYER
+            entity.lineweight = curr.value;
+            break;
+        case 420: // TrueColor Color
+            entity.color = curr.value;
+            break;
+        case 1000:
+            entity.extendedData = entity.extendedData || {};
+            entity.extendedData.customStrings = entity.extendedData.customStrings || [];
+            entity.extendedData.customStrings.push(curr.value);
+            break;
+        case 1001:
+            entity.extendedData = entity.extendedData || {};
+            entity.extendedData.applicationName = curr.value;
+            break;
+        default:
+            return false;
+    }
+    return true;
+}
+
+/**
+ * Reads the SEQEND entity closing the vertices of a polyline or the attributes of an insert.
+ * When complete, the scanner is on the group following it.
+ * @param {Object} scanner - the dxf-parser DxfArrayScanner, on the 0/SEQEND group
+ * @return {Object} the entity
+ */
+export function parseSeqEnd(scanner) {
+    var entity = { type: 'SEQEND' };
+    var curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+        checkCommonEntityProperties(entity, curr, scanner);
+        curr = scanner.next();
+    }
+    return entity;
+}
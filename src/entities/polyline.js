@@ -0,0 +1,139 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for POLYLINE. It replaces the handler that comes with dxf-parser
+ * and reads the same properties (the VERTEX entities end up in `vertices`) plus what dxf-parser
+ * skips: the elevation of 2D polylines (`elevation`) and the vertex counts and surface
+ * densities of polygon meshes.
+ * @constructor
+ */
+export default function Polyline() {
+    this.ForEntityName = 'POLYLINE';
+}
+
+Polyline.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value, vertices: [] };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 10: // Always 0
+            case 20: // Always 0
+                break;
+            case 30: // Elevation of 2D polylines, in OCS
+                entity.elevation = curr.value;
+                break;
+            case 39:
+                entity.thickness = curr.value;
+                break;
+            case 70:
+                entity.shape = (curr.value & 1) !== 0;
+                entity.includesCurveFitVertices = (curr.value & 2) !== 0;
+                entity.includesSplineFitVertices = (curr.value & 4) !== 0;
+                entity.is3dPolyline = (curr.value & 8) !== 0;
+                entity.is3dPolygonMesh = (curr.value & 16) !== 0;
+                entity.is3dPolygonMeshClosed = (curr.value & 32) !== 0; // Closed in the N direction
+                entity.isPolyfaceMesh = (curr.value & 64) !== 0;
+                entity.hasContinuousLinetypePattern = (curr.value & 128) !== 0;
+                break;
+            case 71: // Polygon mesh M vertex count
+                entity.meshMVertexCount = curr.value;
+                break;
+            case 72: // Polygon mesh N vertex count
+                entity.meshNVertexCount = curr.value;
+                break;
+            case 73: // Smooth surface M density
+                entity.surfaceMDensity = curr.value;
+                break;
+            case 74: // Smooth surface N density
+                entity.surfaceNDensity = curr.value;
+                break;
+            case 75: // Smooth surface type, 0 for none
+                entity.surfaceType = curr.value;
+                break;
+            case 210:
+                entity.extrusionDirection = helpers.parsePoint(scanner);
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    entity.vertices = parseVertices(scanner, curr);
+
+    return entity;
+};
+
+/**
+ * Reads VERTEX entities up to the SEQEND closing them. The scanner is left on the group
+ * following the sequence.
+ */
+function parseVertices(scanner, curr) {
+    var vertices = [];
+    while (!scanner.isEOF() && curr.code === 0) {
+        if (curr.value === 'VERTEX') {
+            vertices.push(parseVertex(scanner, curr));
+            curr = scanner.lastReadGroup;
+        } else {
+            if (curr.value === 'SEQEND') helpers.parseSeqEnd(scanner);
+            break;
+        }
+    }
+    return vertices;
+}
+
+function parseVertex(scanner, curr) {
+    var entity = { type: curr.value };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 10:
+                entity.x = curr.value;
+                break;
+            case 20:
+                entity.y = curr.value;
+                break;
+            case 30:
+                entity.z = curr.value;
+                break;
+            case 40: // Start width
+            case 41: // End width
+            case 50: // Curve fit tangent direction
+                break;
+            case 42:
+                if (curr.value != 0) entity.bulge = curr.value;
+                break;
+            case 70:
+                entity.curveFittingVertex = (curr.value & 1) !== 0;
+                entity.curveFitTangent = (curr.value & 2) !== 0;
+                entity.splineVertex = (curr.value & 8) !== 0;
+                entity.splineControlPoint = (curr.value & 16) !== 0;
+                entity.threeDPolylineVertex = (curr.value & 32) !== 0;
+                entity.threeDPolylineMesh = (curr.value & 64) !== 0;
+                entity.polyfaceMeshVertex = (curr.value & 128) !== 0;
+                break;
+            case 71: // Polyface mesh vertex indices
+                entity.faceA = curr.value;
+                break;
+            case 72:
+                entity.faceB = curr.value;
+                break;
+            case 73:
+                entity.faceC = curr.value;
+                break;
+            case 74:
+                entity.faceD = curr.value;
+                break;
+            default:
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+    return entity;
+}
@@ -0,0 +1,66 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for TEXT. It replaces the handler that comes with dxf-parser and
+ * reads the same properties plus the extrusion direction (`extrusionDirection`), the text style
+ * (`styleName`), the oblique angle (`obliqueAngle`) and the mirroring (`backwards`, `mirrored`
+ * upside down) like ATTDEF.
+ * @constructor
+ */
+export default function Text() {
+    this.ForEntityName = 'TEXT';
+}
+
+Text.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 1:
+                entity.text = curr.value;
+                break;
+            case 7:
+                entity.styleName = curr.value;
+                break;
+            case 10: // First alignment point, in OCS
+                entity.startPoint = helpers.parsePoint(scanner);
+                break;
+            case 11: // Second alignment point, in OCS
+                entity.endPoint = helpers.parsePoint(scanner);
+                break;
+            case 40:
+                entity.textHeight = curr.value;
+                break;
+            case 41: // Relative x scale factor (width)
+                entity.xScale = curr.value;
+                break;
+            case 50: // Rotation in degrees
+                entity.rotation = curr.value;
+                break;
+            case 51: // Oblique angle in degrees
+                entity.obliqueAngle = curr.value;
+                break;
+            case 71: // Text generation flags
+                entity.backwards = !!(curr.value & 0x02);
+                entity.mirrored = !!(curr.value & 0x04);
+                break;
+            case 72: // Horizontal alignment
+                entity.halign = curr.value;
+                break;
+            case 73: // Vertical alignment
+                entity.valign = curr.value;
+                break;
+            case 210:
+                entity.extrusionDirection = helpers.parsePoint(scanner);
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    return entity;
+};
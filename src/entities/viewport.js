@@ -0,0 +1,101 @@
+import * as helpers from './parseHelpers';
+
+/**
+ * dxf-parser entity handler for VIEWPORT, the windows onto model space placed on paper space
+ * layouts. Frozen layers are read from the layer handles (group 331, resolved with the handles
+ * read by readLayouts) and from the MVIEW extended data older files use (layer names).
+ * @constructor
+ */
+export default function Viewport() {
+    this.ForEntityName = 'VIEWPORT';
+}
+
+Viewport.prototype.parseEntity = function (scanner, curr) {
+    var entity = { type: curr.value, frozenLayers: [], frozenLayerNames: [] };
+    curr = scanner.next();
+    while (!scanner.isEOF()) {
+        if (curr.code === 0) break;
+
+        switch (curr.code) {
+            case 10: // Center point in paper space
+                entity.center = helpers.parsePoint(scanner);
+                break;
+            case 12: // View center point in display coordinates
+                entity.viewCenter = helpers.parsePoint(scanner);
+                break;
+            case 16: // View direction from target
+                entity.viewDirection = helpers.parsePoint(scanner);
+                break;
+            case 17: // View target point
+                entity.viewTarget = helpers.parsePoint(scanner);
+                break;
+            case 40: // Width in paper space units
+                entity.width = curr.value;
+                break;
+            case 41: // Height in paper space units
+                entity.height = curr.value;
+                break;
+            case 45: // View height in model space units
+                entity.viewHeight = curr.value;
+                break;
+            case 51: // View twist angle
+                entity.twistAngle = curr.value;
+                break;
+            case 68: // 0 = off, -1 = on but off screen, > 0 = on and active
+                entity.status = curr.value;
+                break;
+            case 69: // ID, the paper space view itself is 1
+                entity.id = curr.value;
+                break;
+            case 90: // Viewport status bit flags
+                entity.flags = curr.value;
+                break;
+            case 331: // Frozen layer
+                entity.frozenLayers.push(curr.value);
+                break;
+            case 340: // Clipping boundary entity
+                entity.clippingBoundary = curr.value;
+                break;
+            case 1001:
+                if (curr.value === 'ACAD') {
+                    parseFrozenLayerNames(entity, scanner);
+                } else {
+                    helpers.checkCommonEntityProperties(entity, curr, scanner);
+                }
+                break;
+            default: // check common entity attributes
+                helpers.checkCommonEntityProperties(entity, curr, scanner);
+                break;
+        }
+        curr = scanner.next();
+    }
+
+    return entity;
+};
+
+/**
+ * Reads the layer names of the MVIEW section of the ACAD extended data:
+ *   1000 MVIEW, 1002 {, ..., 1002 {, 1003 layer name..., 1002 }, ..., 1002 }
+ */
+function parseFrozenLayerNames(entity, scanner) {
+    var curr = scanner.next();
+    if (curr.code !== 1000 || curr.value !== 'MVIEW') {
+        scanner.rewind();
+        return;
+    }
+
+    var depth = 0;
+    while (!scanner.isEOF()) {
+        curr = scanner.next();
+        if (curr.code === 0 || curr.code === 1001) {
+            scanner.rewind();
+            return;
+        }
+        if (curr.code === 1002) {
+            depth += curr.value === '{' ? 1 : -1;
+            if (depth <= 0) return;
+        } else if (curr.code === 1003) {
+            entity.frozenLayerNames.push(curr.value);
+        }
+    }
+}
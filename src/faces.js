@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+
+/**
+ * @param {Object} entity - a dxf entity
+ * @return {Boolean} true for the entities made of faces: 3DFACE, MESH and polyface or polygon
+ *                   mesh POLYLINEs
+ */
+export function isFaceEntity(entity) {
+    return entity.type === '3DFACE' || entity.type === 'MESH' ||
+        (entity.type === 'POLYLINE' && !!(entity.isPolyfaceMesh || entity.is3dPolygonMesh));
+}
+
+/**
+ * Turns the faces of an entity into triangles and the visible edges into line segments, all in
+ * world coordinates.
+ * @param {Object} entity - a 3DFACE, MESH or polyface or polygon mesh POLYLINE
+ * @return {Object} { triangles, edges }, both flat lists of THREE.Vector3, three points per
+ *                  triangle and two per edge. null if the entity has no faces.
+ */
+export function getFaceGeometry(entity) {
+    var faces;
+    if (entity.type === '3DFACE') faces = get3dFaceFaces(entity);
+    else if (entity.type === 'MESH') faces = getMeshFaces(entity);
+    else if (entity.isPolyfaceMesh) faces = getPolyfaceFaces(entity);
+    else faces = getPolygonMeshFaces(entity);
+
+    var triangles = [], edges = [];
+    var edgeKeys = {};
+    faces.forEach(function (face) {
+        var points = face.points;
+        // Fans work for the convex faces AutoCAD makes
+        for (var i = 1; i + 1 < points.length; i++) {
+            triangles.push(points[0], points[i], points[i + 1]);
+        }
+        for (i = 0; i < points.length; i++) {
+            if (face.hidden && face.hidden[i]) continue;
+            var a = points[i], b = points[(i + 1) % points.length];
+            if (a.equals(b)) continue;
+            // Edges shared by neighbouring faces are drawn once
+            var key = face.indices ? Math.min(face.indices[i], face.indices[(i + 1) % points.length]) + ' ' +
+                Math.max(face.indices[i], face.indices[(i + 1) % points.length]) : null;
+            if (key) {
+                if (edgeKeys[key]) continue;
+                edgeKeys[key] = true;
+            }
+            edges.push(a, b);
+        }
+    });
+
+    if (!triangles.length && !edges.length) return null;
+    return { triangles: triangles, edges: edges };
+}
+
+function toVector(point) {
+    return new THREE.Vector3(point.x || 0, point.y || 0, point.z || 0);
+}
+
+/**
+ * A 3DFACE is a triangle or quadrilateral. Triangles repeat their third corner.
+ */
+function get3dFaceFaces(entity) {
+    if (entity.vertices.length < 3) return [];
+    var points = entity.vertices.map(toVector);
+    var hidden = [0, 1, 2, 3].map(function (i) { return !!(entity.invisibleEdges & (1 << i)); });
+    if (points.length > 3 && points[3].equals(points[2])) {
+        points.pop();
+        // The edge from the (repeated) third corner back to the first is the fourth edge
+        hidden = [hidden[0], hidden[1], hidden[3]];
+    }
+    return [{ points: points, hidden: hidden }];
+}
+
+/**
+ * The vertices of a polyface mesh are its points followed by face records, which index the
+ * points from 1. Negative indices hide the edge starting at the point.
+ */
+function getPolyfaceFaces(entity) {
+    var points = [], records = [];
+    entity.vertices.forEach(function (vertex) {
+        if (vertex.threeDPolylineMesh || !vertex.polyfaceMeshVertex) points.push(toVector(vertex));
+        else records.push(vertex);
+    });
+
+    var faces = [];
+    records.forEach(function (record) {
+        var indices = [record.faceA, record.faceB, record.faceC, record.faceD].filter(function (index) {
+            return index !== undefined && index !== 0;
+        });
+        var face = { points: [], hidden: [], indices: [] };
+        for (var i = 0; i < indices.length; i++) {
+            var point = points[Math.abs(indices[i]) - 1];
+            if (!point) return;
+            face.points.push(point);
+            face.hidden.push(indices[i] < 0);
+            face.indices.push(Math.abs(indices[i]));
+        }
+        if (face.points.length >= 2) faces.push(face);
+    });
+    return faces;
+}
+
+/**
+ * A polygon mesh is a grid of M by N vertices, closed in either direction or both. Smoothed
+ * meshes are followed by the vertices of the fitted surface, those are drawn instead.
+ */
+function getPolygonMeshFaces(entity) {
+    var vertices = entity.vertices;
+    var m = entity.meshMVertexCount, n = entity.meshNVertexCount;
+    var fitted = vertices.filter(function (vertex) { return vertex.splineVertex; });
+    if (entity.surfaceType && fitted.length && fitted.length === entity.surfaceMDensity * entity.surfaceNDensity) {
+        vertices = fitted;
+        m = entity.surfaceMDensity;
+        n = entity.surfaceNDensity;
+    } else {
+        vertices = vertices.filter(function (vertex) { return !vertex.splineVertex; });
+    }
+    if (!(m > 0 && n > 0) || vertices.length < m * n) return [];
+
+    var points = vertices.map(toVector);
+    var closedM = !!entity.shape, closedN = !!entity.is3dPolygonMeshClosed;
+    var faces = [];
+    for (var i = 0; i < (closedM ? m : m - 1); i++) {
+        for (var j = 0; j < (closedN ? n : n - 1); j++) {
+            var indices = [i * n + j, ((i + 1) % m) * n + j, ((i + 1) % m) * n + (j + 1) % n, i * n + (j + 1) % n];
+            faces.push({
+                points: indices.map(function (index) { return points[index]; }),
+                indices: indices
+            });
+        }
+    }
+    return faces;
+}
+
+function getMeshFaces(entity) {
+    var points = entity.vertices.map(toVector);
+    return entity.faces.filter(function (indices) {
+        return indices.length >= 2 && indices.every(function (index) { return !!points[index]; });
+    }).map(function (indices) {
+        return {
+            points: indices.map(function (index) { return points[index]; }),
+            indices: indices
+        };
+    });
+}
@@ -0,0 +1,112 @@
+import { ShxFont } from './shx';
+import { getTextStyle } from './text';
+import { createWarnOnce } from './warnings';
+
+// Fonts stand in for characters they lack with these, the codes AutoCAD gives them in shape
+// fonts or a look-alike
+var SUBSTITUTES = {
+    0xB0: [127], // Degree sign
+    0xB1: [128], // Plus/minus sign
+    0x2300: [129, 0xD8, 0x2205], // Diameter sign
+    0x2205: [129, 0x2300, 0xD8],
+    0xD8: [129, 0x2300]
+};
+var FALLBACK = '?'.charCodeAt(0);
+
+/**
+ * Finds the fonts text is drawn with. The `fonts` map has a font for each text style, font file
+ * or font family name: the URL of a font troika can read (TrueType, OpenType or WOFF), or a
+ * shape font read with parseShxFont (or the ArrayBuffer of a .shx file). Names are not case
+ * sensitive and need no extension or path, 'romans' finds 'romans.shx' as well as
+ * 'fonts/ROMANS.SHX'. Text in a font that is not in the map gets the default font, with a
+ * warning.
+ * @param {Object} fonts - the fonts keyed by name, e.g. { 'romans.shx': shxFont, Arial: 'fonts/arial.ttf' }
+ * @param {Object} defaultFont - the font for everything else, a URL or a THREE.Font
+ * @constructor
+ */
+export function FontResolver(fonts, defaultFont) {
+    var scope = this;
+    var byKey = {};
+    var warn = createWarnOnce();
+    for (var name in fonts || {}) byKey[getFontKey(name)] = fonts[name];
+
+    /**
+     * @param {String} name - a style name, font file or font family, e.g. from a \f code
+     * @return {Object} the font: a URL, a THREE.Font or a ShxFont, the default font if there is
+     *                  none for the name
+     */
+    this.getFont = function (name) {
+        if (!name) return defaultFont;
+        var key = getFontKey(name);
+        var font = byKey[key];
+        if (font instanceof ArrayBuffer) {
+            try {
+                font = byKey[key] = new ShxFont(font);
+            } catch (e) {
+                warn(key, 'three-dxf: ' + name + ' is not a shape font (' + e.message + '), using the default font');
+                font = byKey[key] = undefined;
+            }
+        }
+        if (font === undefined || font === null) {
+            if (fonts) warn(key, 'three-dxf: no font for ' + name + ', using the default font');
+            return defaultFont;
+        }
+        return font;
+    };
+
+    /**
+     * @param {String} name - a style name, font file or font family
+     * @return {Boolean} whether there is a font for the name
+     */
+    this.hasFont = function (name) {
+        return !!name && byKey[getFontKey(name)] !== undefined;
+    };
+
+    /**
+     * Picks the font of a text style: a font mapped to the style's name, its TrueType family or
+     * its font file, in that order.
+     * @param {String} styleName - the name of the text style
+     * @param {Object} data - the dxf object, with the styles read by readTextStyles
+     * @return {String} the name to get the font with, null for the default font
+     */
+    this.getStyleFontName = function (styleName, data) {
+        var style = getTextStyle(styleName, data);
+        var names = [styleName];
+        if (style) names.push(style.fontFamily, style.font);
+        for (var i = 0; i < names.length; i++) {
+            if (scope.hasFont(names[i])) return names[i];
+        }
+        // Unmapped fonts warn once they are used
+        return style ? style.fontFamily || style.font || null : null;
+    };
+
+    /**
+     * Looks up the glyph of a character in a shape font, or of the character standing in for
+     * it with a warning when the font lacks it.
+     * @param {ShxFont} font - the font
+     * @param {Number} code - the character code
+     * @return {Object} the glyph, see ShxFont.getGlyph, null if there is no substitute either
+     */
+    this.getShxGlyph = function (font, code) {
+        var glyph = font.getGlyph(code);
+        if (glyph) return glyph;
+        var substitutes = (SUBSTITUTES[code] || []).concat(FALLBACK);
+        for (var i = 0; i < substitutes.length; i++) {
+            glyph = font.getGlyph(substitutes[i]);
+            if (!glyph) continue;
+            if (substitutes[i] === FALLBACK) {
+                warn(font.name + ':' + code, 'three-dxf: ' + (font.name || 'the shape font') + ' has no glyph for ' +
+                    String.fromCodePoint(code) + ' (U+' + code.toString(16).toUpperCase() + '), drawn as ?');
+            }
+            return glyph;
+        }
+        return null;
+    };
+}
+
+/**
+ * Font names are matched without case, directories and extension.
+ */
+function getFontKey(name) {
+    return String(name).toLowerCase().replace(/^.*[\\/]/, '').replace(/\.(shx|ttf|ttc|otf|woff2?)$/, '');
+}
@@ -0,0 +1,404 @@
+import * as THREE from 'three';
+import { getBulgeCurvePoints, getBSplinePolyline } from './curves';
+
+// Patterns with more lines than this across the hatched area are not drawn, like AutoCAD does
+// with hatches that are too dense.
+var MAX_PATTERN_LINES = 10000;
+
+var EPSILON = 1e-9;
+
+/**
+ * Creates the objects for a HATCH entity (see entities/hatch.js for the entity format).
+ * Solid hatches become a filled mesh, gradients a mesh with a gradient shader and patterns
+ * line segments clipped to the boundary.
+ * @param {Object} entity - the HATCH entity
+ * @param {Number} color - the color of the hatch
+ * @param {Function} warn - warn(key, message) reports patterns too dense to draw, see createWarnOnce
+ * @return {THREE.Object3D} the hatch or null if it has no usable boundary
+ */
+export function drawHatch(entity, color, warn) {
+    var regions = getHatchRegions(entity);
+    if (!regions.length) return null;
+
+    var elevation = entity.elevationPoint && entity.elevationPoint.z || 0;
+    var group = new THREE.Object3D();
+    group.position.z = elevation;
+
+    if (entity.gradient) {
+        group.add(createFill(regions, createGradientMaterial(entity.gradient, regions, color)));
+    } else if (entity.solidFill) {
+        group.add(createFill(regions, new THREE.MeshBasicMaterial({
+            color: color,
+            side: THREE.DoubleSide,
+            // Keep the fill behind the lines drawn at the same depth
+            polygonOffset: true,
+            polygonOffsetFactor: 1,
+            polygonOffsetUnits: 1
+        })));
+    } else {
+        var segments = [];
+        for (var i = 0; i < regions.length; i++) {
+            for (var j = 0; j < entity.patternLines.length; j++) {
+                addPatternLineSegments(segments, regions[i], entity.patternLines[j], warn);
+            }
+        }
+        if (!segments.length) return null;
+
+        var geometry = new THREE.BufferGeometry().setFromPoints(segments);
+        group.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: color })));
+    }
+
+    return group;
+}
+
+/**
+ * Turns the boundary loops into regions of an outer contour and its holes, honoring the
+ * hatch style for nested loops (islands).
+ * @param {Object} entity - the HATCH entity
+ * @return {Object[]} regions of the form { contour: THREE.Vector2[], holes: THREE.Vector2[][] }
+ */
+export function getHatchRegions(entity) {
+    var loops = [];
+    var i, j;
+
+    for (i = 0; i < entity.boundaryLoops.length; i++) {
+        var points = getLoopPoints(entity.boundaryLoops[i]);
+        if (points.length < 3) continue;
+        loops.push({ points: points, area: Math.abs(THREE.ShapeUtils.area(points)), holes: [] });
+    }
+
+    // Work out how deep each loop is nested, largest loops first so parents come before children
+    loops.sort(function (a, b) { return b.area - a.area; });
+    for (i = 0; i < loops.length; i++) {
+        loops[i].depth = 0;
+        for (j = i - 1; j >= 0; j--) {
+            if (isPointInPolygon(loops[i].points[0], loops[j].points)) {
+                loops[i].parent = loops[j];
+                loops[i].depth = loops[j].depth + 1;
+                break;
+            }
+        }
+    }
+
+    // 0 = odd parity, 1 = outermost area only, 2 = ignore islands
+    var style = entity.hatchStyle || 0;
+    var regions = [];
+    for (i = 0; i < loops.length; i++) {
+        var loop = loops[i];
+        if (style === 2 && loop.depth > 0) continue;
+        if (style === 1 && loop.depth > 1) continue;
+
+        if (loop.depth % 2 === 0) {
+            loop.region = { contour: loop.points, holes: [] };
+            regions.push(loop.region);
+        } else {
+            loop.parent.region.holes.push(loop.points);
+        }
+    }
+    return regions;
+}
+
+function getLoopPoints(loop) {
+    var points = [];
+    var i;
+
+    if (loop.isPolyline) {
+        var vertices = loop.vertices;
+        for (i = 0; i < vertices.length; i++) {
+            var next = vertices[(i + 1) % vertices.length];
+            if (vertices[i].bulge) {
+                appendPoints(points, getBulgeCurvePoints(vertices[i], next, vertices[i].bulge));
+            } else {
+                appendPoints(points, [vertices[i]]);
+            }
+        }
+    } else {
+        for (i = 0; i < loop.edges.length; i++) {
+            appendPoints(points, getEdgePoints(loop.edges[i]));
+        }
+    }
+
+    // The loops are always closed so drop a repeated start point
+    if (points.length > 1 && points[0].distanceTo(points[points.length - 1]) < EPSILON) points.pop();
+    return points;
+}
+
+function appendPoints(points, newPoints) {
+    for (var i = 0; i < newPoints.length; i++) {
+        var point = new THREE.Vector2(newPoints[i].x, newPoints[i].y);
+        var last = points[points.length - 1];
+        if (last && last.distanceTo(point) < EPSILON) continue;
+        points.push(point);
+    }
+}
+
+function getEdgePoints(edge) {
+    switch (edge.type) {
+        case 'line':
+            return [edge.start, edge.end];
+        case 'arc':
+            return getArcPoints(edge, function (angle) {
+                return new THREE.Vector2(
+                    edge.center.x + edge.radius * Math.cos(angle),
+                    edge.center.y + edge.radius * Math.sin(angle));
+            });
+        case 'ellipse':
+            var major = new THREE.Vector2(edge.majorAxisEndPoint.x, edge.majorAxisEndPoint.y);
+            var minor = new THREE.Vector2(-major.y, major.x).multiplyScalar(edge.axisRatio);
+            return getArcPoints(edge, function (angle) {
+                return new THREE.Vector2(
+                    edge.center.x + major.x * Math.cos(angle) + minor.x * Math.sin(angle),
+                    edge.center.y + major.y * Math.cos(angle) + minor.y * Math.sin(angle));
+            });
+        case 'spline':
+            if (edge.controlPoints.length > edge.degree && edge.knots.length) {
+                return getBSplinePolyline(edge.controlPoints, edge.degree, edge.knots, 25, edge.weights);
+            }
+            if (edge.fitPoints.length > 1) {
+                var curve = new THREE.SplineCurve(edge.fitPoints.map(function (p) { return new THREE.Vector2(p.x, p.y); }));
+                return curve.getPoints(edge.fitPoints.length * 10);
+            }
+            return [];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Samples an arc or elliptical arc edge. Clockwise edges store their angles mirrored, so
+ * they run from -startAngle to -endAngle.
+ */
+function getArcPoints(edge, pointAt) {
+    var direction = edge.counterClockwise === false ? -1 : 1;
+    var start = direction * edge.startAngle * Math.PI / 180;
+    var end = direction * edge.endAngle * Math.PI / 180;
+
+    var sweep = direction * (end - start);
+    while (sweep <= 0) sweep += 2 * Math.PI;
+    while (sweep > 2 * Math.PI + EPSILON) sweep -= 2 * Math.PI;
+
+    // Roughly a segment every 10 degrees, like getBulgeCurvePoints
+    var segments = Math.max(Math.ceil(sweep / (Math.PI / 18)), 6);
+    var points = [];
+    for (var i = 0; i <= segments; i++) {
+        points.push(pointAt(start + direction * sweep * i / segments));
+    }
+    return points;
+}
+
+function isPointInPolygon(point, polygon) {
+    var inside = false;
+    for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        var a = polygon[i], b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function createFill(regions, material) {
+    var shapes = regions.map(function (region) {
+        var shape = new THREE.Shape(region.contour);
+        for (var i = 0; i < region.holes.length; i++) {
+            shape.holes.push(new THREE.Path(region.holes[i]));
+        }
+        return shape;
+    });
+    return new THREE.Mesh(new THREE.ShapeGeometry(shapes), material);
+}
+
+function getBounds(regions) {
+    var box = new THREE.Box2();
+    for (var i = 0; i < regions.length; i++) {
+        for (var j = 0; j < regions[i].contour.length; j++) {
+            box.expandByPoint(regions[i].contour[j]);
+        }
+    }
+    return box;
+}
+
+/**
+ * Adds the clipped (and dashed) segments of one pattern definition line to `segments`.
+ * The lines of the family are the pattern line repeated at multiples of its offset.
+ */
+function addPatternLineSegments(segments, region, patternLine, warn) {
+    var angle = patternLine.angle * Math.PI / 180;
+    var direction = new THREE.Vector2(Math.cos(angle), Math.sin(angle));
+    var normal = new THREE.Vector2(-direction.y, direction.x);
+    var base = new THREE.Vector2(patternLine.base.x, patternLine.base.y);
+    var offset = new THREE.Vector2(patternLine.offset.x, patternLine.offset.y);
+
+    var spacing = offset.dot(normal);
+    if (Math.abs(spacing) < EPSILON) return;
+
+    // Find the range of lines of the family that cross the region
+    var polygons = [region.contour].concat(region.holes);
+    var minDistance = Infinity, maxDistance = -Infinity;
+    for (var i = 0; i < region.contour.length; i++) {
+        var distance = region.contour[i].clone().sub(base).dot(normal);
+        minDistance = Math.min(minDistance, distance);
+        maxDistance = Math.max(maxDistance, distance);
+    }
+    var first = Math.ceil(Math.min(minDistance / spacing, maxDistance / spacing));
+    var last = Math.floor(Math.max(minDistance / spacing, maxDistance / spacing));
+    if (last - first > MAX_PATTERN_LINES) {
+        if (warn) warn('dense', 'three-dxf: hatch patterns too dense to draw are left out');
+        return;
+    }
+
+    var dashes = patternLine.dashes;
+    var patternLength = 0;
+    for (i = 0; i < dashes.length; i++) patternLength += Math.abs(dashes[i]);
+
+    for (var k = first; k <= last; k++) {
+        var origin = base.clone().addScaledVector(offset, k);
+        var crossings = getCrossings(origin, direction, normal, polygons);
+
+        // Even-odd rule: the line is inside between every other pair of crossings
+        for (i = 0; i + 1 < crossings.length; i += 2) {
+            if (patternLength > EPSILON) {
+                addDashes(segments, origin, direction, crossings[i], crossings[i + 1], dashes, patternLength);
+            } else {
+                addSegment(segments, origin, direction, crossings[i], crossings[i + 1]);
+            }
+        }
+    }
+}
+
+function getCrossings(origin, direction, normal, polygons) {
+    var crossings = [];
+    var a = new THREE.Vector2(), b = new THREE.Vector2();
+    for (var p = 0; p < polygons.length; p++) {
+        var polygon = polygons[p];
+        for (var i = 0; i < polygon.length; i++) {
+            a.subVectors(polygon[i], origin);
+            b.subVectors(polygon[(i + 1) % polygon.length], origin);
+            var ha = a.dot(normal);
+            var hb = b.dot(normal);
+            // Half-open test so a line passing exactly through a vertex is only counted once
+            if ((ha > 0) === (hb > 0)) continue;
+            var t = ha / (ha - hb);
+            crossings.push(a.dot(direction) + t * (b.dot(direction) - a.dot(direction)));
+        }
+    }
+    return crossings.sort(function (x, y) { return x - y; });
+}
+
+function addDashes(segments, origin, direction, start, end, dashes, patternLength) {
+    if ((end - start) / patternLength > MAX_PATTERN_LINES) {
+        addSegment(segments, origin, direction, start, end);
+        return;
+    }
+
+    // Dashes are positioned relative to the line origin so the pattern lines up across lines
+    var position = Math.floor(start / patternLength) * patternLength;
+    while (position < end) {
+        for (var i = 0; i < dashes.length && position < end; i++) {
+            var length = Math.abs(dashes[i]);
+            if (dashes[i] > 0) {
+                addSegment(segments, origin, direction, Math.max(position, start), Math.min(position + length, end));
+            } else if (dashes[i] === 0 && position >= start) {
+                // Dots get a tiny length so they are still drawn
+                addSegment(segments, origin, direction, position, Math.min(position + patternLength * 0.01, end));
+            }
+            position += length;
+        }
+    }
+}
+
+function addSegment(segments, origin, direction, start, end) {
+    if (end - start <= EPSILON) return;
+    segments.push(
+        new THREE.Vector3(origin.x + direction.x * start, origin.y + direction.y * start, 0),
+        new THREE.Vector3(origin.x + direction.x * end, origin.y + direction.y * end, 0));
+}
+
+var GRADIENT_TYPES = {
+    LINEAR: 0,
+    CYLINDER: 1,
+    INVCYLINDER: 2,
+    SPHERICAL: 3,
+    INVSPHERICAL: 4,
+    HEMISPHERICAL: 5,
+    INVHEMISPHERICAL: 6,
+    CURVED: 7,
+    INVCURVED: 8
+};
+
+function createGradientMaterial(gradient, regions, color) {
+    var color1 = new THREE.Color(gradient.colors.length ? gradient.colors[0] : color);
+    var color2;
+    if (gradient.singleColor || gradient.colors.length < 2) {
+        // One color gradients go from the color to a darker or lighter shade of it based on the tint
+        var tint = gradient.tint !== undefined ? gradient.tint : 1;
+        color2 = color1.clone().lerp(new THREE.Color(tint < 0.5 ? 0x000000 : 0xffffff), Math.abs(tint - 0.5) * 2);
+    } else {
+        color2 = new THREE.Color(gradient.colors[1]);
+    }
+
+    var bounds = getBounds(regions);
+    var center = bounds.getCenter(new THREE.Vector2());
+    var size = bounds.getSize(new THREE.Vector2());
+    var angle = gradient.angle || 0;
+    var direction = new THREE.Vector2(Math.cos(angle), Math.sin(angle));
+
+    // Half the extent of the boundary measured along the gradient direction
+    var extent = (Math.abs(size.x * direction.x) + Math.abs(size.y * direction.y)) / 2 || 1;
+    var radius = size.length() / 2 || 1;
+
+    // A shift of 1 moves the middle of the gradient to the edge of the hatch
+    center.addScaledVector(direction, -(gradient.shift || 0) * extent);
+
+    var type = GRADIENT_TYPES[(gradient.name || 'LINEAR').toUpperCase()];
+
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            color1: { value: color1 },
+            color2: { value: color2 },
+            center: { value: center },
+            direction: { value: direction },
+            extent: { value: extent },
+            radius: { value: radius },
+            gradientType: { value: type !== undefined ? type : 0 }
+        },
+        vertexShader: [
+            'varying vec2 vPosition;',
+            '#include <clipping_planes_pars_vertex>',
+            'void main() {',
+            'vPosition = position.xy;',
+            'vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );',
+            'gl_Position = projectionMatrix * mvPosition;',
+            '#include <clipping_planes_vertex>',
+            '}'
+        ].join('\n'),
+        fragmentShader: [
+            'uniform vec3 color1;',
+            'uniform vec3 color2;',
+            'uniform vec2 center;',
+            'uniform vec2 direction;',
+            'uniform float extent;',
+            'uniform float radius;',
+            'uniform int gradientType;',
+            'varying vec2 vPosition;',
+            '#include <clipping_planes_pars_fragment>',
+            'void main() {',
+            '#include <clipping_planes_fragment>',
+            'float linear = clamp( dot( vPosition - center, direction ) / extent * 0.5 + 0.5, 0.0, 1.0 );',
+            'float t = linear;',
+            'if ( gradientType == 1 || gradientType == 2 ) t = 1.0 - abs( 2.0 * linear - 1.0 );',
+            'if ( gradientType == 3 || gradientType == 4 ) t = 1.0 - clamp( length( vPosition - center ) / radius, 0.0, 1.0 );',
+            'if ( gradientType == 5 || gradientType == 6 ) t = 1.0 - clamp( length( vPosition - center + direction * extent ) / ( 2.0 * radius ), 0.0, 1.0 );',
+            'if ( gradientType == 7 || gradientType == 8 ) t = 1.0 - ( 1.0 - linear ) * ( 1.0 - linear );',
+            'if ( gradientType == 2 || gradientType == 4 || gradientType == 6 || gradientType == 8 ) t = 1.0 - t;',
+            'gl_FragColor = vec4( mix( color1, color2, t ), 1.0 );',
+            '}'
+        ].join('\n'),
+        side: THREE.DoubleSide,
+        clipping: true,
+        polygonOffset: true,
+        polygonOffsetFactor: 1,
+        polygonOffsetUnits: 1
+    });
+}
@@ -1,181 +1,465 @@
 import * as THREE from 'three';
-import { BufferGeometry, Color, Float32BufferAttribute, Vector3 } from 'three';
+import { Color } from 'three';
 import { OrbitControls } from './OrbitControls';
-import bSpline from './bspline';
-import { Text } from 'troika-three-text'
-import { parseDxfMTextContent } from '@dxfom/mtext';
+import { EntityPicker } from './EntityPicker';
+import { MeasureTool } from './MeasureTool';
+import { ZoomWindow } from './ZoomWindow';
+import { buildScene, buildSceneAsync, disposeScene, getTableLayers } from './SceneBuilder';
+import { exportSvg, exportPdf, createExportCamera } from './VectorExporter';
+import { setThickLinesVisible } from './ThickLine';
+import { MODEL, getLayouts } from './layouts';
+import { getAttributes } from './attributes';
+import { getNamedViews, getNamedView, getNamedViewState } from './views';
+import { getOcsMatrix } from './ocs';
+
+export { registerEntityHandlers } from './entities';
+export { buildScene, buildSceneAsync, disposeScene } from './SceneBuilder';
+export { renderThumbnail } from './Thumbnail';
+export { readLayouts, getLayouts } from './layouts';
+export { readTextStyles } from './text';
+export { readViews } from './views';
+export { readDimStyles } from './dimension';
+export { readTables } from './tables';
+export { parseShxFont } from './shx';
+export { getAttributes, getAttributeValues } from './attributes';
+export { exportSvg, exportPdf, exportCanvas } from './VectorExporter';
 
-const textControlCharactersRegex = /\\[AXQWOoLIpfH].*;/g;
-const curlyBraces = /\\[{}]/g;
-
-// Three.js extension functions. Webpack doesn't seem to like it if we modify the THREE object directly.
-var THREEx = { Math: {} };
 /**
- * Returns the angle in radians of the vector (p1,p2). In other words, imagine
- * putting the base of the vector at coordinates (0,0) and finding the angle
- * from vector (1,0) to (p1,p2).
- * @param  {Object} p1 start point of the vector
- * @param  {Object} p2 end point of the vector
- * @return {Number} the angle
+ * Viewer class for a dxf object.
+ *
+ *     new Viewer(data, parent, { width: 800, height: 600, font: font, darkMode: true })
+ *
+ * The old form Viewer(data, parent, width, height, font) still works.
+ * @param {Object} data - the dxf object
+ * @param {Object} parent - the parent element to which we attach the rendering canvas
+ * @param {Object} options - optional settings, all of them have defaults:
+ *    width, height   - size of the rendering canvas in pixels, defaults to the size of parent
+ *    font            - the URL of a font for the text, or a font loaded with THREE.FontLoader
+ *                      to measure text with, troika's default font is used otherwise
+ *    fonts           - fonts by text style, font file or font family name: URLs of TrueType,
+ *                      OpenType or WOFF fonts and shape fonts read with parseShxFont
+ *    background      - clear color, white (black in dark mode) by default
+ *    darkMode        - draw black and white (ACI 7) entities white instead of black
+ *    lineweights     - show lineweights, defaults to the $LWDISPLAY header of the drawing
+ *    layout          - the layout to show, model space ('Model') by default, see getLayouts
+ *    antialias       - create the WebGL renderer with antialiasing, false by default
+ *    pixelRatio      - device pixel ratio of the canvas, 1 by default
+ *    controls        - true to create OrbitControls, false for none or a function (camera, element)
+ *                      returning your own controls. The viewer renders on their 'change' event.
+ *    enableRotate    - allow rotating with the OrbitControls in the orbit view mode, true by default
+ *    viewMode        - 'plan' to look down on the XY plane, 'orbit' to look at the drawing from
+ *                      above at an angle and turn it around. By default drawings with 3D faces or
+ *                      meshes open in orbit mode and the others in plan mode, see setViewMode.
+ *    zoomSpeed       - zoom speed of the OrbitControls, 3 by default
+ *    transitionDuration - milliseconds the view takes to move to a new one with zoomExtents, zoomToBox,
+ *                      panTo, setView and the like, 250 by default, 0 to jump
+ *    progressive     - draw the entities in chunks without blocking the page, false by default.
+ *                      The view follows the drawing as it grows until the user moves it.
+ *    chunkTime       - milliseconds to draw for between pauses when progressive, 16 by default
+ *    batchLines, shareBlockGeometry, faces, arcSegments, ellipseSegments, splineSegments, pointSize - see buildScene
+ * @constructor
+ *
+ * Events (use addEventListener):
+ *    hover    - the entity under the cursor changed
+ *    select   - an entity was clicked
+ *    deselect - the selected entity was cleared
+ * Each event has a `hit` property, see EntityPicker.
+ *    measure  - a measurement was finished, the event has a `result` property, see MeasureTool
+ *    progress - a chunk of a progressive build was drawn ({ loaded, total } count entities)
+ *    complete - a progressive build has drawn every entity
+ *    error    - a progressive build failed, the event has an `error` property
  */
-THREEx.Math.angle2 = function (p1, p2) {
-    var v1 = new THREE.Vector2(p1.x, p1.y);
-    var v2 = new THREE.Vector2(p2.x, p2.y);
-    v2.sub(v1); // sets v2 to be our chord
-    v2.normalize();
-    if (v2.y < 0) return -Math.acos(v2.x);
-    return Math.acos(v2.x);
-};
+export function Viewer(data, parent, width, height, font) {
 
+    var options = getViewerOptions(width, height, font);
+    font = options.font;
 
-THREEx.Math.polar = function (point, distance, angle) {
-    var result = {};
-    result.x = point.x + distance * Math.cos(angle);
-    result.y = point.y + distance * Math.sin(angle);
-    return result;
-};
+    var scope = this;
 
-/**
- * Calculates points for a curve between two points using a bulge value. Typically used in polylines.
- * @param startPoint - the starting point of the curve
- * @param endPoint - the ending point of the curve
- * @param bulge - a value indicating how much to curve
- * @param segments - number of segments between the two given points
- */
-function getBulgeCurvePoints(startPoint, endPoint, bulge, segments) {
+    var scene = new THREE.Scene();
+
+    // The build running when the progressive option is set, see buildSceneAsync
+    var building = null;
+    // Set once the user moves the view, so the view stops following a progressive build
+    var viewChanged = false;
+
+    var built = startBuild(data);
+    scene.add(built.group);
 
-    var vertex, i,
-        center, p0, p1, angle,
-        radius, startAngle,
-        thetaAngle;
+    // Layer groups by name, used to toggle layers without rebuilding the scene
+    var layerGroups = built.layers;
+    var dims = built.extents;
 
-    var obj = {};
-    obj.startPoint = p0 = startPoint ? new THREE.Vector2(startPoint.x, startPoint.y) : new THREE.Vector2(0, 0);
-    obj.endPoint = p1 = endPoint ? new THREE.Vector2(endPoint.x, endPoint.y) : new THREE.Vector2(1, 0);
-    obj.bulge = bulge = bulge || 1;
+    width = options.width || parent.clientWidth;
+    height = options.height || parent.clientHeight;
 
-    angle = 4 * Math.atan(bulge);
-    radius = p0.distanceTo(p1) / 2 / Math.sin(angle / 2);
-    center = THREEx.Math.polar(startPoint, radius, THREEx.Math.angle2(p0, p1) + (Math.PI / 2 - angle / 2));
+    var camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 1, 19);
 
-    obj.segments = segments = segments || Math.max(Math.abs(Math.ceil(angle / (Math.PI / 18))), 6); // By default want a segment roughly every 10 degrees
-    startAngle = THREEx.Math.angle2(center, p0);
-    thetaAngle = angle / segments;
+    var renderer = this.renderer = new THREE.WebGLRenderer({ antialias: options.antialias });
+    renderer.setPixelRatio(options.pixelRatio);
+    renderer.setSize(width, height);
+    fitView(dims);
+    renderer.setClearColor(options.background, 1);
+    // Viewports of paper space layouts clip the model space they show
+    renderer.localClippingEnabled = true;
 
-    var vertices = [];
+    parent.appendChild(renderer.domElement);
+    parent.style.display = 'block';
 
-    vertices.push(new THREE.Vector3(p0.x, p0.y, 0));
+    this.camera = camera;
 
-    for (i = 1; i <= segments - 1; i++) {
-        vertex = THREEx.Math.polar(center, Math.abs(radius), startAngle + thetaAngle * i);
-        vertices.push(new THREE.Vector3(vertex.x, vertex.y, 0));
+    var controls = this.controls = null;
+    if (typeof options.controls === 'function') {
+        controls = this.controls = options.controls(camera, parent);
+    } else if (options.controls) {
+        controls = this.controls = new OrbitControls(camera, parent);
+        controls.zoomSpeed = options.zoomSpeed;
+        fitView(dims);
     }
 
-    return vertices;
-};
+    var measureTool = null;
+    var disposed = false;
+    // The animation moving the view, see setView
+    var transition = null;
+    // The rubber band of zoomWindow with the promise it settles
+    var zoomWindow = null;
+
+    this.render = function () {
+        if (disposed) return;
+        renderer.render(scene, camera);
+        if (measureTool) measureTool.updateLabel();
+    };
+    var onViewChanged = function () {
+        viewChanged = true;
+        // The user takes over from an animation
+        cancelTransition();
+    };
+    if (controls) {
+        controls.addEventListener('change', this.render);
+        controls.addEventListener('start', onViewChanged);
+    }
+    this.render();
+    if (controls && controls.update) controls.update();
 
-/**
- * Viewer class for a dxf object.
- * @param {Object} data - the dxf object
- * @param {Object} parent - the parent element to which we attach the rendering canvas
- * @param {Number} width - width of the rendering canvas in pixels
- * @param {Number} height - height of the rendering canvas in pixels
- * @param {Object} font - a font loaded with THREE.FontLoader 
- * @constructor
- */
-export function Viewer(data, parent, width, height, font) {
+    var picker = this.picker = new EntityPicker(camera, scene, renderer.domElement, this, this.render, controls);
 
-    createLineTypeShaders(data);
+    /**
+     * Finds the entity drawn under a mouse position.
+     * @param {Number} clientX - x coordinate as in MouseEvent.clientX
+     * @param {Number} clientY - y coordinate as in MouseEvent.clientY
+     * @return {Object} the hit ({ entity, object, point, distance, inserts, layer, handle }) or null
+     */
+    this.pick = function (clientX, clientY) {
+        return picker.pick(clientX, clientY);
+    };
 
-    var scene = new THREE.Scene();
+    /**
+     * Selects and highlights the entity of a hit returned from pick(). Pass null to deselect.
+     * @param {Object} hit - the hit to select
+     */
+    this.select = function (hit) {
+        picker.select(hit);
+    };
 
-    // Create scene from dxf object (data)
-    var i, entity, obj, min_x, min_y, min_z, max_x, max_y, max_z;
-    var dims = {
-        min: { x: 0, y: 0, z: 0 },
-        max: { x: 0, y: 0, z: 0 }
-    };
-    for (i = 0; i < data.entities.length; i++) {
-        entity = data.entities[i];
-        obj = drawEntity(entity, data);
-
-        if (obj) {
-            var bbox = new THREE.Box3().setFromObject(obj);
-            if (isFinite(bbox.min.x) && (dims.min.x > bbox.min.x)) dims.min.x = bbox.min.x;
-            if (isFinite(bbox.min.y) && (dims.min.y > bbox.min.y)) dims.min.y = bbox.min.y;
-            if (isFinite(bbox.min.z) && (dims.min.z > bbox.min.z)) dims.min.z = bbox.min.z;
-            if (isFinite(bbox.max.x) && (dims.max.x < bbox.max.x)) dims.max.x = bbox.max.x;
-            if (isFinite(bbox.max.y) && (dims.max.y < bbox.max.y)) dims.max.y = bbox.max.y;
-            if (isFinite(bbox.max.z) && (dims.max.z < bbox.max.z)) dims.max.z = bbox.max.z;
-            scene.add(obj);
-        }
-        obj = null;
-    }
+    /**
+     * @return {Object} the selected hit or null
+     */
+    this.getSelection = function () {
+        return picker.getSelection();
+    };
 
-    width = width || parent.clientWidth;
-    height = height || parent.clientHeight;
-    var aspectRatio = width / height;
+    /**
+     * Searches the text of the drawing: TEXT, MTEXT (without its formatting), attribute values
+     * and the text of dimensions and multileaders, in blocks too. Text on hidden layers is
+     * skipped.
+     * @param {String|RegExp} query - the text to look for, or a regular expression
+     * @param {Object} options - { regex, caseSensitive } regex reads a string query as a regular
+     *                           expression, case is ignored unless caseSensitive is set
+     * @return {Object[]} hits of the form { entity, object, text, box, inserts, layer, handle },
+     *                    box being the THREE.Box3 around the text, see zoomToHit
+     */
+    this.findText = function (query, options) {
+        return picker.findText(query, options);
+    };
 
-    var upperRightCorner = { x: dims.max.x, y: dims.max.y };
-    var lowerLeftCorner = { x: dims.min.x, y: dims.min.y };
+    /**
+     * Zooms in on a hit from findText (or pick) and selects it.
+     * @param {Object} hit - the hit
+     * @param {Number} margin - room around the hit, relative to its size, 1 by default
+     */
+    this.zoomToHit = function (hit, margin) {
+        var box = hit.box || new THREE.Box3().setFromObject(hit.object);
+        if (box.isEmpty()) return;
+        picker.select(hit);
+        scope.setView(getBoxView(box, margin === undefined ? 1 : margin));
+    };
 
-    // Figure out the current viewport extents
-    var vp_width = upperRightCorner.x - lowerLeftCorner.x;
-    var vp_height = upperRightCorner.y - lowerLeftCorner.y;
-    var center = center || {
-        x: vp_width / 2 + lowerLeftCorner.x,
-        y: vp_height / 2 + lowerLeftCorner.y
+    /**
+     * The view shown, for storing it and going back to it with setView. The view can be
+     * turned into JSON.
+     * @return {Object} { center, width, height, direction, up }: the point in the middle of
+     *                  the view, the size of the visible area in drawing units, the direction
+     *                  from the center to the camera and the up direction of the camera
+     */
+    this.getView = function () {
+        var view = getCurrentView();
+        return {
+            center: toPoint(view.center),
+            width: view.width,
+            height: view.height,
+            direction: toPoint(view.direction),
+            up: toPoint(view.up)
+        };
     };
 
-    // Fit all objects into current ThreeDXF viewer
-    var extentsAspectRatio = Math.abs(vp_width / vp_height);
-    if (aspectRatio > extentsAspectRatio) {
-        vp_width = vp_height * aspectRatio;
-    } else {
-        vp_height = vp_width / aspectRatio;
-    }
+    /**
+     * Moves the view to one returned by getView, the view mode stays as it is. The area of
+     * the view is fit into the canvas. Leaving out parts of the view keeps them as they are,
+     * e.g. setView({ width: 100, height: 100 }) zooms without moving the center.
+     * @param {Object} view - { center, width, height, direction, up }
+     * @param {Object} options - { duration } milliseconds of the transition, the
+     *                           transitionDuration option by default
+     */
+    this.setView = function (view, options) {
+        var from = getCurrentView();
+        var to = {
+            center: view.center ? toVector(view.center) : from.center,
+            width: view.width > 0 ? view.width : view.height > 0 ? 0 : from.width,
+            height: view.height > 0 ? view.height : view.width > 0 ? 0 : from.height,
+            direction: view.direction ? toVector(view.direction).normalize() : from.direction,
+            up: view.up ? toVector(view.up).normalize() : from.up.clone()
+        };
+        if (!to.direction.lengthSq()) to.direction = from.direction;
+        // The camera can not look along its up direction
+        if (Math.abs(to.up.dot(to.direction)) > 1 - 1e-6) to.up = getPerpendicular(to.direction);
+
+        // Fit the area into the canvas, the view gets the shape of the canvas
+        var zoom = Math.min(
+            to.width > 0 ? (camera.right - camera.left) / to.width : Infinity,
+            to.height > 0 ? (camera.top - camera.bottom) / to.height : Infinity);
+        if (zoom === Infinity) zoom = camera.zoom;
+        to.width = (camera.right - camera.left) / zoom;
+        to.height = (camera.top - camera.bottom) / zoom;
+
+        viewChanged = true;
+        startTransition(from, to, getDuration(options));
+    };
 
-    var viewPort = {
-        bottom: -vp_height / 2,
-        left: -vp_width / 2,
-        top: vp_height / 2,
-        right: vp_width / 2,
-        center: {
-            x: center.x,
-            y: center.y
-        }
+    /**
+     * Zooms out (or in) so the whole drawing fits into the view, keeping the direction the
+     * camera looks in.
+     * @param {Object} options - { duration }, see setView
+     */
+    this.zoomExtents = function (options) {
+        var extents = built.extents;
+        var box = new THREE.Box3(
+            new THREE.Vector3(extents.min.x, extents.min.y, extents.min.z || 0),
+            new THREE.Vector3(extents.max.x, extents.max.y, extents.max.z || 0));
+        scope.setView(getBoxView(box, 0), options);
     };
 
-    var camera = new THREE.OrthographicCamera(viewPort.left, viewPort.right, viewPort.top, viewPort.bottom, 1, 19);
-    camera.position.z = 10;
-    camera.position.x = viewPort.center.x;
-    camera.position.y = viewPort.center.y;
+    /**
+     * Zooms so the box between two points fits into the view, keeping the direction the
+     * camera looks in.
+     * @param {Object} min - a corner of the box, { x, y, z }
+     * @param {Object} max - the opposite corner
+     * @param {Object} options - { margin, duration } margin is the room around the box
+     *                           relative to its size, 0 by default, for duration see setView
+     */
+    this.zoomToBox = function (min, max, options) {
+        options = options || {};
+        var box = new THREE.Box3().setFromPoints([toVector(min), toVector(max)]);
+        scope.setView(getBoxView(box, options.margin || 0), options);
+    };
 
-    var renderer = this.renderer = new THREE.WebGLRenderer();
-    renderer.setSize(width, height);
-    renderer.setClearColor(0xfffffff, 1);
+    /**
+     * Moves the view to center on a point without zooming.
+     * @param {Object} point - { x, y, z }
+     * @param {Object} options - { duration }, see setView
+     */
+    this.panTo = function (point, options) {
+        scope.setView({ center: point }, options);
+    };
 
-    parent.appendChild(renderer.domElement);
-    parent.style.display = 'block';
+    /**
+     * Lets the user drag a window over the canvas and zooms to it. Picking and the controls
+     * are disabled until the window is dragged, Escape or cancelZoomWindow cancels.
+     * @param {Object} options - { color, duration } the color of the rubber band, for
+     *                           duration see setView
+     * @return {Promise} resolves to the new view (see getView), or null when cancelled
+     */
+    this.zoomWindow = function (options) {
+        this.cancelZoomWindow();
+        this.stopMeasure();
+        options = options || {};
+
+        var controlsEnabled = controls ? controls.enabled : undefined;
+        picker.enabled = false;
+        if (controls && 'enabled' in controls) controls.enabled = false;
+
+        return new Promise(function (resolve) {
+            var tool = new ZoomWindow(renderer.domElement, function (start, end) {
+                var view = start ? getWindowView(start, end) : null;
+                endZoomWindow();
+                if (view) scope.setView(view, options);
+                resolve(view);
+            }, options);
+
+            zoomWindow = { tool: tool, controlsEnabled: controlsEnabled, resolve: resolve };
+        });
+    };
 
-    //TODO: Need to make this an option somehow so others can roll their own controls.
-    var controls = new OrbitControls(camera, parent);
-    controls.target.x = camera.position.x;
-    controls.target.y = camera.position.y;
-    controls.target.z = 0;
-    controls.zoomSpeed = 3;
+    /**
+     * Stops waiting for the window of zoomWindow, its promise resolves to null.
+     */
+    this.cancelZoomWindow = function () {
+        var resolve = zoomWindow && zoomWindow.resolve;
+        endZoomWindow();
+        if (resolve) resolve(null);
+    };
 
-    //Uncomment this to disable rotation (does not make much sense with 2D drawings).
-    //controls.enableRotate = false;
+    /**
+     * Lists the named views of the drawing (the VIEW table read by readViews).
+     * @return {Object[]} objects of the form { name, paperSpace }
+     */
+    this.getNamedViews = function () {
+        return getNamedViews(data).map(function (view) {
+            return { name: view.name, paperSpace: view.paperSpace };
+        });
+    };
 
-    this.render = function () { renderer.render(scene, camera) };
-    controls.addEventListener('change', this.render);
-    this.render();
-    controls.update();
+    /**
+     * Moves the view to a named view of the drawing. Views of paper space are in the
+     * coordinates of the paper space layouts, views of model space in those of model space.
+     * @param {String} name - the name of the view, not case sensitive
+     * @param {Object} options - { duration }, see setView
+     */
+    this.setNamedView = function (name, options) {
+        var view = getNamedView(name, data);
+        if (!view) throw new Error('Unknown view: ' + name);
+        scope.setView(getNamedViewState(view), options);
+    };
+
+    /**
+     * Lists the attributes of a block insert, e.g. of `hit.inserts` or of the INSERT entities
+     * in the dxf.
+     * @param {Object} insert - an INSERT entity
+     * @return {Object[]} objects of the form { tag, value, invisible, constant, entity }
+     */
+    this.getAttributes = function (insert) {
+        return getAttributes(data, insert);
+    };
+
+    /**
+     * Starts measuring with the mouse. Picking is disabled while measuring.
+     * @param {String} mode - 'distance', 'path' or 'area'
+     * @param {Object} options - { onMeasure(result), snap, precision, color }. Units and precision
+     *                           default to the $INSUNITS and $LUPREC headers of the drawing.
+     * @return {MeasureTool} the measure tool
+     */
+    this.startMeasure = function (mode, options) {
+        this.stopMeasure();
+        this.cancelZoomWindow();
+        options = Object.assign({ mode: mode }, options);
+        var header = data.header || {};
+        if (options.units === undefined) options.units = header['$INSUNITS'];
+        if (options.precision === undefined && header['$LUPREC'] !== undefined) options.precision = header['$LUPREC'];
+
+        picker.enabled = false;
+        picker.select(null);
+        measureTool = new MeasureTool(camera, scene, renderer.domElement, this, this.render, options);
+        return measureTool;
+    };
+
+    /**
+     * Stops measuring and removes the measurement from the view.
+     */
+    this.stopMeasure = function () {
+        if (!measureTool) return;
+        var tool = measureTool;
+        measureTool = null;
+        tool.dispose();
+        picker.enabled = true;
+    };
+
+    /**
+     * Lists the layers of the drawing along with their current visibility.
+     * Layers from the layer table are listed even if they have no entities.
+     * @return {Object[]} objects of the form { name, color, frozen, off, visible }
+     */
+    this.getLayers = function () {
+        var names = Object.keys(layerGroups);
+        var tableLayers = getTableLayers(data);
+        for (var name in tableLayers) {
+            if (names.indexOf(name) === -1) names.push(name);
+        }
+
+        return names.map(function (name) {
+            var layer = tableLayers[name] || {};
+            return {
+                name: name,
+                color: layer.color,
+                frozen: !!layer.frozen,
+                off: layer.visible === false,
+                visible: isLayerVisible(name)
+            };
+        });
+    };
+
+    /**
+     * @param {String} name - the layer name
+     * @return {Boolean} true if the entities on the layer are currently shown
+     */
+    this.isLayerVisible = function (name) {
+        return isLayerVisible(name);
+    };
+
+    /**
+     * Shows or hides all the entities on a layer and re-renders.
+     * @param {String} name - the layer name
+     * @param {Boolean} visible - whether the layer should be shown
+     */
+    this.setLayerVisible = function (name, visible) {
+        var group = layerGroups[name];
+        if (!group) return;
+        group.visible = !!visible;
+        this.render();
+    };
+
+    /**
+     * Shows or hides every layer at once, ignoring the off/frozen flags from the file.
+     * @param {Boolean} visible - whether the layers should be shown
+     */
+    this.setAllLayersVisible = function (visible) {
+        for (var name in layerGroups) {
+            layerGroups[name].visible = !!visible;
+        }
+        this.render();
+    };
+
+    /**
+     * Shows lines with their lineweight (group 370 or the layer's) or all of them 1 pixel wide.
+     * Lineweights are shown when the drawing's $LWDISPLAY header is set, unless the lineweights
+     * option says otherwise. The choice is kept for drawings opened with load().
+     * @param {Boolean} visible - true to show lineweights
+     */
+    this.setLineweightsVisible = function (visible) {
+        options.lineweights = built.lineweights = !!visible;
+        setThickLinesVisible(built.group, !!visible);
+        this.render();
+    };
+
+    /**
+     * @return {Boolean} true if lineweights are shown
+     */
+    this.areLineweightsVisible = function () {
+        return built.lineweights;
+    };
 
     this.resize = function (width, height) {
-        var originalWidth = renderer.domElement.width;
-        var originalHeight = renderer.domElement.height;
+        var size = renderer.getSize(new THREE.Vector2());
+        var originalWidth = size.x;
+        var originalHeight = size.y;
 
         var hscale = width / originalWidth;
         var vscale = height / originalHeight;
@@ -189,579 +473,603 @@ export function Viewer(data, parent, width, height, font) {
         //        camera.updateProjectionMatrix();
 
         renderer.setSize(width, height);
-        renderer.setClearColor(0xfffffff, 1);
+        renderer.setClearColor(options.background, 1);
         this.render();
     };
 
-    function drawEntity(entity, data) {
-        var mesh;
-        if (entity.type === 'CIRCLE' || entity.type === 'ARC') {
-            mesh = drawArc(entity, data);
-        } else if (entity.type === 'LWPOLYLINE' || entity.type === 'LINE' || entity.type === 'POLYLINE') {
-            mesh = drawLine(entity, data);
-        } else if (entity.type === 'TEXT') {
-            mesh = drawText(entity, data);
-        } else if (entity.type === 'SOLID') {
-            mesh = drawSolid(entity, data);
-        } else if (entity.type === 'POINT') {
-            mesh = drawPoint(entity, data);
-        } else if (entity.type === 'INSERT') {
-            mesh = drawBlock(entity, data);
-        } else if (entity.type === 'SPLINE') {
-            mesh = drawSpline(entity, data);
-        } else if (entity.type === 'MTEXT') {
-            mesh = drawMtext(entity, data);
-        } else if (entity.type === 'ELLIPSE') {
-            mesh = drawEllipse(entity, data);
-        } else if (entity.type === 'DIMENSION') {
-            var dimTypeEnum = entity.dimensionType & 7;
-            if (dimTypeEnum === 0) {
-                mesh = drawDimension(entity, data);
-            } else {
-                console.log("Unsupported Dimension type: " + dimTypeEnum);
-            }
-        }
-        else {
-            console.log("Unsupported Entity Type: " + entity.type);
-        }
-        return mesh;
-    }
-
-    function drawEllipse(entity, data) {
-        var color = getColor(entity, data);
-
-        var xrad = Math.sqrt(Math.pow(entity.majorAxisEndPoint.x, 2) + Math.pow(entity.majorAxisEndPoint.y, 2));
-        var yrad = xrad * entity.axisRatio;
-        var rotation = Math.atan2(entity.majorAxisEndPoint.y, entity.majorAxisEndPoint.x);
+    /**
+     * @return {String} the view mode in use, 'plan' or 'orbit'
+     */
+    this.getViewMode = function () {
+        return getViewMode();
+    };
 
-        var curve = new THREE.EllipseCurve(
-            entity.center.x, entity.center.y,
-            xrad, yrad,
-            entity.startAngle, entity.endAngle,
-            false, // Always counterclockwise
-            rotation
-        );
+    /**
+     * Switches between looking straight down on the XY plane ('plan') and looking at the
+     * drawing from above at an angle with +Z up ('orbit'). The OrbitControls only rotate the
+     * view in orbit mode (unless the enableRotate option is false). The view is fit to the
+     * drawing.
+     * @param {String} mode - 'plan', 'orbit', or null to pick one from the drawing
+     */
+    this.setViewMode = function (mode) {
+        if (mode !== null && mode !== 'plan' && mode !== 'orbit') throw new Error('Unknown view mode: ' + mode);
+        options.viewMode = mode;
+        fitView(built.extents);
+        scope.render();
+    };
 
-        var points = curve.getPoints(50);
-        var geometry = new THREE.BufferGeometry().setFromPoints(points);
-        var material = new THREE.LineBasicMaterial({ linewidth: 1, color: color });
+    /**
+     * Replaces the drawing with another one, reusing the canvas, renderer and controls. The
+     * objects of the previous drawing are disposed and the view is fit to the new drawing.
+     * @param {Object} newData - the dxf object to show
+     */
+    this.load = function (newData) {
+        data = newData;
+        // Stay on a layout of the same name if the new drawing has one
+        if (!hasLayout(options.layout)) options.layout = MODEL;
+        rebuild();
+    };
 
-        // Create the final object to add to the scene
-        var ellipse = new THREE.Line(geometry, material);
-        return ellipse;
-    }
+    /**
+     * Lists the layouts of the drawing: model space and the paper space layouts (sheets) in
+     * the order of their tabs. Layout names come from the LAYOUT objects read by readLayouts,
+     * without them paper space layouts are called Layout1, Layout2...
+     * @return {Object[]} objects of the form { name, paperSpace, current }
+     */
+    this.getLayouts = function () {
+        return getLayouts(data).map(function (layout) {
+            return { name: layout.name, paperSpace: layout.paperSpace, current: layout.name === options.layout };
+        });
+    };
 
-    function drawMtext(entity, data) {
-        var color = getColor(entity, data);
+    /**
+     * @return {String} the name of the layout shown
+     */
+    this.getLayout = function () {
+        return options.layout;
+    };
 
-        if (!font) { return console.log('font parameter not set. Ignoring text entity.') }
+    /**
+     * Shows another layout of the drawing and fits it into the view. Paper space layouts show
+     * their viewports as windows onto model space, each with its own center, scale and frozen
+     * layers.
+     * @param {String} name - the name of the layout, 'Model' for model space
+     */
+    this.setLayout = function (name) {
+        if (!hasLayout(name)) throw new Error('Unknown layout: ' + name);
+        if (name === options.layout) return;
+        options.layout = name;
+        rebuild();
+    };
 
-        var textAndControlChars = parseDxfMTextContent(entity.text);
+    /**
+     * Stops a progressive build. Whatever was drawn so far stays in the view.
+     */
+    this.cancelBuild = function () {
+        if (!building) return;
+        building.cancel();
+        building = null;
+    };
 
-        //Note: We currently only support a single format applied to all the mtext text
-        var content = mtextContentAndFormattingToTextAndStyle(textAndControlChars, entity, color);
+    /**
+     * @return {Boolean} true while a progressive build is drawing entities
+     */
+    this.isBuilding = function () {
+        return !!building;
+    };
 
-        var txt = createTextForScene(content.text, content.style, entity, color);
-        if (!txt) return null;
+    /**
+     * Releases everything the viewer holds: the drawing's geometries, materials and textures, the
+     * WebGL context, the mouse and keyboard listeners and the canvas. The viewer can not be used
+     * afterwards.
+     */
+    this.dispose = function () {
+        if (disposed) return;
+        disposed = true;
+
+        this.stopMeasure();
+        this.cancelZoomWindow();
+        cancelTransition();
+        this.cancelBuild();
+        picker.dispose();
+        if (controls) {
+            controls.removeEventListener('change', this.render);
+            controls.removeEventListener('start', onViewChanged);
+            if (controls.dispose) controls.dispose();
+        }
 
-        var group = new THREE.Object3D();
-        group.add(txt);
-        return group;
-    }
+        scene.remove(built.group);
+        disposeScene(built.group);
 
-    function mtextContentAndFormattingToTextAndStyle(textAndControlChars, entity, color) {
-        let activeStyle = {
-            horizontalAlignment: 'left',
-            textHeight: entity.height
-        }
+        renderer.dispose();
+        renderer.forceContextLoss();
+        if (renderer.domElement.parentNode) renderer.domElement.parentNode.removeChild(renderer.domElement);
+    };
 
-        var text = [];
-        for (let item of textAndControlChars) {
-            if (typeof item === 'string') {
-                if (item.startsWith('pxq') && item.endsWith(';')) {
-                    if (item.indexOf('c') !== -1)
-                        activeStyle.horizontalAlignment = 'center';
-                    else if (item.indexOf('l') !== -1)
-                        activeStyle.horizontalAlignment = 'left';
-                    else if (item.indexOf('r') !== -1)
-                        activeStyle.horizontalAlignment = 'right';
-                    else if (item.indexOf('j') !== -1)
-                        activeStyle.horizontalAlignment = 'justify';
-                } else {
-                    text.push(item);
-                }
-            } else if (Array.isArray(item)) {
-                var nestedFormat = mtextContentAndFormattingToTextAndStyle(item, entity, color);
-                text.push(nestedFormat.text);
-            } else if (typeof item === 'object') {
-                if (item['S'] && item['S'].length === 3) {
-                    text.push(item['S'][0] + '/' + item['S'][2]);
-                } else {
-                    // not yet supported.
-                }
-            }
-        }
-        return {
-            text: text.join(),
-            style: activeStyle
+    /**
+     * Exports the current view. PNG images are rendered offscreen, SVG and PDF documents are
+     * written from the drawn geometry (see VectorExporter). If the size has a different aspect
+     * ratio than the canvas the view is extended so everything currently visible is included.
+     * @param {Object} options - { format, width, height, background }
+     *                           format - 'png' (default), 'svg' or 'pdf'
+     *                           width, height - size in pixels (points for pdf), defaults to the canvas size
+     *                           background - css color or number, null for a transparent background
+     * @return {Promise} resolves to a Blob with the image
+     */
+    this.exportImage = function (options) {
+        options = Object.assign({
+            format: 'png',
+            width: renderer.domElement.width,
+            height: renderer.domElement.height,
+            background: renderer.getClearColor(new Color()).getHex()
+        }, options);
+
+        if (options.format === 'svg') {
+            return Promise.resolve(new Blob([exportSvg(scene, camera, options)], { type: 'image/svg+xml' }));
         }
-    }
-
-    function createTextForScene(text, style, entity, color) {
-        if (!text) return null;
-
-        let textEnt = new Text();
-        textEnt.text = text
-            .replaceAll('\\P', '\n')
-            .replaceAll('\\X', '\n');
-
-        textEnt.font = font;
-        textEnt.fontSize = style.textHeight;
-        textEnt.maxWidth = entity.width;
-        textEnt.position.x = entity.position.x;
-        textEnt.position.y = entity.position.y;
-        textEnt.position.z = entity.position.z;
-        textEnt.textAlign = style.horizontalAlignment;
-        textEnt.color = color;
-        if (entity.rotation) {
-            textEnt.rotation.z = entity.rotation * Math.PI / 180;
+        if (options.format === 'pdf') {
+            var pdf = exportPdf(scene, camera, options);
+            var bytes = new Uint8Array(pdf.length);
+            for (var i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+            return Promise.resolve(new Blob([bytes], { type: 'application/pdf' }));
         }
-        if (entity.directionVector) {
-            var dv = entity.directionVector;
-            textEnt.rotation.z = new THREE.Vector3(1, 0, 0).angleTo(new THREE.Vector3(dv.x, dv.y, dv.z));
+        if (options.format !== 'png') {
+            return Promise.reject(new Error('Unsupported export format: ' + options.format));
         }
-        switch (entity.attachmentPoint) {
-            case 1:
-                // Top Left
-                textEnt.anchorX = 'left';
-                textEnt.anchorY = 'top';
-                break;
-            case 2:
-                // Top Center
-                textEnt.anchorX = 'center';
-                textEnt.anchorY = 'top';
-                break;
-            case 3:
-                // Top Right
-                textEnt.anchorX = 'right';
-                textEnt.anchorY = 'top';
-                break;
-
-            case 4:
-                // Middle Left
-                textEnt.anchorX = 'left';
-                textEnt.anchorY = 'middle';
-                break;
-            case 5:
-                // Middle Center
-                textEnt.anchorX = 'center';
-                textEnt.anchorY = 'middle';
-                break;
-            case 6:
-                // Middle Right
-                textEnt.anchorX = 'right';
-                textEnt.anchorY = 'middle';
-                break;
-
-            case 7:
-                // Bottom Left
-                textEnt.anchorX = 'left';
-                textEnt.anchorY = 'bottom';
-                break;
-            case 8:
-                // Bottom Center
-                textEnt.anchorX = 'center';
-                textEnt.anchorY = 'bottom';
-                break;
-            case 9:
-                // Bottom Right
-                textEnt.anchorX = 'right';
-                textEnt.anchorY = 'bottom';
-                break;
-
-            default:
-                return undefined;
-        };
 
-        textEnt.sync(() => {
-            if (textEnt.textAlign !== 'left') {
-                textEnt.geometry.computeBoundingBox();
-                var textWidth = textEnt.geometry.boundingBox.max.x - textEnt.geometry.boundingBox.min.x;
-                if (textEnt.textAlign === 'center') textEnt.position.x += (entity.width - textWidth) / 2;
-                if (textEnt.textAlign === 'right') textEnt.position.x += (entity.width - textWidth);
-            }
+        var canvas = renderToCanvas(options);
+        return new Promise(function (resolve, reject) {
+            canvas.toBlob(function (blob) {
+                if (blob) resolve(blob);
+                else reject(new Error('The image could not be created'));
+            }, 'image/png');
         });
+    };
 
-        return textEnt;
+    /**
+     * @return {Boolean} whether the drawing has a layout of the name, see getLayouts
+     */
+    function hasLayout(name) {
+        return getLayouts(data).some(function (layout) { return layout.name === name; });
     }
 
-    function drawSpline(entity, data) {
-        var color = getColor(entity, data);
-
-        var points = getBSplinePolyline(entity.controlPoints, entity.degreeOfSplineCurve, entity.knotValues, 100);
-
-        var geometry = new THREE.BufferGeometry().setFromPoints(points);
-        var material = new THREE.LineBasicMaterial({ linewidth: 1, color: color });
-        var splineObject = new THREE.Line(geometry, material);
-
-        return splineObject;
+    /**
+     * Replaces the drawn scene with a new one for the current drawing and layout.
+     */
+    function rebuild() {
+        scope.stopMeasure();
+        scope.cancelZoomWindow();
+        picker.reset();
+        scope.cancelBuild();
+
+        scene.remove(built.group);
+        disposeScene(built.group);
+
+        built = startBuild(data);
+        scene.add(built.group);
+        layerGroups = built.layers;
+
+        fitView(built.extents);
+        scope.render();
     }
 
     /**
- * Interpolate a b-spline. The algorithm examins the knot vector
- * to create segments for interpolation. The parameterisation value
- * is re-normalised back to [0,1] as that is what the lib expects (
- * and t i de-normalised in the b-spline library)
- *
- * @param controlPoints the control points
- * @param degree the b-spline degree
- * @param knots the knot vector
- * @returns the polyline
- */
-    function getBSplinePolyline(controlPoints, degree, knots, interpolationsPerSplineSegment, weights) {
-        const polyline = []
-        const controlPointsForLib = controlPoints.map(function (p) {
-            return [p.x, p.y]
-        })
-
-        const segmentTs = [knots[degree]]
-        const domain = [knots[degree], knots[knots.length - 1 - degree]]
-
-        for (let k = degree + 1; k < knots.length - degree; ++k) {
-            if (segmentTs[segmentTs.length - 1] !== knots[k]) {
-                segmentTs.push(knots[k])
+     * Builds the scene for a drawing, at once or in chunks when the progressive option is set.
+     * @return {Object} { group, layers, lineweights, extents }, see buildScene. The extents of a
+     *                  progressive build are empty until its first chunk is drawn.
+     */
+    function startBuild(drawing) {
+        if (!options.progressive) return buildScene(drawing, options);
+
+        viewChanged = false;
+        var handle = building = buildSceneAsync(drawing, Object.assign({}, options, {
+            onProgress: function (progress) {
+                built.extents = progress.extents;
+                if (!viewChanged) fitView(progress.extents);
+                scope.render();
+                scope.dispatchEvent({ type: 'progress', loaded: progress.loaded, total: progress.total });
             }
-        }
+        }));
+
+        handle.promise.then(function (result) {
+            if (handle !== building) return;
+            building = null;
+            var viewMode = getViewMode();
+            built = result;
+            // Only the finished build knows if the drawing has faces
+            if (getViewMode() !== viewMode && !viewChanged) fitView(built.extents);
+            if (measureTool) measureTool.refresh();
+            scope.render();
+            scope.dispatchEvent({ type: 'complete' });
+        }, function (error) {
+            if (error.cancelled || handle !== building) return;
+            building = null;
+            scope.dispatchEvent({ type: 'error', error: error });
+        });
 
-        interpolationsPerSplineSegment = interpolationsPerSplineSegment || 25
-        for (let i = 1; i < segmentTs.length; ++i) {
-            const uMin = segmentTs[i - 1]
-            const uMax = segmentTs[i]
-            for (let k = 0; k <= interpolationsPerSplineSegment; ++k) {
-                const u = k / interpolationsPerSplineSegment * (uMax - uMin) + uMin
-                // Clamp t to 0, 1 to handle numerical precision issues
-                let t = (u - domain[0]) / (domain[1] - domain[0])
-                t = Math.max(t, 0)
-                t = Math.min(t, 1)
-                const p = bSpline(t, degree, controlPointsForLib, knots, weights)
-                polyline.push(new THREE.Vector2(p[0], p[1]));
-            }
-        }
-        return polyline
+        return {
+            group: handle.group,
+            layers: handle.layers,
+            lineweights: handle.lineweights,
+            extents: { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } }
+        };
     }
 
-    function drawLine(entity, data) {
-        let points = [];
-        let color = getColor(entity, data);
-        var material, lineType, vertex, startPoint, endPoint, bulgeGeometry,
-            bulge, i, line;
-
-        if (!entity.vertices) return console.log('entity missing vertices.');
-
-        // create geometry
-        for (i = 0; i < entity.vertices.length; i++) {
-
-            if (entity.vertices[i].bulge) {
-                bulge = entity.vertices[i].bulge;
-                startPoint = entity.vertices[i];
-                endPoint = i + 1 < entity.vertices.length ? entity.vertices[i + 1] : points[0];
-
-                let bulgePoints = getBulgeCurvePoints(startPoint, endPoint, bulge);
-
-                points.push.apply(points, bulgePoints);
-            } else {
-                vertex = entity.vertices[i];
-                points.push(new THREE.Vector3(vertex.x, vertex.y, 0));
-            }
-
-        }
-        if (entity.shape) points.push(points[0]);
-
-
-        // set material
-        if (entity.lineType) {
-            lineType = data.tables.lineType.lineTypes[entity.lineType];
-        }
+    /**
+     * @return {String} the view mode set in the options, or the one that suits the drawing
+     */
+    function getViewMode() {
+        if (options.viewMode) return options.viewMode;
+        return built.faces ? 'orbit' : 'plan';
+    }
 
-        if (lineType && lineType.pattern && lineType.pattern.length !== 0) {
-            material = new THREE.LineDashedMaterial({ color: color, gapSize: 4, dashSize: 4 });
+    /**
+     * Moves the camera so the extents fill the canvas, looking down on them in plan mode and
+     * from the south west (as the SW isometric view of AutoCAD) in orbit mode.
+     */
+    function fitView(extents) {
+        cancelTransition();
+        var size = renderer.getSize(new THREE.Vector2());
+        var min = new THREE.Vector3(extents.min.x, extents.min.y, extents.min.z || 0);
+        var max = new THREE.Vector3(extents.max.x, extents.max.y, extents.max.z || 0);
+        var center = min.clone().add(max).multiplyScalar(0.5);
+        // The near and far planes have to hold the drawing whichever way it is turned
+        var radius = max.distanceTo(min) / 2;
+        var orbit = getViewMode() === 'orbit';
+
+        var viewPort;
+        if (orbit) {
+            var aspectRatio = size.x / size.y;
+            var halfHeight = aspectRatio > 1 ? radius : radius / aspectRatio;
+            viewPort = { left: -halfHeight * aspectRatio, right: halfHeight * aspectRatio, top: halfHeight, bottom: -halfHeight };
         } else {
-            material = new THREE.LineBasicMaterial({ linewidth: 1, color: color });
+            viewPort = getViewPort(extents, size.x, size.y);
+            center.x = viewPort.center.x;
+            center.y = viewPort.center.y;
         }
-
-        var geometry = new BufferGeometry().setFromPoints(points);
-
-        line = new THREE.Line(geometry, material);
-        return line;
+        camera.left = viewPort.left;
+        camera.right = viewPort.right;
+        camera.top = viewPort.top;
+        camera.bottom = viewPort.bottom;
+        camera.near = 1;
+        camera.far = 2 * radius + 19;
+        camera.zoom = 1;
+
+        var direction = orbit ? new THREE.Vector3(-1, -1, 1).normalize() : new THREE.Vector3(0, 0, 1);
+        camera.up.set(0, orbit ? 0 : 1, orbit ? 1 : 0);
+        camera.position.copy(center).addScaledVector(direction, radius + 10);
+        camera.lookAt(center);
+        camera.updateProjectionMatrix();
+
+        if (controls && controls.target) controls.target.copy(center);
+        if (controls && 'noRotate' in controls) controls.noRotate = !(orbit && options.enableRotate);
+        if (controls && controls.update) controls.update();
     }
 
-    function drawArc(entity, data) {
-        var startAngle, endAngle;
-        if (entity.type === 'CIRCLE') {
-            startAngle = entity.startAngle || 0;
-            endAngle = startAngle + 2 * Math.PI;
-        } else {
-            startAngle = entity.startAngle;
-            endAngle = entity.endAngle;
+    /**
+     * The view centered on a box, large enough for the box and the margin around it, looking
+     * in the direction the camera looks in.
+     */
+    function getBoxView(box, margin) {
+        var view = getCurrentView();
+        view.center = box.getCenter(new THREE.Vector3());
+
+        // Size of the box across the view
+        var rotation = new THREE.Matrix4().extractRotation(camera.matrixWorldInverse);
+        var viewCenter = view.center.clone().applyMatrix4(rotation);
+        var halfWidth = 0, halfHeight = 0;
+        for (var i = 0; i < 8; i++) {
+            var corner = new THREE.Vector3(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z);
+            corner.applyMatrix4(rotation).sub(viewCenter);
+            halfWidth = Math.max(halfWidth, Math.abs(corner.x));
+            halfHeight = Math.max(halfHeight, Math.abs(corner.y));
         }
-
-        var curve = new THREE.ArcCurve(
-            0, 0,
-            entity.radius,
-            startAngle,
-            endAngle);
-
-        var points = curve.getPoints(32);
-        var geometry = new THREE.BufferGeometry().setFromPoints(points);
-
-        var material = new THREE.LineBasicMaterial({ color: getColor(entity, data) });
-
-        var arc = new THREE.Line(geometry, material);
-        arc.position.x = entity.center.x;
-        arc.position.y = entity.center.y;
-        arc.position.z = entity.center.z;
-
-        return arc;
+        if (halfWidth || halfHeight) {
+            view.width = 2 * halfWidth * (1 + margin);
+            view.height = 2 * halfHeight * (1 + margin);
+        }
+        return view;
     }
 
-    function addTriangleFacingCamera(verts, p0, p1, p2) {
-        // Calculate which direction the points are facing (clockwise or counter-clockwise)
-        var vector1 = new Vector3();
-        var vector2 = new Vector3();
-        vector1.subVectors(p1, p0);
-        vector2.subVectors(p2, p0);
-        vector1.cross(vector2);
-
-        var v0 = new Vector3(p0.x, p0.y, p0.z);
-        var v1 = new Vector3(p1.x, p1.y, p1.z);
-        var v2 = new Vector3(p2.x, p2.y, p2.z);
-
-        // If z < 0 then we must draw these in reverse order
-        if (vector1.z < 0) {
-            verts.push(v2, v1, v0);
+    /**
+     * The view shown by the camera, with its center on the target of the controls, or where
+     * the axis of the camera passes the middle of the drawing without them.
+     */
+    function getCurrentView() {
+        camera.updateMatrixWorld();
+        var direction = camera.getWorldDirection(new THREE.Vector3()).negate();
+        var center;
+        if (controls && controls.target) {
+            center = controls.target.clone();
         } else {
-            verts.push(v0, v1, v2);
+            var middle = getDrawingSphere().center;
+            center = camera.position.clone().addScaledVector(direction, middle.sub(camera.position).dot(direction));
         }
+        return {
+            center: center,
+            width: (camera.right - camera.left) / camera.zoom,
+            height: (camera.top - camera.bottom) / camera.zoom,
+            direction: direction,
+            up: camera.up.clone()
+        };
     }
 
-    function drawSolid(entity, data) {
-        var material, verts,
-            geometry = new THREE.BufferGeometry();
-
-        var points = entity.points;
-        // verts = geometry.vertices;
-        verts = [];
-        addTriangleFacingCamera(verts, points[0], points[1], points[2]);
-        addTriangleFacingCamera(verts, points[1], points[2], points[3]);
-
-        material = new THREE.MeshBasicMaterial({ color: getColor(entity, data) });
-        geometry.setFromPoints(verts);
-
-        return new THREE.Mesh(geometry, material);
+    /**
+     * The view of a window on the canvas, its corners in normalized device coordinates.
+     */
+    function getWindowView(start, end) {
+        var view = getCurrentView();
+        var middle = new THREE.Vector3((start.x + end.x) / 2, (start.y + end.y) / 2, 0).unproject(camera);
+        // On the plane through the center of the view
+        view.center = middle.addScaledVector(view.direction, view.center.clone().sub(middle).dot(view.direction));
+        view.width *= Math.abs(end.x - start.x) / 2;
+        view.height *= Math.abs(end.y - start.y) / 2;
+        return view;
     }
 
-    function drawText(entity, data) {
-        var geometry, material, text;
-
-        if (!font)
-            return console.warn('Text is not supported without a Three.js font loaded with THREE.FontLoader! Load a font of your choice and pass this into the constructor. See the sample for this repository or Three.js examples at http://threejs.org/examples/?q=text#webgl_geometry_text for more details.');
-
-        geometry = new THREE.TextGeometry(entity.text, { font: font, height: 0, size: entity.textHeight || 12 });
+    /**
+     * Moves the camera to a view of the canvas' shape. The near and far planes hold the
+     * drawing wherever the center is.
+     */
+    function applyView(view) {
+        var sphere = getDrawingSphere();
+        var depth = Math.abs(sphere.center.sub(view.center).dot(view.direction));
+        var distance = sphere.radius + 10 + depth;
+
+        camera.up.copy(view.up);
+        camera.position.copy(view.center).addScaledVector(view.direction, distance);
+        camera.lookAt(view.center);
+        camera.near = 1;
+        camera.far = distance + depth + sphere.radius + 10;
+        camera.zoom = (camera.right - camera.left) / view.width;
+        camera.updateProjectionMatrix();
+
+        if (controls && controls.target) controls.target.copy(view.center);
+        if (controls && controls.update) controls.update();
+    }
 
-        if (entity.rotation) {
-            var zRotation = entity.rotation * Math.PI / 180;
-            geometry.rotateZ(zRotation);
+    /**
+     * Animates the view from one to another, or jumps to it without requestAnimationFrame
+     * (as in node). The center and the directions move along straight lines, the size of the
+     * view changes by the same factor every frame so zooming looks steady.
+     */
+    function startTransition(from, to, duration) {
+        cancelTransition();
+        if (!duration || typeof requestAnimationFrame === 'undefined') {
+            applyView(to);
+            scope.render();
+            return;
         }
 
-        material = new THREE.MeshBasicMaterial({ color: getColor(entity, data) });
-
-        text = new THREE.Mesh(geometry, material);
-        text.position.x = entity.startPoint.x;
-        text.position.y = entity.startPoint.y;
-        text.position.z = entity.startPoint.z;
-
-        return text;
+        var step = {};
+        var startTime = null;
+        var current = transition = {
+            frame: requestAnimationFrame(function animate(time) {
+                if (current !== transition) return;
+                if (startTime === null) startTime = time;
+                var t = Math.min(1, (time - startTime) / duration);
+                // Ease in and out
+                var s = t * t * (3 - 2 * t);
+
+                step.center = from.center.clone().lerp(to.center, s);
+                step.width = interpolateSize(from.width, to.width, s);
+                step.height = interpolateSize(from.height, to.height, s);
+                step.direction = from.direction.clone().lerp(to.direction, s);
+                step.up = from.up.clone().lerp(to.up, s);
+                // Halfway between opposite directions there is none
+                if (step.direction.lengthSq() < 1e-6 || Math.abs(step.up.clone().normalize().dot(step.direction.clone().normalize())) > 1 - 1e-6) {
+                    step.direction = to.direction;
+                    step.up = to.up;
+                }
+                step.direction.normalize();
+                step.up.normalize();
+                applyView(t < 1 ? step : to);
+                scope.render();
+
+                if (t < 1) current.frame = requestAnimationFrame(animate);
+                else transition = null;
+            })
+        };
     }
 
-    function drawPoint(entity, data) {
-        var geometry, material, point;
-
-        geometry = new THREE.BufferGeometry();
-
-        geometry.setAttribute('position', new Float32BufferAttribute([entity.position.x, entity.position.y, entity.position.z], 3));
-
-        var color = getColor(entity, data);
-
-        material = new THREE.PointsMaterial({ size: 0.1, color: new Color(color) });
-        point = new THREE.Points(geometry, material);
-        scene.add(point);
+    function cancelTransition() {
+        if (!transition) return;
+        cancelAnimationFrame(transition.frame);
+        transition = null;
     }
 
-    function drawDimension(entity, data) {
-        var block = data.blocks[entity.block];
-
-        if (!block || !block.entities) return null;
-
-        var group = new THREE.Object3D();
-        // if(entity.anchorPoint) {
-        //     group.position.x = entity.anchorPoint.x;
-        //     group.position.y = entity.anchorPoint.y;
-        //     group.position.z = entity.anchorPoint.z;
-        // }
-
-        for (var i = 0; i < block.entities.length; i++) {
-            var childEntity = drawEntity(block.entities[i], data, group);
-            if (childEntity) group.add(childEntity);
-        }
-
-        return group;
+    function getDuration(callOptions) {
+        var duration = callOptions && callOptions.duration !== undefined ? callOptions.duration : options.transitionDuration;
+        return Math.max(0, duration || 0);
     }
 
-    function drawBlock(entity, data) {
-        var block = data.blocks[entity.name];
-
-        if (!block.entities) return null;
-
-        var group = new THREE.Object3D()
-
-        if (entity.xScale) group.scale.x = entity.xScale;
-        if (entity.yScale) group.scale.y = entity.yScale;
-
-        if (entity.rotation) {
-            group.rotation.z = entity.rotation * Math.PI / 180;
-        }
-
-        if (entity.position) {
-            group.position.x = entity.position.x;
-            group.position.y = entity.position.y;
-            group.position.z = entity.position.z;
-        }
-
-        for (var i = 0; i < block.entities.length; i++) {
-            var childEntity = drawEntity(block.entities[i], data, group);
-            if (childEntity) group.add(childEntity);
-        }
-
-        return group;
+    /**
+     * The sphere around the drawing, the near and far planes are set to hold it.
+     */
+    function getDrawingSphere() {
+        var extents = built.extents;
+        var min = new THREE.Vector3(extents.min.x, extents.min.y, extents.min.z || 0);
+        var max = new THREE.Vector3(extents.max.x, extents.max.y, extents.max.z || 0);
+        return { center: min.clone().add(max).multiplyScalar(0.5), radius: max.distanceTo(min) / 2 };
     }
 
-    function getColor(entity, data) {
-        var color = 0x000000; //default
-        if (entity.color) color = entity.color;
-        else if (data.tables && data.tables.layer && data.tables.layer.layers[entity.layer])
-            color = data.tables.layer.layers[entity.layer].color;
-
-        if (color == null || color === 0xffffff) {
-            color = 0x000000;
-        }
-        return color;
+    function endZoomWindow() {
+        if (!zoomWindow) return;
+        var current = zoomWindow;
+        zoomWindow = null;
+        current.tool.dispose();
+        picker.enabled = true;
+        if (controls && 'enabled' in controls) controls.enabled = current.controlsEnabled;
     }
 
-    function createLineTypeShaders(data) {
-        var ltype, type;
-        if (!data.tables || !data.tables.lineType) return;
-        var ltypes = data.tables.lineType.lineTypes;
-
-        for (type in ltypes) {
-            ltype = ltypes[type];
-            if (!ltype.pattern) continue;
-            ltype.material = createDashedLineShader(ltype.pattern);
+    /**
+     * Renders the current view into a new 2D canvas of the given size, using the renderer of the
+     * viewer and a render target so the visible canvas is left untouched.
+     */
+    function renderToCanvas(options) {
+        var maxSize = renderer.capabilities.maxTextureSize;
+        var width = Math.max(1, Math.min(Math.round(options.width), maxSize));
+        var height = Math.max(1, Math.min(Math.round(options.height), maxSize));
+
+        var target = new THREE.WebGLRenderTarget(width, height, { samples: 4 });
+        if ('colorSpace' in target.texture) target.texture.colorSpace = THREE.SRGBColorSpace;
+        else target.texture.encoding = THREE.sRGBEncoding;
+
+        var clearColor = renderer.getClearColor(new Color());
+        var clearAlpha = renderer.getClearAlpha();
+        var previousTarget = renderer.getRenderTarget();
+        var pixels = new Uint8Array(width * height * 4);
+
+        if (options.background === null || options.background === 'transparent') renderer.setClearColor(0x000000, 0);
+        else if (options.background !== undefined) renderer.setClearColor(new Color(options.background), 1);
+
+        try {
+            renderer.setRenderTarget(target);
+            renderer.clear();
+            renderer.render(scene, createExportCamera(camera, width, height));
+            renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+        } finally {
+            renderer.setRenderTarget(previousTarget);
+            renderer.setClearColor(clearColor, clearAlpha);
+            target.dispose();
         }
-    }
 
-    function createDashedLineShader(pattern) {
-        var i,
-            dashedLineShader = {},
-            totalLength = 0.0;
-
-        for (i = 0; i < pattern.length; i++) {
-            totalLength += Math.abs(pattern[i]);
+        // WebGL rows start at the bottom, canvas rows at the top
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        var context = canvas.getContext('2d');
+        var image = context.createImageData(width, height);
+        var rowLength = width * 4;
+        for (var row = 0; row < height; row++) {
+            image.data.set(pixels.subarray(row * rowLength, (row + 1) * rowLength), (height - row - 1) * rowLength);
         }
+        context.putImageData(image, 0, 0);
+        return canvas;
+    }
 
-        dashedLineShader.uniforms = THREE.UniformsUtils.merge([
-
-            THREE.UniformsLib['common'],
-            THREE.UniformsLib['fog'],
+    function isLayerVisible(name) {
+        var group = layerGroups[name];
+        if (group) return group.visible;
+        var layer = getTableLayers(data)[name];
+        return !layer || !(layer.visible === false || layer.frozen);
+    }
 
-            {
-                'pattern': { type: 'fv1', value: pattern },
-                'patternLength': { type: 'f', value: totalLength }
+    function findExtents(scene) {
+        for (var child of scene.children) {
+            var minX, maxX, minY, maxY;
+            if (child.position) {
+                minX = Math.min(child.position.x, minX);
+                minY = Math.min(child.position.y, minY);
+                maxX = Math.max(child.position.x, maxX);
+                maxY = Math.max(child.position.y, maxY);
             }
+        }
 
-        ]);
-
-        dashedLineShader.vertexShader = [
-            'attribute float lineDistance;',
-
-            'varying float vLineDistance;',
-
-            THREE.ShaderChunk['color_pars_vertex'],
-
-            'void main() {',
-
-            THREE.ShaderChunk['color_vertex'],
-
-            'vLineDistance = lineDistance;',
-
-            'gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );',
+        return { min: { x: minX, y: minY }, max: { x: maxX, y: maxY } };
+    }
 
-            '}'
-        ].join('\n');
+}
 
-        dashedLineShader.fragmentShader = [
-            'uniform vec3 diffuse;',
-            'uniform float opacity;',
 
-            'uniform float pattern[' + pattern.length + '];',
-            'uniform float patternLength;',
+Viewer.prototype = Object.create(THREE.EventDispatcher.prototype);
+Viewer.prototype.constructor = Viewer;
+
+var DEFAULT_OPTIONS = {
+    width: undefined,
+    height: undefined,
+    font: null,
+    fonts: null,
+    background: null,
+    darkMode: false,
+    lineweights: null,
+    layout: MODEL,
+    progressive: false,
+    antialias: false,
+    pixelRatio: 1,
+    controls: true,
+    enableRotate: true,
+    viewMode: null,
+    zoomSpeed: 3,
+    transitionDuration: 250
+};
 
-            'varying float vLineDistance;',
+/**
+ * Reads the viewer options from either an options object or the positional width, height and
+ * font arguments of older versions.
+ */
+function getViewerOptions(width, height, font) {
+    var given = (width !== null && typeof width === 'object') ? width : { width: width, height: height, font: font };
+    var options = Object.assign({}, DEFAULT_OPTIONS);
+    for (var key in given) {
+        if (given[key] !== undefined) options[key] = given[key];
+    }
+    if (options.background === null || options.background === undefined) {
+        options.background = options.darkMode ? 0x000000 : 0xffffff;
+    }
+    return options;
+}
 
-            THREE.ShaderChunk['color_pars_fragment'],
-            THREE.ShaderChunk['fog_pars_fragment'],
+function toVector(point) {
+    return new THREE.Vector3(point.x || 0, point.y || 0, point.z || 0);
+}
 
-            'void main() {',
+function toPoint(vector) {
+    return { x: vector.x, y: vector.y, z: vector.z };
+}
 
-            'float pos = mod(vLineDistance, patternLength);',
+/**
+ * A direction at a right angle to another one, the Y axis of its arbitrary axis algorithm.
+ */
+function getPerpendicular(direction) {
+    return new THREE.Vector3(0, 1, 0).applyMatrix4(getOcsMatrix(direction));
+}
 
-            'for ( int i = 0; i < ' + pattern.length + '; i++ ) {',
-            'pos = pos - abs(pattern[i]);',
-            'if( pos < 0.0 ) {',
-            'if( pattern[i] > 0.0 ) {',
-            'gl_FragColor = vec4(1.0, 0.0, 0.0, opacity );',
-            'break;',
-            '}',
-            'discard;',
-            '}',
+/**
+ * Sizes of views change geometrically between two views.
+ */
+function interpolateSize(from, to, t) {
+    return from * Math.pow(to / from, t);
+}
 
-            '}',
+/**
+ * Finds the camera frustum that fits the extents of a drawing into a canvas of the given size.
+ * @return {Object} { left, right, top, bottom, center } left to top are relative to the center
+ */
+function getViewPort(dims, width, height) {
+    var aspectRatio = width / height;
 
-            THREE.ShaderChunk['color_fragment'],
-            THREE.ShaderChunk['fog_fragment'],
+    var upperRightCorner = { x: dims.max.x, y: dims.max.y };
+    var lowerLeftCorner = { x: dims.min.x, y: dims.min.y };
 
-            '}'
-        ].join('\n');
+    // Figure out the current viewport extents
+    var vp_width = upperRightCorner.x - lowerLeftCorner.x;
+    var vp_height = upperRightCorner.y - lowerLeftCorner.y;
+    var center = center || {
+        x: vp_width / 2 + lowerLeftCorner.x,
+        y: vp_height / 2 + lowerLeftCorner.y
+    };
 
-        return dashedLineShader;
+    // Fit all objects into current ThreeDXF viewer
+    var extentsAspectRatio = Math.abs(vp_width / vp_height);
+    if (aspectRatio > extentsAspectRatio) {
+        vp_width = vp_height * aspectRatio;
+    } else {
+        vp_height = vp_width / aspectRatio;
     }
 
-    function findExtents(scene) {
-        for (var child of scene.children) {
-            var minX, maxX, minY, maxY;
-            if (child.position) {
-                minX = Math.min(child.position.x, minX);
-                minY = Math.min(child.position.y, minY);
-                maxX = Math.max(child.position.x, maxX);
-                maxY = Math.max(child.position.y, maxY);
-            }
+    return {
+        bottom: -vp_height / 2,
+        left: -vp_width / 2,
+        top: vp_height / 2,
+        right: vp_width / 2,
+        center: {
+            x: center.x,
+            y: center.y
         }
-
-        return { min: { x: minX, y: minY }, max: { x: maxX, y: maxY } };
-    }
-
+    };
 }
 
-
 // Show/Hide helpers from https://plainjs.com/javascript/effects/hide-or-show-an-element-42/
 // get the default display style of an element
 function defaultDisplay(tag) {
@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+import { readRecords, getGroupValue } from './records';
+
+/** Name of the model space layout */
+export var MODEL = 'Model';
+
+var PAPER_SPACE_BLOCK = '*PAPER_SPACE';
+
+/** The records readLayouts reads, see readRecords */
+export var LAYOUT_RECORDS = { TABLES: ['LAYER'], OBJECTS: ['LAYOUT'] };
+
+/**
+ * Reads what dxf-parser skips but layouts need: the LAYOUT objects of the OBJECTS section,
+ * stored as `data.layouts` ([{ name, tabOrder, blockRecord }]), and the handles of the layer
+ * table entries (`handle` on each layer), which VIEWPORT entities refer to for their frozen
+ * layers. Without it layouts are named after their blocks and frozen layers only come from
+ * the extended data of older files. readTables reads this along with the other tables.
+ * @param {String} text - the contents of the dxf file
+ * @param {Object} data - the dxf object dxf-parser made of it
+ * @return {Object} data
+ */
+export function readLayouts(text, data) {
+    if (!data) return data;
+    return addLayouts(readRecords(text, LAYOUT_RECORDS), data);
+}
+
+/**
+ * Stores the layouts and layer handles of readLayouts.
+ * @param {Object} records - the LAYER and LAYOUT records, see readRecords
+ * @param {Object} data - the dxf object
+ * @return {Object} data
+ */
+export function addLayouts(records, data) {
+    var layers = data.tables && data.tables.layer ? data.tables.layer.layers : {};
+    records.LAYER.forEach(function (groups) {
+        var handle = getGroupValue(groups, 5);
+        var layer = layers[getGroupValue(groups, 2)];
+        if (layer && handle) layer.handle = handle;
+    });
+
+    data.layouts = records.LAYOUT.map(function (groups) {
+        // The name, tab order and block record follow the AcDbLayout subclass marker, the
+        // groups before it belong to the plot settings and the owner
+        var layout = { name: '', tabOrder: 0 };
+        var inLayout = false;
+        groups.forEach(function (group) {
+            if (group.code === 100) inLayout = group.value === 'AcDbLayout';
+            else if (!inLayout) return;
+            else if (group.code === 1) layout.name = group.value;
+            else if (group.code === 71) layout.tabOrder = group.value;
+            else if (group.code === 330) layout.blockRecord = group.value;
+        });
+        return layout;
+    });
+    return data;
+}
+
+/**
+ * Lists the layouts of a drawing, model space first and the paper space layouts in the order
+ * of their tabs.
+ * @param {Object} data - the dxf object
+ * @return {Object[]} objects of the form { name, paperSpace, block }, block is the name of the
+ *                    block holding the entities of a paper space layout
+ */
+export function getLayouts(data) {
+    var blocks = data.blocks || {};
+    var paperBlocks = Object.keys(blocks).filter(function (name) {
+        return name.toUpperCase().indexOf(PAPER_SPACE_BLOCK) === 0;
+    });
+
+    var layouts = [];
+    if (data.layouts && data.layouts.length) {
+        data.layouts.slice().sort(function (a, b) { return a.tabOrder - b.tabOrder; }).forEach(function (layout) {
+            var block = paperBlocks.filter(function (name) { return blocks[name].ownerHandle === layout.blockRecord; })[0];
+            if (block) layouts.push({ name: layout.name, paperSpace: true, block: block });
+        });
+    } else {
+        // Without the LAYOUT objects the blocks are all there is: *Paper_Space is the layout
+        // that was active when the drawing was saved, *Paper_Space0, 1... are the others.
+        // Every drawing has them, so only the ones with entities count.
+        paperBlocks.sort(function (a, b) {
+            return (parseInt(a.slice(PAPER_SPACE_BLOCK.length), 10) + 1 || 0) - (parseInt(b.slice(PAPER_SPACE_BLOCK.length), 10) + 1 || 0);
+        });
+        if (!paperBlocks.some(isActivePaperSpace)) paperBlocks.unshift('*Paper_Space');
+        paperBlocks.forEach(function (block) {
+            var layout = { name: 'Layout' + (layouts.length + 1), paperSpace: true, block: block };
+            if (getPaperSpaceEntities(data, layout).length) layouts.push(layout);
+        });
+    }
+
+    return [{ name: MODEL, paperSpace: false, block: null }].concat(layouts);
+}
+
+/**
+ * @param {Object} data - the dxf object
+ * @param {String} name - the name of a layout as listed by getLayouts
+ * @return {Object[]} the entities drawn on the layout, undefined if there is no such layout
+ */
+export function getLayoutEntities(data, name) {
+    var entities = data.entities || [];
+    if (!name || name === MODEL) {
+        return entities.filter(function (entity) { return !entity.inPaperSpace; });
+    }
+
+    var layout = getLayouts(data).filter(function (layout) { return layout.name === name; })[0];
+    if (!layout) return undefined;
+
+    return getPaperSpaceEntities(data, layout);
+}
+
+/**
+ * The active layout keeps its entities in the ENTITIES section (flagged with group 67), the
+ * others in their blocks.
+ */
+function getPaperSpaceEntities(data, layout) {
+    var block = data.blocks && data.blocks[layout.block];
+    var blockEntities = (block && block.entities) || [];
+    if (!isActivePaperSpace(layout.block)) return blockEntities;
+    return blockEntities.concat((data.entities || []).filter(function (entity) { return entity.inPaperSpace; }));
+}
+
+function isActivePaperSpace(blockName) {
+    return blockName.toUpperCase() === PAPER_SPACE_BLOCK;
+}
+
+/**
+ * Whether a VIEWPORT entity shows model space. The first viewport of every layout (ID 1) is
+ * the paper space view itself, and viewports can be turned off.
+ * @param {Object} entity - the VIEWPORT entity
+ * @return {Boolean} true if the viewport is a window onto model space
+ */
+export function isModelViewport(entity) {
+    return entity.id !== 1 && entity.status !== 0 && entity.width > 0 && entity.height > 0 && entity.viewHeight > 0;
+}
+
+/**
+ * The transform from model space into the paper space window of a viewport. Only plan views
+ * are supported, the view direction is ignored.
+ * @param {Object} entity - the VIEWPORT entity
+ * @return {THREE.Matrix4} the transform
+ */
+export function getViewportMatrix(entity) {
+    var scale = entity.height / entity.viewHeight;
+    var target = entity.viewTarget || { x: 0, y: 0, z: 0 };
+    var viewCenter = entity.viewCenter || { x: 0, y: 0 };
+    var twist = THREE.MathUtils.degToRad(entity.twistAngle || 0);
+
+    // model -> display coordinates (around the target, rotated by the twist) -> paper
+    return new THREE.Matrix4().makeTranslation(entity.center.x, entity.center.y, 0)
+        .multiply(new THREE.Matrix4().makeScale(scale, scale, scale))
+        .multiply(new THREE.Matrix4().makeTranslation(-viewCenter.x, -viewCenter.y, 0))
+        .multiply(new THREE.Matrix4().makeRotationZ(-twist))
+        .multiply(new THREE.Matrix4().makeTranslation(-target.x, -target.y, -(target.z || 0)));
+}
+
+/**
+ * The planes cutting everything outside of the window of a viewport, in the form of
+ * `material.clippingPlanes`.
+ * @param {Object} entity - the VIEWPORT entity
+ * @return {THREE.Plane[]} the planes
+ */
+export function getViewportClippingPlanes(entity) {
+    var left = entity.center.x - entity.width / 2, right = entity.center.x + entity.width / 2;
+    var bottom = entity.center.y - entity.height / 2, top = entity.center.y + entity.height / 2;
+    return [
+        new THREE.Plane(new THREE.Vector3(1, 0, 0), -left),
+        new THREE.Plane(new THREE.Vector3(-1, 0, 0), right),
+        new THREE.Plane(new THREE.Vector3(0, 1, 0), -bottom),
+        new THREE.Plane(new THREE.Vector3(0, -1, 0), top)
+    ];
+}
+
+/**
+ * @param {Object} entity - the VIEWPORT entity
+ * @param {Object} layers - the layer table, with handles read by readLayouts
+ * @return {String[]} the names of the layers frozen in the viewport
+ */
+export function getViewportFrozenLayers(entity, layers) {
+    var names = (entity.frozenLayerNames || []).slice();
+    (entity.frozenLayers || []).forEach(function (handle) {
+        for (var name in layers) {
+            if (layers[name].handle === handle && names.indexOf(name) === -1) names.push(name);
+        }
+    });
+    return names;
+}
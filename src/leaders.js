@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+
+/**
+ * Works out the line and arrowhead of a LEADER. The vertices run from the arrowhead to the
+ * end of the hookline, which stays straight when the path is a spline. A first segment shorter
+ * than the arrowhead gets no arrowhead.
+ * @param {Object} entity - the LEADER entity
+ * @param {Object} style - the dimension variables, see getDimensionStyle
+ * @param {Number} segments - interpolated points per span of spline paths
+ * @return {Object} { points, arrow } where arrow is { tip, direction, size, block } or null,
+ *                  block names the DIMLDRBLK arrowhead block, see findBlock. Returns null if the
+ *                  leader has less than two vertices.
+ */
+export function createLeaderGeometry(entity, style, segments) {
+    var vertices = (entity.vertices || []).map(toVector);
+    if (vertices.length < 2) return null;
+
+    var points = getLeaderPoints(vertices, entity.pathType === 1, entity.hookline, segments);
+    var size = style.DIMASZ * style.DIMSCALE;
+    var arrow = null;
+    if (entity.arrowHeadFlag !== 0 && size > 0 && vertices[0].distanceTo(vertices[1]) > size) {
+        arrow = createArrow(points, size, style.DIMLDRBLK);
+    }
+    return { points: points, arrow: arrow };
+}
+
+/**
+ * Works out the leader lines of a MULTILEADER. Every line runs from its arrowhead through its
+ * vertices to the last point of its leader, where the dogleg (landing) leading to the content
+ * starts. Lines and arrowheads may override the line type, color, arrowhead and size of
+ * the entity.
+ * @param {Object} entity - the MULTILEADER entity
+ * @param {Number} segments - interpolated points per span of spline lines
+ * @return {Object[]} [{ points, arrow, color }] where arrow is { tip, direction, size, block }
+ *                    or null and color is a raw color, see getRawColor
+ */
+export function createMLeaderGeometry(entity, segments) {
+    var context = entity.context;
+    var lines = [];
+    if (!context) return lines;
+
+    var lineType = entity.leaderLineType === undefined ? 1 : entity.leaderLineType;
+    var defaultSize = context.arrowHeadSize !== undefined ? context.arrowHeadSize : (entity.arrowHeadSize || 0) * (context.scale || 1);
+
+    context.leaders.forEach(function (leader) {
+        leader.lines.forEach(function (line) {
+            var type = line.leaderLineType !== undefined ? line.leaderLineType : lineType;
+            var vertices = line.vertices.map(toVector);
+            if (leader.lastPoint) vertices.push(toVector(leader.lastPoint));
+            if (type === 0 || vertices.length < 2) return;
+
+            var points = getLeaderPoints(vertices, type === 2, false, segments);
+            var size = line.arrowHeadSize !== undefined ? line.arrowHeadSize : defaultSize;
+            lines.push({
+                points: points,
+                arrow: size > 0 ? createArrow(points, size, line.arrowHead || entity.arrowHead) : null,
+                color: line.color !== undefined ? line.color : entity.leaderLineColor
+            });
+        });
+
+        var length = leader.doglegLength !== undefined ? leader.doglegLength : entity.doglegLength;
+        if (lineType !== 0 && entity.enableDogleg !== false && leader.lastPoint && leader.doglegVector && length) {
+            var start = toVector(leader.lastPoint);
+            var end = start.clone().addScaledVector(toVector(leader.doglegVector).normalize(), length);
+            lines.push({ points: [start, end], arrow: null, color: entity.leaderLineColor });
+        }
+    });
+    return lines;
+}
+
+/**
+ * Finds a block by name or by the handle of its block record, as dimension styles refer to
+ * arrowhead blocks and multileaders to arrowhead and content blocks.
+ * @param {Object} data - the dxf object
+ * @param {String} nameOrHandle - the name of the block or the handle of its block record
+ * @return {Object} the block, null if there is none (arrowheads are closed and filled then)
+ */
+export function findBlock(data, nameOrHandle) {
+    var blocks = data.blocks || {};
+    if (!nameOrHandle) return null;
+    if (blocks[nameOrHandle]) return blocks[nameOrHandle];
+    for (var name in blocks) {
+        if (blocks[name].ownerHandle === nameOrHandle) return blocks[name];
+    }
+    return null;
+}
+
+/**
+ * Straight segments through the vertices, or a curve through them for spline paths. The last
+ * segment stays straight if `straightEnd` is set.
+ */
+function getLeaderPoints(vertices, spline, straightEnd, segments) {
+    var curved = straightEnd ? vertices.slice(0, -1) : vertices;
+    if (!spline || curved.length < 3) return vertices;
+
+    var curve = new THREE.CatmullRomCurve3(curved, false, 'centripetal');
+    var points = curve.getPoints(segments * (curved.length - 1));
+    if (straightEnd) points.push(vertices[vertices.length - 1]);
+    return points;
+}
+
+/**
+ * The arrowhead sits on the first point and points away from the rest of the line.
+ */
+function createArrow(points, size, block) {
+    return {
+        tip: points[0].clone(),
+        direction: points[0].clone().sub(points[1]).normalize(),
+        size: size,
+        block: block
+    };
+}
+
+function toVector(point) {
+    return new THREE.Vector3(point.x, point.y, point.z || 0);
+}
@@ -0,0 +1,367 @@
+import { parseDxfMTextContent } from '@dxfom/mtext';
+
+// Stacked text is drawn at this fraction of the height of the text around it
+export var STACK_SCALE = 0.7;
+// Distance between the baselines of single spaced lines, relative to the text height
+var LINE_PITCH = 5 / 3;
+// Default tab stops are this many text heights apart
+var TAB_SIZE = 4;
+
+// Codes @dxfom/mtext does not know, or reads as plain characters. They are swapped for
+// characters of the Unicode private use area before parsing and read back from the text.
+var EXTRA_CODES = /\\(\\|p[^;]*;|c\d+;|N|X|~)|\^I|\^J/g;
+var MARKER = 0xE000;
+
+var PARAGRAPH_ALIGNMENTS = { l: 'left', c: 'center', r: 'right', j: 'justify', d: 'left' };
+
+/**
+ * Reads MTEXT content into a flat list of items, each with the formatting (`style`) in effect
+ * for it:
+ *
+ *    { text }                    - a run of text in one style
+ *    { stack: [upper, type, lower] } - stacked text, type '/' for fractions with a horizontal
+ *                                  bar, '#' for a diagonal bar and '^' for tolerances
+ *    { tab: true }               - a tab
+ *    { paragraph: true }         - the end of a paragraph (\P)
+ *    { column: true }            - a column break (\N)
+ *
+ * Styles are { font, bold, italic, height, widthFactor, oblique (degrees), tracking, color,
+ * underline, overline, strike, align, paragraph } where color is null for the color of the
+ * entity, { index } for ACI or { rgb } for true colors, align the position of the run on
+ * its line (0 = bottom, 1 = middle, 2 = top) and paragraph is { indent, left, right, align,
+ * tabs }, the indents and tab stops in drawing units.
+ * @param {String} text - the MTEXT content, with its inline formatting codes
+ * @param {Object} base - the formatting the text starts with, e.g. { height: 2.5 }
+ * @return {Object[]} the items
+ */
+export function parseMTextRuns(text, base) {
+    var markers = [];
+    var content = (text || '').replace(EXTRA_CODES, function (match, code) {
+        if (code === '\\') return match;
+        markers.push(code || match);
+        return String.fromCharCode(MARKER + markers.length - 1);
+    });
+
+    var style = Object.assign({
+        font: null,
+        bold: false,
+        italic: false,
+        height: 1,
+        widthFactor: 1,
+        oblique: 0,
+        tracking: 1,
+        color: null,
+        underline: false,
+        overline: false,
+        strike: false,
+        align: 0,
+        paragraph: { indent: 0, left: 0, right: 0, align: null, tabs: [] }
+    }, base);
+
+    var items = [];
+    addElements(parseDxfMTextContent(content), style, items, markers);
+    return items;
+}
+
+/**
+ * Formatting codes last until the end of the group ({...}) they are in.
+ */
+function addElements(elements, style, items, markers) {
+    for (var i = 0; i < elements.length; i++) {
+        var element = elements[i];
+        if (Array.isArray(element)) addElements(element, style, items, markers);
+        else if (typeof element === 'string') style = addText(element, style, items, markers);
+        else if (element.S) items.push({ stack: element.S, style: style });
+        else style = applyCode(element, style);
+    }
+}
+
+function applyCode(code, style) {
+    var changes = {};
+    if (code.f !== undefined) {
+        changes.font = code.f || null;
+        changes.bold = code.b === 1;
+        changes.italic = code.i === 1;
+    }
+    if (code.H) changes.height = code.H[1] === 'x' ? style.height * code.H[0] : code.H[0];
+    if (code.W) changes.widthFactor = code.W[1] === 'x' ? style.widthFactor * code.W[0] : code.W[0];
+    if (code.Q !== undefined) changes.oblique = code.Q;
+    if (code.T !== undefined) changes.tracking = code.T;
+    if (code.A !== undefined) changes.align = code.A;
+    // ByBlock (0) and ByLayer (256) use the color of the entity
+    if (code.C !== undefined) changes.color = code.C > 0 && code.C < 256 ? { index: code.C } : null;
+    if (code.L !== undefined) changes.underline = code.L === 1;
+    if (code.O !== undefined) changes.overline = code.O === 1;
+    if (code.K !== undefined) changes.strike = code.K === 1;
+    return Object.assign({}, style, changes);
+}
+
+/**
+ * Splits a string into runs at line breaks, tabs and the codes swapped for markers.
+ * @return {Object} the style after the text
+ */
+function addText(text, style, items, markers) {
+    var run = '';
+    var flush = function () {
+        if (run) items.push({ text: run, style: style });
+        run = '';
+    };
+
+    for (var i = 0; i < text.length; i++) {
+        var c = text[i];
+        var code = text.charCodeAt(i) >= MARKER && markers[text.charCodeAt(i) - MARKER];
+        if (code === '~') {
+            run += ' ';
+        } else if (c === '\n' || code === 'X' || code === '^J') {
+            flush();
+            items.push({ paragraph: true, style: style });
+        } else if (c === '\t' || code === '^I') {
+            flush();
+            items.push({ tab: true, style: style });
+        } else if (code === 'N') {
+            flush();
+            items.push({ column: true, style: style });
+        } else if (code && code[0] === 'c') {
+            flush();
+            style = Object.assign({}, style, { color: { rgb: parseInt(code.slice(1), 10) } });
+        } else if (code && code[0] === 'p') {
+            flush();
+            style = Object.assign({}, style, { paragraph: parseParagraph(code, style.paragraph) });
+        } else {
+            run += c;
+        }
+    }
+    flush();
+    return style;
+}
+
+/**
+ * Reads paragraph codes such as \pxi-3,l3,t4,8,qc; into the paragraph properties.
+ */
+function parseParagraph(code, paragraph) {
+    paragraph = Object.assign({}, paragraph);
+    var key = null;
+    code.replace(/^px?/, '').replace(/;$/, '').split(',').forEach(function (part) {
+        if (/^[a-z]/i.test(part)) {
+            key = part[0];
+            part = part.slice(1);
+            if (key === 't') paragraph.tabs = [];
+        }
+        if (key === 'q') paragraph.align = PARAGRAPH_ALIGNMENTS[part[0]] || null;
+        else if (key === 't') {
+            // Tab stops may be marked centered (c), right aligned (r) or decimal (d)
+            var stop = parseFloat(part.replace(/^[crd]/, ''));
+            if (isFinite(stop)) paragraph.tabs.push(stop);
+        } else if (key === 'i' || key === 'l' || key === 'r') {
+            var value = parseFloat(part);
+            if (isFinite(value)) paragraph[{ i: 'indent', l: 'left', r: 'right' }[key]] = value;
+        }
+    });
+    return paragraph;
+}
+
+/**
+ * @param {Object[]} items - MTEXT items, see parseMTextRuns
+ * @return {String} the text without its formatting: fractions as upper/lower, tolerances as
+ *                  upper lower, paragraphs and columns on lines of their own
+ */
+export function getPlainText(items) {
+    return items.map(function (item) {
+        if (item.stack) {
+            if (item.stack[1] !== '^') return item.stack[0] + '/' + item.stack[2];
+            return [item.stack[0], item.stack[2]].filter(Boolean).join(' ');
+        }
+        if (item.tab) return '\t';
+        if (item.paragraph || item.column) return '\n';
+        return item.text;
+    }).join('');
+}
+
+/**
+ * Breaks MTEXT items (see parseMTextRuns) into lines and columns. The layout is in the
+ * coordinates of the text: x to the right from the left edge of the first column, y up from
+ * its top, with the parts of lines placed by positionLines.
+ * @param {Object[]} items - the items
+ * @param {Object} options - { width, lineSpacingFactor, lineSpacingStyle, textHeight, definedHeight, align, columns, measure }
+ *                           width - the width to wrap lines at, 0 or undefined for no wrapping
+ *                           lineSpacingFactor, lineSpacingStyle - see the MTEXT entity
+ *                           textHeight - the height of the text, for exact line spacing
+ *                           definedHeight - the height of columns that have none of their own
+ *                           align - the alignment of paragraphs without one of their own
+ *                           columns - the columns of the MTEXT entity, if any
+ *                           measure - function (text, style) returning the width of a run
+ * @return {Object} { lines, width, height } where every line is { parts, x, baseline, height,
+ *                  left, width, align, column }, x being where its column starts, and every
+ *                  part { text, style, width, x } or { stack, style, width, x } (width of the
+ *                  upper and lower part in `stackWidths`) or { tab, style, width, x }
+ */
+export function layoutMText(items, options) {
+    var measure = options.measure;
+    var columns = options.columns && options.columns.type ? options.columns : null;
+    var columnCount = columns ? Math.max(columns.count || 1, 1) : 1;
+    var columnWidth = columns && columns.width ? columns.width : options.width || 0;
+    var gutter = columns && columns.gutter || 0;
+    var lineSpacing = options.lineSpacingFactor || 1;
+
+    var lines = [];
+    var line = null;
+    var column = 0;
+    var firstOfParagraph = true;
+
+    var columnHeight = function () {
+        if (!columns) return Infinity;
+        return columns.heights[column] || columns.heights[0] || options.definedHeight || Infinity;
+    };
+
+    var newLine = function (style) {
+        if (line) endLine();
+        var paragraph = style.paragraph;
+        var indent = paragraph.left + (firstOfParagraph ? paragraph.indent : 0);
+        line = {
+            parts: [],
+            baseline: 0,
+            height: style.height,
+            left: indent,
+            width: columnWidth ? columnWidth - indent - paragraph.right : Infinity,
+            align: paragraph.align || options.align || 'left',
+            column: column,
+            paragraph: paragraph,
+            cursor: 0
+        };
+        firstOfParagraph = false;
+    };
+
+    var endLine = function () {
+        // Spaces at the end of a line take no room
+        var last = line.parts[line.parts.length - 1];
+        if (last && last.text && / +$/.test(last.text)) {
+            last.text = last.text.replace(/ +$/, '');
+            last.width = measure(last.text, last.style);
+        }
+        var height = line.height = line.parts.reduce(function (max, part) { return Math.max(max, part.style.height); }, line.parts.length ? 0 : line.height);
+
+        // Exact spacing keeps the pitch of the text height whatever the size of the line
+        var pitch = (options.lineSpacingStyle === 2 && options.textHeight ? options.textHeight : height) * LINE_PITCH * lineSpacing;
+        var previous = lines[lines.length - 1];
+        var baseline = previous && previous.column === column ? previous.baseline - pitch : -height;
+        // Lines that do not fit flow into the next column
+        if (previous && previous.column === column && -baseline + height / 3 > columnHeight() && column < columnCount - 1) {
+            column++;
+            line.column = column;
+            baseline = -height;
+        }
+        line.baseline = baseline;
+        delete line.cursor;
+        lines.push(line);
+        line = null;
+    };
+
+    var add = function (part) {
+        if (!line) newLine(part.style);
+        // Wrap before a word that does not fit, unless it is the first of the line
+        if (part.tab) part.width = getTabWidth(line, line.cursor, part.style);
+        if (line.parts.length && line.cursor + part.width > line.width && !part.tab) {
+            var style = part.style;
+            endLine();
+            newLine(style);
+            if (part.text) {
+                part.text = part.text.replace(/^ +/, '');
+                if (!part.text) return;
+                part.width = measure(part.text, part.style);
+            }
+        }
+        var last = line.parts[line.parts.length - 1];
+        if (part.text && last && last.text && last.style === part.style) {
+            last.text += part.text;
+            last.width += part.width;
+        } else {
+            line.parts.push(part);
+        }
+        line.cursor += part.width;
+    };
+
+    items.forEach(function (item) {
+        if (item.paragraph || item.column) {
+            if (!line) newLine(item.style);
+            endLine();
+            firstOfParagraph = true;
+            if (item.column && column < columnCount - 1) column++;
+        } else if (item.tab) {
+            add({ tab: true, style: item.style, width: 0 });
+        } else if (item.stack) {
+            add(createStackPart(item, measure));
+        } else {
+            // Words, with the spaces following them, are the smallest parts lines break between
+            item.text.split(/( +)/).forEach(function (word) {
+                if (word) add({ text: word, style: item.style, width: measure(word, item.style) });
+            });
+        }
+    });
+    if (line) endLine();
+
+    // Columns start next to each other
+    lines.forEach(function (line) {
+        line.x = line.column * (columnWidth + gutter);
+    });
+
+    var layout = {
+        lines: lines,
+        width: columnWidth ? columnCount * columnWidth + (columnCount - 1) * gutter : 0,
+        height: lines.reduce(function (max, line) { return Math.max(max, -line.baseline + line.height / 3); }, 0),
+        fixedWidth: !!columnWidth
+    };
+    positionLines(layout);
+    return layout;
+}
+
+function createStackPart(item, measure) {
+    var small = Object.assign({}, item.style, { height: item.style.height * STACK_SCALE });
+    var upper = measure(item.stack[0], small);
+    var lower = measure(item.stack[2], small);
+    var width = item.stack[1] === '#' ? upper + lower + item.style.height * 0.2 : Math.max(upper, lower);
+    return { stack: item.stack, style: item.style, width: width, stackWidths: [upper, lower] };
+}
+
+/**
+ * Works out the x of the parts of every line from their widths: tabs move on to the next tab
+ * stop, then lines are aligned within the wrapping width, or the width of the widest line of
+ * text that does not wrap. Call it again after changing the widths of parts.
+ * @param {Object} layout - the result of layoutMText
+ */
+export function positionLines(layout) {
+    layout.lines.forEach(function (line) {
+        var x = 0;
+        line.parts.forEach(function (part) {
+            if (part.tab) part.width = getTabWidth(line, x, part.style);
+            part.x = x;
+            x += part.width;
+        });
+        line.textWidth = x;
+    });
+
+    if (!layout.fixedWidth) {
+        layout.width = layout.lines.reduce(function (max, line) { return Math.max(max, line.x + line.left + line.textWidth); }, 0);
+    }
+
+    layout.lines.forEach(function (line) {
+        var free = (isFinite(line.width) ? line.width : layout.width - line.x - line.left) - line.textWidth;
+        var offset = line.align === 'center' ? free / 2 : (line.align === 'right' ? free : 0);
+        line.parts.forEach(function (part) {
+            part.x += line.left + offset;
+        });
+    });
+}
+
+/**
+ * The room from a position on a line to the next tab stop of its paragraph, or the next
+ * multiple of the default tab size after the last one.
+ */
+function getTabWidth(line, x, style) {
+    var position = line.left + x;
+    var stop = line.paragraph.tabs.filter(function (tab) { return tab > position + 1e-9; })[0];
+    if (stop === undefined) {
+        var size = TAB_SIZE * style.height;
+        stop = (Math.floor(position / size + 1e-9) + 1) * size;
+    }
+    return stop - position;
+}
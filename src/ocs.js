@@ -0,0 +1,79 @@
+import * as THREE from 'three';
+
+/**
+ * Planar entities (arcs, circles, lwpolylines, text, block inserts...) store their coordinates
+ * in the object coordinate system (OCS) of their plane, given by the extrusion direction
+ * (group 210). The axes of the OCS follow from the extrusion direction by the arbitrary axis
+ * algorithm of the DXF reference.
+ * @param {Object} extrusionDirection - the normal of the plane, { x, y, z }, (0, 0, 1) if undefined
+ * @return {THREE.Matrix4} the transform from OCS to world coordinates
+ */
+export function getOcsMatrix(extrusionDirection) {
+    var matrix = new THREE.Matrix4();
+    if (!hasOcs(extrusionDirection)) return matrix;
+
+    var normal = new THREE.Vector3(extrusionDirection.x || 0, extrusionDirection.y || 0, extrusionDirection.z || 0).normalize();
+    var xAxis = new THREE.Vector3();
+    if (Math.abs(normal.x) < 1 / 64 && Math.abs(normal.y) < 1 / 64) xAxis.crossVectors(new THREE.Vector3(0, 1, 0), normal);
+    else xAxis.crossVectors(new THREE.Vector3(0, 0, 1), normal);
+    xAxis.normalize();
+    var yAxis = new THREE.Vector3().crossVectors(normal, xAxis).normalize();
+
+    return matrix.makeBasis(xAxis, yAxis, normal);
+}
+
+/**
+ * @param {Object} extrusionDirection - the extrusion direction of an entity, may be undefined
+ * @return {Boolean} false if the OCS is the world coordinate system
+ */
+export function hasOcs(extrusionDirection) {
+    if (!extrusionDirection) return false;
+    var x = extrusionDirection.x || 0, y = extrusionDirection.y || 0, z = extrusionDirection.z || 0;
+    return x !== 0 || y !== 0 || z < 0;
+}
+
+// Entities whose coordinates are in their OCS. The others (LINE, POINT, 3D polylines, MTEXT,
+// ELLIPSE, SPLINE...) are in world coordinates.
+var OCS_ENTITIES = ['ARC', 'CIRCLE', 'LWPOLYLINE', 'POLYLINE', 'TEXT', 'SOLID', 'TRACE', 'HATCH', 'ATTRIB', 'ATTDEF'];
+
+/**
+ * @param {Object} entity - a dxf entity
+ * @return {Boolean} true if the coordinates of the entity are in its OCS
+ */
+export function isOcsEntity(entity) {
+    if (OCS_ENTITIES.indexOf(entity.type) === -1) return false;
+    // Only 2D polylines are planar
+    return entity.type !== 'POLYLINE' || !(entity.is3dPolyline || entity.is3dPolygonMesh || entity.isPolyfaceMesh);
+}
+
+/**
+ * dxf-parser stores the extrusion direction of some entities as a point and of others
+ * (ARC, LWPOLYLINE, ATTDEF) as separate coordinates.
+ * @param {Object} entity - a dxf entity
+ * @return {Object} the extrusion direction { x, y, z }, undefined if the entity has none
+ */
+export function getExtrusionDirection(entity) {
+    if (entity.extrusionDirection) return entity.extrusionDirection;
+    if (entity.extrusionDirectionX === undefined && entity.extrusionDirectionY === undefined && entity.extrusionDirectionZ === undefined) return undefined;
+    return {
+        x: entity.extrusionDirectionX || 0,
+        y: entity.extrusionDirectionY || 0,
+        z: entity.extrusionDirectionZ === undefined ? 1 : entity.extrusionDirectionZ
+    };
+}
+
+/**
+ * The transform from the OCS of a planar entity into world coordinates, including the
+ * elevation of polylines and hatches (the other entities keep theirs in the z of their points).
+ * @param {Object} entity - a dxf entity
+ * @return {THREE.Matrix4} the transform, null if the entity is drawn in world coordinates as is
+ */
+export function getEntityOcsMatrix(entity) {
+    if (!isOcsEntity(entity)) return null;
+
+    var extrusionDirection = getExtrusionDirection(entity);
+    var elevation = entity.type === 'HATCH' ? 0 : entity.elevation || 0;
+    if (!hasOcs(extrusionDirection) && !elevation) return null;
+
+    return getOcsMatrix(extrusionDirection).multiply(new THREE.Matrix4().makeTranslation(0, 0, elevation));
+}
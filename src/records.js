@@ -0,0 +1,71 @@
+/**
+ * Collects table records and objects that dxf-parser skips from the text of a dxf file, as
+ * lists of their groups. The records are turned into something useful by readTables and the
+ * readers it combines (readLayouts, readTextStyles, readViews and readDimStyles).
+ * @param {String} text - the contents of the dxf file
+ * @param {Object} types - the record types to collect by section, e.g.
+ *                         { TABLES: ['STYLE', 'VIEW'], OBJECTS: ['LAYOUT'] }
+ * @return {Object} the records by type, every record a list of { code, value } groups after
+ *                  its 0 group, with the values parsed as numbers where the code says so
+ */
+export function readRecords(text, types) {
+    var records = {};
+    for (var name in types) {
+        types[name].forEach(function (type) { records[type] = []; });
+    }
+
+    var lines = text.split(/\r\n|\r|\n/g);
+    var section = null;
+    var sectionStart = false;
+    var record = null;
+
+    for (var i = 0; i + 1 < lines.length; i += 2) {
+        var code = parseInt(lines[i], 10);
+        var value = lines[i + 1].trim();
+
+        if (code === 0) {
+            record = null;
+            sectionStart = value === 'SECTION';
+            if (value === 'ENDSEC') section = null;
+            else if (section && types[section] && types[section].indexOf(value) !== -1) {
+                record = [];
+                records[value].push(record);
+            }
+        } else if (code === 2 && sectionStart) {
+            section = value;
+            sectionStart = false;
+        } else if (record) {
+            record.push({ code: code, value: parseGroupValue(code, value) });
+        }
+    }
+    return records;
+}
+
+/**
+ * @param {Object[]} groups - the groups of a record
+ * @param {Number} code - a group code
+ * @return {*} the value of the first group with the code, undefined if there is none
+ */
+export function getGroupValue(groups, code) {
+    for (var i = 0; i < groups.length; i++) {
+        if (groups[i].code === code) return groups[i].value;
+    }
+    return undefined;
+}
+
+/**
+ * Values are numbers or strings depending on the range of their group code, as in the group
+ * code value types of the DXF reference. Handles and names stay strings.
+ */
+function parseGroupValue(code, value) {
+    if ((code >= 10 && code <= 59) || (code >= 110 && code <= 149) || (code >= 210 && code <= 239) ||
+        (code >= 460 && code <= 469) || (code >= 1010 && code <= 1059)) {
+        return parseFloat(value) || 0;
+    }
+    if ((code >= 60 && code <= 99) || (code >= 160 && code <= 179) || (code >= 270 && code <= 299) ||
+        (code >= 370 && code <= 389) || (code >= 400 && code <= 409) || (code >= 420 && code <= 429) ||
+        (code >= 440 && code <= 459) || (code >= 1060 && code <= 1071)) {
+        return parseInt(value, 10) || 0;
+    }
+    return value;
+}
@@ -0,0 +1,294 @@
+// Shape definitions are drawn with vectors in 16 directions, a vector with this length in
+// each direction
+var DIRECTIONS = [
+    [1, 0], [1, 0.5], [1, 1], [0.5, 1], [0, 1], [-0.5, 1], [-1, 1], [-1, 0.5],
+    [-1, 0], [-1, -0.5], [-1, -1], [-0.5, -1], [0, -1], [0.5, -1], [1, -1], [1, -0.5]
+];
+
+// Line segments per 45 degrees of arc
+var OCTANT_SEGMENTS = 4;
+
+// Subshapes deeper than this are cut off, fonts referencing themselves would not end otherwise
+var MAX_DEPTH = 8;
+
+/**
+ * A compiled AutoCAD shape font (.shx). Shape fonts (AutoCAD-86 shapes 1.0 and 1.1) and
+ * Unicode fonts (AutoCAD-86 unifont 1.0) are read, big fonts for Asian languages are not.
+ * Glyphs are drawn as line segments in the units of the font, `above` of them high for capital
+ * letters.
+ * @param {ArrayBuffer} buffer - the contents of the .shx file
+ * @constructor
+ */
+export function ShxFont(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var view = new DataView(buffer);
+
+    var headerEnd = bytes.indexOf(0x1A);
+    var header = String.fromCharCode.apply(null, bytes.subarray(0, Math.max(headerEnd, 0)).slice(0, 40));
+    var match = /^AutoCAD-86 (shapes|unifont|bigfont) 1\.[01]/.exec(header);
+    if (headerEnd < 0 || !match) throw new Error('Not a compiled shape font');
+
+    // Shape definitions by number, each the bytes of its specification
+    var shapes = {};
+    var glyphs = {};
+    var scope = this;
+
+    /** 'shapes', 'unifont' or 'bigfont' */
+    this.type = match[1];
+    this.name = '';
+    /** Height of capital letters in vector units */
+    this.above = 1;
+    /** Depth of descenders in vector units */
+    this.below = 0;
+
+    if (this.type === 'shapes') readShapes(headerEnd + 1);
+    else if (this.type === 'unifont') readUnifont(headerEnd + 1);
+
+    /**
+     * @param {Number} code - the character code (Unicode for unifonts)
+     * @return {Boolean} whether the font has a glyph for the character
+     */
+    this.hasGlyph = function (code) {
+        return code !== 0 && shapes[code] !== undefined;
+    };
+
+    /**
+     * @param {Number} code - the character code (Unicode for unifonts)
+     * @return {Object} { segments, advance } the line segments of the glyph as a flat array of
+     *                  x, y pairs (two pairs per segment), and how far the glyph moves the pen.
+     *                  Null if the font has no glyph for the character.
+     */
+    this.getGlyph = function (code) {
+        if (!scope.hasGlyph(code)) return null;
+        if (!glyphs[code]) {
+            var state = { x: 0, y: 0, penDown: true, scale: 1, stack: [], segments: [] };
+            drawShape(code, state, 0);
+            glyphs[code] = { segments: state.segments, advance: state.x };
+        }
+        return glyphs[code];
+    };
+
+    function readShapes(offset) {
+        var count = view.getUint16(offset + 4, true);
+        var index = offset + 6;
+        var position = index + count * 4;
+        for (var i = 0; i < count; i++) {
+            var number = view.getUint16(index + i * 4, true);
+            var length = view.getUint16(index + i * 4 + 2, true);
+            addShape(number, bytes.subarray(position, position + length));
+            position += length;
+        }
+    }
+
+    function readUnifont(offset) {
+        var count = view.getUint32(offset, true);
+        var infoLength = view.getUint16(offset + 4, true);
+        var position = offset + 6;
+        readInfo(bytes.subarray(position, position + infoLength));
+        position += infoLength;
+        // The count includes the font information
+        for (var i = 1; i < count && position + 4 <= bytes.length; i++) {
+            var number = view.getUint16(position, true);
+            var length = view.getUint16(position + 2, true);
+            position += 4;
+            addShape(number, bytes.subarray(position, position + length));
+            position += length;
+        }
+    }
+
+    function addShape(number, definition) {
+        if (number === 0) return readInfo(definition);
+        // The specification follows the name of the shape
+        shapes[number] = definition.subarray(definition.indexOf(0) + 1);
+    }
+
+    // Shape 0 holds the name and the size of the font
+    function readInfo(definition) {
+        var nameEnd = definition.indexOf(0);
+        scope.name = String.fromCharCode.apply(null, definition.subarray(0, nameEnd));
+        scope.above = definition[nameEnd + 1] || 1;
+        scope.below = definition[nameEnd + 2] || 0;
+    }
+
+    function drawShape(number, state, depth) {
+        var spec = shapes[number];
+        if (!spec || depth > MAX_DEPTH) return;
+        var i = 0;
+        while (i < spec.length) {
+            var command = spec[i];
+            var length = command >> 4;
+            if (length) {
+                var direction = DIRECTIONS[command & 0x0F];
+                moveTo(state, direction[0] * length, direction[1] * length);
+                i++;
+                continue;
+            }
+
+            switch (command) {
+                case 0: // End of shape
+                    return;
+                case 1:
+                    state.penDown = true;
+                    break;
+                case 2:
+                    state.penDown = false;
+                    break;
+                case 3:
+                    state.scale /= spec[i + 1] || 1;
+                    break;
+                case 4:
+                    state.scale *= spec[i + 1];
+                    break;
+                case 5:
+                    state.stack.push([state.x, state.y]);
+                    break;
+                case 6:
+                    var location = state.stack.pop();
+                    if (location) {
+                        state.x = location[0];
+                        state.y = location[1];
+                    }
+                    break;
+                case 7: // Subshape, its number is two bytes in unifonts
+                    drawShape(scope.type === 'unifont' ? (spec[i + 1] << 8) | spec[i + 2] : spec[i + 1], state, depth + 1);
+                    break;
+                case 8:
+                    moveTo(state, signed(spec[i + 1]), signed(spec[i + 2]));
+                    break;
+                case 9: // Displacements up to (0, 0)
+                    for (var j = i + 1; j + 1 < spec.length && (spec[j] || spec[j + 1]); j += 2) {
+                        moveTo(state, signed(spec[j]), signed(spec[j + 1]));
+                    }
+                    break;
+                case 10:
+                    drawOctantArc(state, spec[i + 1], signed(spec[i + 2]), 0, 0);
+                    break;
+                case 11:
+                    drawOctantArc(state, (spec[i + 3] << 8) | spec[i + 4], signed(spec[i + 5]), spec[i + 1], spec[i + 2]);
+                    break;
+                case 12:
+                    drawBulgeArc(state, signed(spec[i + 1]), signed(spec[i + 2]), signed(spec[i + 3]));
+                    break;
+                case 13: // Bulge arcs up to (0, 0)
+                    for (var k = i + 1; k + 1 < spec.length && (spec[k] || spec[k + 1]); k += 3) {
+                        drawBulgeArc(state, signed(spec[k]), signed(spec[k + 1]), signed(spec[k + 2]));
+                    }
+                    break;
+                case 14: // The next command is for vertical text only
+                    i += 1 + getCommandLength(spec, i + 1);
+                    continue;
+            }
+            i += getCommandLength(spec, i);
+        }
+    }
+
+    // Number of bytes of the command at i, including the ones following it
+    function getCommandLength(spec, i) {
+        var command = spec[i];
+        if (command >> 4) return 1;
+        switch (command) {
+            case 3:
+            case 4:
+                return 2;
+            case 7:
+                return scope.type === 'unifont' ? 3 : 2;
+            case 8:
+                return 3;
+            case 9:
+                var j = i + 1;
+                while (j + 1 < spec.length && (spec[j] || spec[j + 1])) j += 2;
+                return j + 2 - i;
+            case 10:
+                return 3;
+            case 11:
+                return 6;
+            case 12:
+                return 4;
+            case 13:
+                var k = i + 1;
+                while (k + 1 < spec.length && (spec[k] || spec[k + 1])) k += 3;
+                return k + 2 - i;
+            default:
+                return 1;
+        }
+    }
+}
+
+/**
+ * Reads a compiled shape font.
+ * @param {ArrayBuffer} buffer - the contents of the .shx file
+ * @return {ShxFont} the font
+ */
+export function parseShxFont(buffer) {
+    return new ShxFont(buffer);
+}
+
+function signed(byte) {
+    return byte > 127 ? byte - 256 : byte || 0;
+}
+
+function moveTo(state, dx, dy) {
+    var x = state.x + dx * state.scale;
+    var y = state.y + dy * state.scale;
+    if (state.penDown) state.segments.push(state.x, state.y, x, y);
+    state.x = x;
+    state.y = y;
+}
+
+/**
+ * Arcs of whole octants (command 10), or starting and ending within an octant (command 11, the
+ * offsets in 256ths of an octant). The octant byte holds the direction in its sign, the first
+ * octant in bits 4 to 6 and the number of octants in bits 0 to 2, 0 for a full circle.
+ */
+function drawOctantArc(state, radius, octants, startOffset, endOffset) {
+    var clockwise = octants < 0;
+    var start = (Math.abs(octants) >> 4) & 7;
+    var count = Math.abs(octants) & 7 || 8;
+    var sign = clockwise ? -1 : 1;
+    var octant = Math.PI / 4;
+    var startAngle = start * octant + sign * startOffset / 256 * octant;
+    var endAngle = (start + sign * count) * octant;
+    // A fractional arc ends within its last octant
+    if (endOffset) endAngle = (start + sign * (count - 1)) * octant + sign * endOffset / 256 * octant;
+
+    radius *= state.scale;
+    var centerX = state.x - radius * Math.cos(startAngle);
+    var centerY = state.y - radius * Math.sin(startAngle);
+    var segments = Math.max(1, Math.ceil(Math.abs(endAngle - startAngle) / octant * OCTANT_SEGMENTS));
+    for (var i = 1; i <= segments; i++) {
+        var angle = startAngle + (endAngle - startAngle) * i / segments;
+        lineTo(state, centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle));
+    }
+}
+
+/**
+ * Arc to a displacement (command 12), bulging by bulge / 127 of half the chord, to the left for
+ * positive bulges.
+ */
+function drawBulgeArc(state, dx, dy, bulge) {
+    if (!bulge) return moveTo(state, dx, dy);
+    var x0 = state.x, y0 = state.y;
+    var chordX = dx * state.scale, chordY = dy * state.scale;
+    var chord = Math.sqrt(chordX * chordX + chordY * chordY);
+    if (!chord) return;
+    // Same as a polyline bulge: the tangent of a quarter of the included angle
+    var angle = 4 * Math.atan(bulge / 127);
+    var radius = chord / 2 / Math.sin(angle / 2);
+    var toCenter = Math.PI / 2 - angle / 2;
+    var chordAngle = Math.atan2(chordY, chordX);
+    var centerX = x0 + radius * Math.cos(chordAngle + toCenter);
+    var centerY = y0 + radius * Math.sin(chordAngle + toCenter);
+    var startAngle = Math.atan2(y0 - centerY, x0 - centerX);
+    var segments = Math.max(2, Math.ceil(Math.abs(angle) / (Math.PI / 4) * OCTANT_SEGMENTS));
+    for (var i = 1; i < segments; i++) {
+        var a = startAngle + angle * i / segments;
+        lineTo(state, centerX + Math.abs(radius) * Math.cos(a), centerY + Math.abs(radius) * Math.sin(a));
+    }
+    lineTo(state, x0 + chordX, y0 + chordY);
+}
+
+function lineTo(state, x, y) {
+    if (state.penDown) state.segments.push(state.x, state.y, x, y);
+    state.x = x;
+    state.y = y;
+}
@@ -0,0 +1,36 @@
+import { readRecords } from './records';
+import { LAYOUT_RECORDS, addLayouts } from './layouts';
+import { TEXT_STYLE_RECORDS, addTextStyles } from './text';
+import { VIEW_RECORDS, addViews } from './views';
+import { DIM_STYLE_RECORDS, addDimStyles } from './dimension';
+
+// The records each reader needs and how it stores them
+var READERS = [
+    { records: LAYOUT_RECORDS, add: addLayouts },
+    { records: TEXT_STYLE_RECORDS, add: addTextStyles },
+    { records: VIEW_RECORDS, add: addViews },
+    { records: DIM_STYLE_RECORDS, add: addDimStyles }
+];
+
+/**
+ * Reads everything dxf-parser skips but the viewer uses in one pass over the file: the layouts
+ * and layer handles (see readLayouts), the text styles (readTextStyles), the named views
+ * (readViews) and the dimension styles (readDimStyles). Call it with the text of the file
+ * once dxf-parser has parsed it.
+ * @param {String} text - the contents of the dxf file
+ * @param {Object} data - the dxf object dxf-parser made of it
+ * @return {Object} data
+ */
+export function readTables(text, data) {
+    if (!data) return data;
+
+    var types = {};
+    READERS.forEach(function (reader) {
+        for (var section in reader.records) types[section] = (types[section] || []).concat(reader.records[section]);
+    });
+    var records = readRecords(text, types);
+    READERS.forEach(function (reader) {
+        reader.add(records, data);
+    });
+    return data;
+}
@@ -0,0 +1,169 @@
+import { readRecords } from './records';
+
+/**
+ * Horizontal alignments of TEXT (group 72). Aligned and fit text runs from its first to its
+ * second alignment point, middle text is centered on its second alignment point both ways.
+ */
+var TEXT_LEFT = 0;
+var TEXT_CENTER = 1;
+var TEXT_RIGHT = 2;
+var TEXT_ALIGNED = 3;
+var TEXT_MIDDLE = 4;
+var TEXT_FIT = 5;
+
+// Vertical alignments of TEXT (group 73)
+var TEXT_BASELINE = 0;
+var TEXT_BOTTOM = 1;
+var TEXT_VERTICAL_MIDDLE = 2;
+var TEXT_TOP = 3;
+
+// Depth of descenders below the baseline relative to the text height, as MTEXT lays out lines
+var DESCENT = 1 / 3;
+
+var SYMBOLS = { d: '°', c: '⌀', p: '±', '%': '%' };
+var TOGGLES = { u: 'L', o: 'O', k: 'K' };
+
+/** The records readTextStyles reads, see readRecords */
+export var TEXT_STYLE_RECORDS = { TABLES: ['STYLE'] };
+
+/**
+ * Reads the text styles (the STYLE table), which dxf-parser skips, into
+ * `data.tables.style.styles` keyed by style name. Every style is { name, fixedHeight,
+ * widthFactor, obliqueAngle (degrees), generationFlags, font, bigFont, fontFamily } where font
+ * and bigFont are the font files and fontFamily the name of a TrueType font. readTables reads
+ * this along with the other tables.
+ * @param {String} text - the contents of the dxf file
+ * @param {Object} data - the dxf object dxf-parser made of it
+ * @return {Object} data
+ */
+export function readTextStyles(text, data) {
+    if (!data) return data;
+    return addTextStyles(readRecords(text, TEXT_STYLE_RECORDS), data);
+}
+
+/**
+ * Stores the text styles of readTextStyles.
+ * @param {Object} records - the STYLE records, see readRecords
+ * @param {Object} data - the dxf object
+ * @return {Object} data
+ */
+export function addTextStyles(records, data) {
+    var styles = {};
+    records.STYLE.forEach(function (groups) {
+        var style = { name: '', fixedHeight: 0, widthFactor: 1, obliqueAngle: 0, generationFlags: 0, font: '', bigFont: '' };
+        groups.forEach(function (group) {
+            var value = group.value;
+            if (group.code === 2) style.name = value;
+            else if (group.code === 40) style.fixedHeight = value;
+            else if (group.code === 41) style.widthFactor = value || 1;
+            else if (group.code === 50) style.obliqueAngle = value;
+            else if (group.code === 71) style.generationFlags = value;
+            else if (group.code === 3) style.font = value;
+            else if (group.code === 4) style.bigFont = value;
+            // The family of TrueType fonts is in the extended data of the style
+            else if (group.code === 1000) style.fontFamily = value;
+        });
+        if (style.name) styles[style.name] = style;
+    });
+
+    data.tables = data.tables || {};
+    data.tables.style = { styles: styles };
+    return data;
+}
+
+/**
+ * @param {String} name - the name of a text style
+ * @param {Object} data - the dxf object
+ * @return {Object} the style as read by readTextStyles, undefined if there is no such style
+ */
+export function getTextStyle(name, data) {
+    var styles = data.tables && data.tables.style && data.tables.style.styles;
+    if (!styles || !name) return undefined;
+    if (styles[name]) return styles[name];
+    // Style names are not case sensitive
+    for (var key in styles) {
+        if (key.toUpperCase() === name.toUpperCase()) return styles[key];
+    }
+    return undefined;
+}
+
+/**
+ * Turns the value of a TEXT entity into MTEXT content: %%d, %%c and %%p become the degree,
+ * diameter and plus/minus signs, %%nnn the character with that code, %%u, %%o and %%k switch
+ * underlines, overlines and strike throughs on and off. \U+ escapes are kept, other
+ * backslashes and braces are escaped.
+ * @param {String} text - the value of a TEXT or ATTRIB entity
+ * @return {String} MTEXT content
+ */
+export function textToMText(text) {
+    var on = {};
+    return String(text === undefined || text === null ? '' : text).replace(/%%(\d{3}|.)|\\(?![Uu]\+[0-9a-fA-F]{4})|[{}]/g, function (match, code) {
+        if (code === undefined) return '\\' + match;
+        var key = code.toLowerCase();
+        if (SYMBOLS[key]) return SYMBOLS[key];
+        if (TOGGLES[key]) {
+            on[key] = !on[key];
+            return '\\' + (on[key] ? TOGGLES[key] : TOGGLES[key].toLowerCase());
+        }
+        if (/^\d{3}$/.test(code)) return String.fromCharCode(parseInt(code, 10));
+        return code;
+    });
+}
+
+/**
+ * Works out where TEXT goes from its alignment. The text is laid out as MTEXT: left aligned
+ * with the top of its first line at the origin.
+ * @param {Object} entity - the TEXT, ATTRIB or ATTDEF entity
+ * @param {Number} width - the width of the laid out text
+ * @param {Number} height - the height of the text
+ * @return {Object} { position, rotation (radians), scaleX, scaleY, offsetX, offsetY }: the
+ *                  offset moves the alignment point of the laid out text to the origin, the
+ *                  scale stretches it to fit and mirrors it, then it is rotated and moved
+ *                  to the position
+ */
+export function getTextPlacement(entity, width, height) {
+    // dxf-parser names the alignments of attributes differently
+    var halign = (entity.halign !== undefined ? entity.halign : entity.horizontalJustification) || TEXT_LEFT;
+    var valign = (entity.valign !== undefined ? entity.valign : entity.verticalJustification) || TEXT_BASELINE;
+    var start = entity.startPoint || { x: 0, y: 0 };
+    var end = entity.endPoint;
+
+    var placement = {
+        position: start,
+        rotation: (entity.rotation || 0) * Math.PI / 180,
+        scaleX: entity.backwards ? -1 : 1,
+        scaleY: entity.mirrored ? -1 : 1,
+        offsetX: 0,
+        offsetY: height
+    };
+
+    if (halign === TEXT_ALIGNED || halign === TEXT_FIT) {
+        // Stretched between the alignment points on their baseline, aligned text keeps its
+        // proportions
+        if (!end) return placement;
+        var dx = end.x - start.x, dy = end.y - start.y;
+        var length = Math.sqrt(dx * dx + dy * dy);
+        if (!length || !width) return placement;
+        placement.rotation = Math.atan2(dy, dx);
+        var scale = length / width;
+        placement.scaleX *= scale;
+        if (halign === TEXT_ALIGNED) placement.scaleY *= scale;
+        return placement;
+    }
+
+    // Left aligned text on its baseline is the only kind placed at its first alignment point
+    if ((halign !== TEXT_LEFT || valign !== TEXT_BASELINE) && end) placement.position = end;
+
+    if (halign === TEXT_MIDDLE) {
+        placement.offsetX = -width / 2;
+        placement.offsetY = height * (1 + DESCENT) / 2;
+        return placement;
+    }
+    if (halign === TEXT_CENTER) placement.offsetX = -width / 2;
+    else if (halign === TEXT_RIGHT) placement.offsetX = -width;
+
+    if (valign === TEXT_BOTTOM) placement.offsetY = height * (1 + DESCENT);
+    else if (valign === TEXT_VERTICAL_MIDDLE) placement.offsetY = height / 2;
+    else if (valign === TEXT_TOP) placement.offsetY = 0;
+    return placement;
+}
@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+import { getOcsMatrix } from './ocs';
+import { readRecords } from './records';
+
+// Bit of the VIEW flags (group 70) set on views of paper space
+var PAPER_SPACE_VIEW = 1;
+
+/** The records readViews reads, see readRecords */
+export var VIEW_RECORDS = { TABLES: ['VIEW'] };
+
+/**
+ * Reads the named views (the VIEW table), which dxf-parser skips, into
+ * `data.tables.view.views` keyed by view name. Every view is { name, paperSpace, center,
+ * width, height, direction, target, twistAngle (degrees) } where the center is in display
+ * coordinates: around the target, in the plane facing the direction, turned by the twist.
+ * readTables reads this along with the other tables.
+ * @param {String} text - the contents of the dxf file
+ * @param {Object} data - the dxf object dxf-parser made of it
+ * @return {Object} data
+ */
+export function readViews(text, data) {
+    if (!data) return data;
+    return addViews(readRecords(text, VIEW_RECORDS), data);
+}
+
+/**
+ * Stores the named views of readViews.
+ * @param {Object} records - the VIEW records, see readRecords
+ * @param {Object} data - the dxf object
+ * @return {Object} data
+ */
+export function addViews(records, data) {
+    var views = {};
+    records.VIEW.forEach(function (groups) {
+        var view = {
+            name: '', paperSpace: false, center: { x: 0, y: 0 }, width: 0, height: 0,
+            direction: { x: 0, y: 0, z: 1 }, target: { x: 0, y: 0, z: 0 }, twistAngle: 0
+        };
+        groups.forEach(function (group) {
+            var value = group.value;
+            if (group.code === 2) view.name = value;
+            else if (group.code === 70) view.paperSpace = !!(value & PAPER_SPACE_VIEW);
+            else if (group.code === 10) view.center.x = value;
+            else if (group.code === 20) view.center.y = value;
+            else if (group.code === 40) view.height = value;
+            else if (group.code === 41) view.width = value;
+            else if (group.code === 11) view.direction.x = value;
+            else if (group.code === 21) view.direction.y = value;
+            else if (group.code === 31) view.direction.z = value;
+            else if (group.code === 12) view.target.x = value;
+            else if (group.code === 22) view.target.y = value;
+            else if (group.code === 32) view.target.z = value;
+            else if (group.code === 50) view.twistAngle = value;
+        });
+        if (view.name) views[view.name] = view;
+    });
+
+    data.tables = data.tables || {};
+    data.tables.view = { views: views };
+    return data;
+}
+
+/**
+ * @param {Object} data - the dxf object
+ * @return {Object[]} the named views read by readViews, in the order of the file
+ */
+export function getNamedViews(data) {
+    var views = data.tables && data.tables.view && data.tables.view.views;
+    return views ? Object.keys(views).map(function (name) { return views[name]; }) : [];
+}
+
+/**
+ * @param {String} name - the name of a view
+ * @param {Object} data - the dxf object
+ * @return {Object} the view as read by readViews, undefined if there is no such view
+ */
+export function getNamedView(name, data) {
+    var views = data.tables && data.tables.view && data.tables.view.views;
+    if (!views || !name) return undefined;
+    if (views[name]) return views[name];
+    // View names are not case sensitive
+    for (var key in views) {
+        if (key.toUpperCase() === name.toUpperCase()) return views[key];
+    }
+    return undefined;
+}
+
+/**
+ * Turns a named view into the view state of the Viewer (see Viewer.getView). The display
+ * coordinates of the view have their axes from the direction by the arbitrary axis algorithm,
+ * turned by the twist, and their origin at the target.
+ * @param {Object} view - a view read by readViews
+ * @return {Object} { center, width, height, direction, up } in world coordinates
+ */
+export function getNamedViewState(view) {
+    var direction = new THREE.Vector3(view.direction.x, view.direction.y, view.direction.z);
+    if (!direction.lengthSq()) direction.set(0, 0, 1);
+    direction.normalize();
+
+    var axes = getOcsMatrix(direction).multiply(new THREE.Matrix4().makeRotationZ(THREE.MathUtils.degToRad(view.twistAngle || 0)));
+    var center = new THREE.Vector3(view.center.x, view.center.y, 0).applyMatrix4(axes)
+        .add(new THREE.Vector3(view.target.x, view.target.y, view.target.z || 0));
+    var up = new THREE.Vector3(0, 1, 0).applyMatrix4(axes);
+
+    return {
+        center: { x: center.x, y: center.y, z: center.z },
+        width: view.width,
+        height: view.height,
+        direction: { x: direction.x, y: direction.y, z: direction.z },
+        up: { x: up.x, y: up.y, z: up.z }
+    };
+}
@@ -0,0 +1,13 @@
+/**
+ * Makes a function that warns in the console once per key, so a problem shared by many
+ * entities of a drawing is reported only once.
+ * @return {Function} warn(key, message)
+ */
+export function createWarnOnce() {
+    var warned = {};
+    return function (key, message) {
+        if (warned[key]) return;
+        warned[key] = true;
+        console.warn(message);
+    };
+}
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DxfParser = require('dxf-parser');
+const ThreeDxf = require('..');
+
+function parse(text) {
+    return ThreeDxf.readTables(text, ThreeDxf.registerEntityHandlers(new DxfParser()).parseSync(text));
+}
+
+function dxf(entities) {
+    return '0\nSECTION\n2\nENTITIES\n' + entities + '0\nENDSEC\n0\nEOF\n';
+}
+
+test('buildScene draws text in node without laying it out', function () {
+    const data = parse(dxf('0\nMTEXT\n8\n0\n10\n5\n20\n5\n30\n0\n40\n2.5\n71\n1\n1\nHello\n'));
+    // troika would only load the font to lay the text out
+    const built = ThreeDxf.buildScene(data, { font: 'fonts/arial.ttf' });
+
+    // The troika text objects, which hold their text as it is drawn
+    const texts = [];
+    built.group.traverse(function (object) {
+        if (typeof object.text === 'string') texts.push(object.text);
+    });
+    assert.deepStrictEqual(texts, ['Hello']);
+});
+
+test('buildScene takes the extents from the drawn points, batched or not', function () {
+    const text = [
+        '0\nSECTION\n2\nBLOCKS',
+        '0\nBLOCK\n8\n0\n2\nTick\n70\n0\n10\n0\n20\n0\n30\n0\n3\nTick',
+        '0\nLINE\n8\n0\n10\n0\n20\n0\n30\n0\n11\n1\n21\n0\n31\n0',
+        '0\nENDBLK\n8\n0',
+        '0\nENDSEC',
+        '0\nSECTION\n2\nENTITIES',
+        // The tick turned a quarter and scaled twice ends at (10, 12)
+        '0\nINSERT\n8\n0\n2\nTick\n10\n10\n20\n10\n30\n0\n41\n2\n42\n2\n43\n2\n50\n90',
+        '0\nLINE\n8\n0\n10\n-5\n20\n3\n30\n0\n11\n4\n21\n3\n31\n0',
+        '0\nENDSEC\n0\nEOF\n'
+    ].join('\n');
+
+    [true, false].forEach(function (batchLines) {
+        const built = ThreeDxf.buildScene(parse(text), { batchLines: batchLines });
+        const extents = built.extents;
+        assert.deepStrictEqual([extents.min.x, extents.min.y, extents.max.x].map(Math.round), [-5, 3, 10]);
+        assert.ok(Math.abs(extents.max.y - 12) < 1e-6);
+        ThreeDxf.disposeScene(built.group);
+    });
+});
+
+test('inserts of a block share its geometry unless shareBlockGeometry is off', function () {
+    const text = [
+        '0\nSECTION\n2\nBLOCKS',
+        '0\nBLOCK\n8\n0\n2\nTick\n70\n0\n10\n0\n20\n0\n30\n0\n3\nTick',
+        '0\nLINE\n8\n0\n10\n0\n20\n0\n30\n0\n11\n1\n21\n0\n31\n0',
+        '0\nENDBLK\n8\n0',
+        '0\nENDSEC',
+        '0\nSECTION\n2\nENTITIES',
+        '0\nINSERT\n8\n0\n2\nTick\n10\n0\n20\n0\n30\n0',
+        '0\nINSERT\n8\n0\n2\nTick\n10\n5\n20\n0\n30\n0',
+        '0\nENDSEC\n0\nEOF\n'
+    ].join('\n');
+
+    [true, false].forEach(function (shareBlockGeometry) {
+        const built = ThreeDxf.buildScene(parse(text), { shareBlockGeometry: shareBlockGeometry });
+        const lines = [];
+        built.group.traverse(function (object) {
+            if (object.isLine) lines.push(object);
+        });
+        // Still an object, and a draw call, per insert
+        assert.strictEqual(lines.length, 2);
+        assert.strictEqual(lines[0].geometry === lines[1].geometry, shareBlockGeometry);
+        ThreeDxf.disposeScene(built.group);
+    });
+});
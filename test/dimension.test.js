@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const THREE = require('three');
+const DxfParser = require('dxf-parser');
+const ThreeDxf = require('..');
+
+function parse(text) {
+    return ThreeDxf.readTables(text, ThreeDxf.registerEntityHandlers(new DxfParser()).parseSync(text));
+}
+
+// A DIMSTYLE table with the Standard style and the given records
+function dimStyles(records) {
+    return [
+        '0\nSECTION\n2\nTABLES\n0\nTABLE\n2\nDIMSTYLE\n70\n2',
+        '0\nDIMSTYLE\n105\n27\n2\nStandard\n70\n0\n41\n0.18\n140\n0.18',
+        records,
+        '0\nENDTAB\n0\nENDSEC'
+    ].join('\n');
+}
+
+function find(group, match) {
+    const found = [];
+    group.traverse(function (object) {
+        if (match(object)) found.push(object);
+    });
+    return found;
+}
+
+test('dimensions without a block are drawn in the variables of their dimension style', function () {
+    const text = [
+        dimStyles('0\nDIMSTYLE\n105\n28\n2\nLarge\n70\n0\n41\n2\n140\n3\n176\n1'),
+        '0\nSECTION\n2\nENTITIES',
+        // A horizontal dimension from (0, 0) to (20, 0) with its line at y = 5
+        '0\nDIMENSION\n8\n0\n3\nlarge\n10\n0\n20\n5\n30\n0\n13\n0\n23\n0\n33\n0\n14\n20\n24\n0\n34\n0\n70\n0\n50\n0',
+        '0\nENDSEC\n0\nEOF\n'
+    ].join('\n');
+    const data = parse(text);
+    assert.deepStrictEqual(data.tables.dimStyle.dimStyles.Large, { DIMASZ: 2, DIMTXT: 3, DIMCLRD: 1 });
+
+    const built = ThreeDxf.buildScene(data);
+
+    // DIMCLRD 1 draws the dimension line red
+    const lines = find(built.group, function (object) { return object.isLineSegments; });
+    assert.strictEqual(lines[0].material.color.getHex(), 0xff0000);
+
+    // The arrowheads are DIMASZ long and a third of it wide
+    const arrows = lines[0].parent.children.filter(function (object) { return object.isMesh; });
+    assert.strictEqual(arrows.length, 1);
+    assert.strictEqual(arrows[0].material.color.getHex(), 0xff0000);
+    const bounds = new THREE.Box3().setFromObject(arrows[0]);
+    assert.ok(Math.abs(bounds.max.y - bounds.min.y - 2 / 3) < 1e-6);
+
+    const texts = find(built.group, function (object) { return object.userData.text !== undefined; });
+    assert.strictEqual(texts.length, 1);
+    assert.strictEqual(texts[0].userData.layout.lines[0].height, 3);
+    ThreeDxf.disposeScene(built.group);
+});
+
+test('leaders draw the arrowhead block of their dimension style at its size', function () {
+    const text = [
+        // DIMLDRBLK refers to the block record of the arrowhead block by handle
+        dimStyles('0\nDIMSTYLE\n105\n28\n2\nTicks\n70\n0\n41\n2\n341\nA1'),
+        '0\nSECTION\n2\nBLOCKS',
+        '0\nBLOCK\n5\nA2\n330\nA1\n8\n0\n2\nTick\n70\n0\n10\n0\n20\n0\n30\n0\n3\nTick',
+        '0\nLINE\n8\n0\n10\n-0.5\n20\n-0.5\n30\n0\n11\n0.5\n21\n0.5\n31\n0',
+        '0\nENDBLK\n8\n0',
+        '0\nENDSEC',
+        '0\nSECTION\n2\nENTITIES',
+        '0\nLEADER\n8\n0\n3\nTicks\n71\n1\n72\n0\n76\n3\n10\n0\n20\n0\n30\n0\n10\n10\n20\n0\n30\n0\n10\n12\n20\n2\n30\n0',
+        '0\nENDSEC\n0\nEOF\n'
+    ].join('\n');
+    const built = ThreeDxf.buildScene(parse(text));
+    built.group.updateMatrixWorld(true);
+
+    // The tick is scaled by DIMASZ around the end of the leader instead of a filled arrow
+    assert.strictEqual(find(built.group, function (object) { return object.isMesh; }).length, 0);
+    const ticks = find(built.group, function (object) { return object.isLine; }).map(function (line) {
+        return new THREE.Box3().setFromObject(line);
+    }).filter(function (bounds) {
+        return bounds.max.x - bounds.min.x < 5;
+    });
+    assert.strictEqual(ticks.length, 1);
+    assert.ok(ticks[0].min.distanceTo(new THREE.Vector3(-1, -1, 0)) < 1e-6);
+    assert.ok(ticks[0].max.distanceTo(new THREE.Vector3(1, 1, 0)) < 1e-6);
+    ThreeDxf.disposeScene(built.group);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const THREE = require('three');
+const ThreeDxf = require('..');
+
+function exportPdf(background) {
+    const camera = new THREE.OrthographicCamera(-50, 50, 40, -40, 0.1, 100);
+    camera.position.z = 10;
+    return ThreeDxf.exportPdf(new THREE.Group(), camera, { width: 100, height: 80, background: background });
+}
+
+test('exportPdf fills the page with the background', function () {
+    assert.ok(exportPdf('#ff0000').includes('1 0 0 rg 0 0 100 80 re f'));
+});
+
+test('exportPdf leaves the page empty for transparent backgrounds', function () {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = function (message) { warnings.push(message); };
+    try {
+        [null, 'transparent', 'rgba(255, 255, 255, 0)', 'hsl(0 0% 100% / 0)', '#fff0'].forEach(function (background) {
+            assert.ok(!exportPdf(background).includes(' re f'), String(background));
+        });
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepStrictEqual(warnings, []);
+});
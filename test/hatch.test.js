@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DxfParser = require('dxf-parser');
+const ThreeDxf = require('..');
+
+// A 10 by 10 square hatched with lines 0.0001 apart
+const TEXT = [
+    '0\nSECTION\n2\nENTITIES',
+    '0\nHATCH\n8\n0\n10\n0\n20\n0\n30\n0\n2\nDENSE\n70\n0\n71\n0\n91\n1\n92\n1\n93\n4',
+    '72\n1\n10\n0\n20\n0\n11\n10\n21\n0\n72\n1\n10\n10\n20\n0\n11\n10\n21\n10',
+    '72\n1\n10\n10\n20\n10\n11\n0\n21\n10\n72\n1\n10\n0\n20\n10\n11\n0\n21\n0\n97\n0',
+    '75\n0\n76\n1\n52\n0\n41\n1\n77\n0\n78\n1\n53\n0\n43\n0\n44\n0\n45\n0\n46\n0.0001\n79\n0\n98\n0',
+    '0\nENDSEC\n0\nEOF\n'
+].join('\n');
+
+test('every build warns about hatch patterns too dense to draw', function () {
+    const data = ThreeDxf.readTables(TEXT, ThreeDxf.registerEntityHandlers(new DxfParser()).parseSync(TEXT));
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = function (message) { warnings.push(message); };
+    try {
+        ThreeDxf.disposeScene(ThreeDxf.buildScene(data).group);
+        ThreeDxf.disposeScene(ThreeDxf.buildScene(data).group);
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepStrictEqual(warnings, [
+        'three-dxf: hatch patterns too dense to draw are left out',
+        'three-dxf: hatch patterns too dense to draw are left out'
+    ]);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DxfParser = require('dxf-parser');
+const ThreeDxf = require('..');
+
+function parse(text) {
+    return ThreeDxf.readTables(text, ThreeDxf.registerEntityHandlers(new DxfParser()).parseSync(text));
+}
+
+function viewport(handle, id, x) {
+    return '0\nVIEWPORT\n5\n' + handle + '\n67\n1\n8\n0\n10\n' + x + '\n20\n5\n30\n0\n40\n8\n41\n8\n68\n1\n69\n' + id +
+        '\n12\n5\n22\n5\n45\n10';
+}
+
+const TEXT = [
+    '0\nSECTION\n2\nENTITIES',
+    '0\nLINE\n8\nA\n10\n0\n20\n0\n30\n0\n11\n10\n21\n10\n31\n0',
+    '0\nTEXT\n8\nA\n10\n1\n20\n1\n30\n0\n40\n1\n1\nNote',
+    '0\n3DFACE\n8\nF\n10\n0\n20\n0\n30\n0\n11\n1\n21\n0\n31\n0\n12\n1\n22\n1\n32\n0\n13\n0\n23\n1\n33\n0',
+    // The paper space view itself and two viewports onto model space
+    '0\nVIEWPORT\n5\n40\n67\n1\n8\n0\n10\n15\n20\n5\n30\n0\n40\n30\n41\n10\n68\n1\n69\n1\n12\n15\n22\n5\n45\n10',
+    viewport('41', 2, 5),
+    viewport('42', 3, 25),
+    '0\nENDSEC\n0\nEOF\n'
+].join('\n');
+
+function find(group, match) {
+    const found = [];
+    group.traverse(function (object) {
+        if (match(object)) found.push(object);
+    });
+    return found;
+}
+
+test('viewports share the geometry of model space, clipped at their own borders', function () {
+    const built = ThreeDxf.buildScene(parse(TEXT), { layout: 'Layout1' });
+
+    const views = built.layers.A.children.filter(function (object) { return object.userData.viewport; });
+    assert.deepStrictEqual(views.map(function (view) { return view.userData.viewport.handle; }), ['41', '42']);
+
+    const lines = views.map(function (view) {
+        return find(view, function (object) { return object.isLine && object.userData.entity.type === 'LINE'; })[0];
+    });
+    assert.strictEqual(lines[0].geometry, lines[1].geometry);
+    assert.notStrictEqual(lines[0].material, lines[1].material);
+    // The left border of each viewport
+    assert.strictEqual(lines[0].material.clippingPlanes[0].constant, -1);
+    assert.strictEqual(lines[1].material.clippingPlanes[0].constant, -21);
+
+    const texts = views.map(function (view) {
+        return find(view, function (object) { return object.userData.text !== undefined; });
+    });
+    assert.deepStrictEqual(texts.map(function (found) { return found.map(function (text) { return text.userData.text; }); }), [['Note'], ['Note']]);
+
+    // Faces seen through the viewports are lit
+    assert.strictEqual(built.faces, true);
+    assert.ok(built.group.getObjectByName('lights'));
+    ThreeDxf.disposeScene(built.group);
+});
+
+test('progressive builds draw model space in chunks and show it in the viewports when it is done', async function () {
+    const progress = [];
+    const building = ThreeDxf.buildSceneAsync(parse(TEXT), {
+        layout: 'Layout1',
+        // One entity per chunk
+        chunkTime: 0,
+        onProgress: function (event) {
+            const views = building.layers.A ? building.layers.A.children.length : 0;
+            progress.push([event.loaded, event.total, views]);
+        }
+    });
+    const built = await building.promise;
+
+    // The three viewports of the layout, then the line, text and face of model space
+    assert.deepStrictEqual(progress, [[1, 6, 0], [2, 6, 0], [3, 6, 0], [4, 6, 0], [5, 6, 0], [6, 6, 2]]);
+    assert.strictEqual(built.faces, true);
+    ThreeDxf.disposeScene(built.group);
+});
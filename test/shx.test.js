@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ThreeDxf = require('..');
+
+// A compiled shape font (AutoCAD-86 shapes 1.0) with the given shape specifications by number
+function shapeFont(shapes) {
+    const definitions = [[0, Array.from('TEST').map(function (c) { return c.charCodeAt(0); }).concat(0, 10, 2, 0)]];
+    Object.keys(shapes).forEach(function (number) {
+        definitions.push([Number(number), [0].concat(shapes[number])]);
+    });
+
+    const bytes = Array.from('AutoCAD-86 shapes 1.0\r\n\x1a').map(function (c) { return c.charCodeAt(0); });
+    const uint16 = function (value) { bytes.push(value & 0xff, value >> 8); };
+    uint16(0);
+    uint16(definitions[definitions.length - 1][0]);
+    uint16(definitions.length);
+    definitions.forEach(function (definition) {
+        uint16(definition[0]);
+        uint16(definition[1].length);
+    });
+    definitions.forEach(function (definition) {
+        definition[1].forEach(function (byte) { bytes.push(byte); });
+    });
+    return ThreeDxf.parseShxFont(new Uint8Array(bytes).buffer);
+}
+
+test('shape fonts skip a displacement (8) meant for vertical text only', function () {
+    // 14, 8 (2, 8): vertical only, then one up and one to the right
+    const font = shapeFont({ 65: [14, 8, 2, 8, 0x14, 0x10, 0] });
+
+    assert.deepStrictEqual(font.getGlyph(65), { segments: [0, 0, 0, 1, 0, 1, 1, 1], advance: 1 });
+});
+
+test('shape fonts skip scaling (3, 4) and bulge arcs (12) meant for vertical text only', function () {
+    const font = shapeFont({ 65: [14, 3, 2, 14, 4, 2, 14, 12, 1, 2, 3, 0x10, 0] });
+
+    assert.deepStrictEqual(font.getGlyph(65), { segments: [0, 0, 1, 0], advance: 1 });
+});
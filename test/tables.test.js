@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DxfParser = require('dxf-parser');
+const ThreeDxf = require('..');
+
+const TEXT = [
+    '0\nSECTION\n2\nTABLES',
+    '0\nTABLE\n2\nLAYER\n0\nLAYER\n5\n10\n2\nWalls\n70\n0\n62\n1\n6\nCONTINUOUS\n0\nENDTAB',
+    '0\nTABLE\n2\nSTYLE\n0\nSTYLE\n5\n11\n2\nNotes\n70\n0\n40\n2.5\n41\n0.8\n3\nromans.shx\n0\nENDTAB',
+    '0\nTABLE\n2\nVIEW\n0\nVIEW\n5\n12\n2\nDetail A\n70\n0\n40\n10\n41\n20\n10\n5\n20\n6\n0\nENDTAB',
+    '0\nENDSEC',
+    '0\nSECTION\n2\nOBJECTS',
+    '0\nLAYOUT\n5\n13\n100\nAcDbPlotSettings\n1\nplot\n100\nAcDbLayout\n1\nSheet 1\n71\n1\n330\n14',
+    '0\nENDSEC\n0\nEOF\n'
+].join('\n');
+
+test('readTables reads the tables dxf-parser skips', function () {
+    const data = ThreeDxf.readTables(TEXT, ThreeDxf.registerEntityHandlers(new DxfParser()).parseSync(TEXT));
+
+    assert.strictEqual(data.tables.layer.layers.Walls.handle, '10');
+    assert.strictEqual(data.tables.style.styles.Notes.fixedHeight, 2.5);
+    assert.strictEqual(data.tables.style.styles.Notes.widthFactor, 0.8);
+    assert.strictEqual(data.tables.view.views['Detail A'].width, 20);
+    assert.deepStrictEqual(data.tables.view.views['Detail A'].center, { x: 5, y: 6 });
+    assert.deepStrictEqual(data.layouts, [{ name: 'Sheet 1', tabOrder: 1, blockRecord: '14' }]);
+});
+
+test('readTables reads the same tables for parsers without the entity handlers', function () {
+    const data = ThreeDxf.readTables(TEXT, new DxfParser().parseSync(TEXT));
+    const registered = ThreeDxf.readTables(TEXT, ThreeDxf.registerEntityHandlers(new DxfParser()).parseSync(TEXT));
+
+    assert.deepStrictEqual(data.tables.style, registered.tables.style);
+    assert.deepStrictEqual(data.tables.view, registered.tables.view);
+    assert.deepStrictEqual(data.layouts, registered.layouts);
+});
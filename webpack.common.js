@@ -10,6 +10,12 @@ module.exports = {
         globalObject: 'typeof self !== \'undefined\' ? self : this'
     },
     externals: {
-        three: 'THREE'
+        // THREE global in the browser, the three package in node and with module loaders
+        three: {
+            root: 'THREE',
+            commonjs: 'three',
+            commonjs2: 'three',
+            amd: 'three'
+        }
     },
 };
\ No newline at end of file